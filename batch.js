@@ -0,0 +1,257 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { launchBrowser } from './scraper.js';
+import { processProductUrl } from './pipeline.js';
+import { runWithConcurrency } from './utils/concurrency.js';
+
+// Re-exported for the exporter and sync, which share the batch worker pool
+export { runWithConcurrency };
+
+/**
+ * Default number of products processed at the same time
+ * Kept low because WooCommerce API rate limits and every worker holds an open page
+ */
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Reads all of stdin as a UTF-8 string
+ * @returns {Promise<string>} stdin content
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Checks if a string is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Extracts URLs from CSV content
+ * Uses the "url" column when a header row has one, otherwise the first cell that looks like a URL
+ * @param {string} content - CSV text
+ * @returns {Array<string>} URLs in file order
+ */
+function parseCsvUrls(content) {
+  const rows = content
+    .split(/\r?\n/)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')))
+    .filter(cells => cells.some(cell => cell.length > 0));
+
+  if (rows.length === 0) return [];
+
+  const urlColumn = rows[0].findIndex(cell => cell.toLowerCase() === 'url');
+  if (urlColumn >= 0) {
+    return rows.slice(1).map(cells => cells[urlColumn] || '');
+  }
+
+  return rows.map(cells => cells.find(isHttpUrl) || '');
+}
+
+/**
+ * Extracts URLs from JSON content
+ * Accepts an array of strings or an array of objects with a url property
+ * @param {string} content - JSON text
+ * @returns {Array<string>} URLs in file order
+ */
+function parseJsonUrls(content) {
+  const parsed = JSON.parse(content);
+  const list = Array.isArray(parsed) ? parsed : parsed.urls;
+
+  if (!Array.isArray(list)) {
+    throw new Error('JSON URL list must be an array or an object with a "urls" array');
+  }
+
+  return list.map(item => (typeof item === 'string' ? item : item?.url || ''));
+}
+
+/**
+ * Parses a URL list in text, CSV or JSON format
+ * Text lists have one URL per line; blank lines and lines starting with # are ignored
+ * @param {string} content - Raw list content
+ * @param {string} format - 'text', 'csv' or 'json' (sniffed from content when omitted)
+ * @returns {Array<string>} Unique, valid URLs
+ */
+export function parseUrlList(content, format = '') {
+  const trimmed = content.trim();
+  let detected = format;
+
+  if (!detected) {
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      detected = 'json';
+    } else if (trimmed.split(/\r?\n/)[0].includes(',')) {
+      detected = 'csv';
+    } else {
+      detected = 'text';
+    }
+  }
+
+  let urls;
+  if (detected === 'json') {
+    urls = parseJsonUrls(trimmed);
+  } else if (detected === 'csv') {
+    urls = parseCsvUrls(trimmed);
+  } else {
+    urls = trimmed
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  const unique = [];
+  urls.map(url => url.trim()).forEach((url) => {
+    if (!url) return;
+    if (!isHttpUrl(url)) {
+      console.warn(`[Batch] Skipping invalid URL: ${url}`);
+      return;
+    }
+    if (!unique.includes(url)) {
+      unique.push(url);
+    }
+  });
+
+  return unique;
+}
+
+/**
+ * Reads a URL list from a file or from stdin
+ * @param {string} source - File path, or '-' for stdin
+ * @returns {Promise<Array<string>>} Unique, valid URLs
+ */
+export async function readUrlList(source) {
+  if (source === '-') {
+    return parseUrlList(await readStdin());
+  }
+
+  const content = await fs.readFile(source, 'utf8');
+  const ext = path.extname(source).toLowerCase();
+  const format = ext === '.json' ? 'json' : ext === '.csv' ? 'csv' : '';
+
+  return parseUrlList(content, format);
+}
+
+/**
+ * Scrapes and uploads a list of product URLs with one shared browser
+ * Failures are recorded per URL and never stop the rest of the batch
+ * @param {Array<string>} urls - Product URLs
+ * @param {Object} options - Optional settings
+ * @param {number} options.concurrency - Products processed at the same time
+ * @param {string} options.baseUrl - Base URL for resolving relative image paths
+ * @param {Object} options.browser - Shared Puppeteer browser (launched and closed here when omitted)
+ * @param {boolean} options.upsert - Update existing products instead of creating copies
+ * @param {boolean} options.skipUnchanged - Skip products the import ledger shows as unchanged
+ * @param {boolean} options.skipValidation - Upload products whose confidence score is too low instead of holding them
+ * @param {boolean} options.dryRun - Write payload/preview files instead of uploading
+ * @param {string} options.outputDir - Base folder for dry-run previews
+ * @returns {Promise<Array<Object>>} One result per URL: { url, status: 'success' | 'held' | 'failed', productId, name,
+ *          preview, error, attention, unchanged, score, durationMs }
+ */
+export async function runBatch(urls, options = {}) {
+  const concurrency = Number(options.concurrency) || Number(process.env.BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+  console.log(`[Batch] Processing ${urls.length} URLs with concurrency ${concurrency}...`);
+
+  const ownsBrowser = !options.browser;
+  const browser = options.browser || await launchBrowser();
+
+  try {
+    return await runWithConcurrency(urls, concurrency, async (url, index) => {
+      const startedAt = Date.now();
+      console.log(`[Batch] (${index + 1}/${urls.length}) ${url}`);
+
+      try {
+        const { productData, productId, preview, unchanged, held } = await processProductUrl(url, {
+          baseUrl: options.baseUrl,
+          browser,
+          upsert: options.upsert,
+          skipUnchanged: options.skipUnchanged,
+          skipValidation: options.skipValidation,
+          dryRun: options.dryRun,
+          outputDir: options.outputDir,
+        });
+        if (held) {
+          console.log(`[Batch] ⏸ (${index + 1}/${urls.length}) Held for review (score ${productData.validation.score})`);
+        } else {
+          console.log(preview
+            ? `[Batch] ✓ (${index + 1}/${urls.length}) Preview written to ${preview.htmlPath}`
+            : `[Batch] ✓ (${index + 1}/${urls.length}) ${unchanged ? 'Unchanged' : 'Uploaded'} product ${productId}`);
+        }
+        return {
+          url,
+          status: held ? 'held' : 'success',
+          productId: preview ? null : productId,
+          name: productData.name || '',
+          preview: preview ? preview.htmlPath : '',
+          error: held ? productData.validation.issues.map(issue => issue.message).join('; ') : '',
+          attention: productData.needs_attention || [],
+          unchanged,
+          score: productData.validation?.score ?? null,
+          durationMs: Date.now() - startedAt,
+        };
+      } catch (error) {
+        console.error(`[Batch] ✗ (${index + 1}/${urls.length}) ${url}: ${error.message}`);
+        return {
+          url,
+          status: 'failed',
+          productId: null,
+          name: '',
+          preview: '',
+          error: error.message,
+          attention: [],
+          unchanged: false,
+          score: null,
+          durationMs: Date.now() - startedAt,
+        };
+      }
+    });
+  } finally {
+    if (ownsBrowser) {
+      await browser.close();
+      console.log('[Batch] Browser closed');
+    }
+  }
+}
+
+/**
+ * Prints a success/held/failure table for a finished batch
+ * @param {Array<Object>} results - Results from runBatch()
+ */
+export function printBatchSummary(results) {
+  const succeeded = results.filter(r => r.status === 'success').length;
+  const held = results.filter(r => r.status === 'held').length;
+  const failed = results.filter(r => r.status === 'failed').length;
+  const flagged = results.filter(r => r.attention && r.attention.length > 0).length;
+  const unchanged = results.filter(r => r.unchanged).length;
+
+  console.log('='.repeat(60));
+  console.log('BATCH SUMMARY');
+  console.log('='.repeat(60));
+  const dryRun = results.some(r => r.preview);
+  console.table(results.map(r => ({
+    Status: r.status === 'failed' ? '✗' : r.status === 'held' ? '⏸' : r.attention && r.attention.length > 0 ? '⚠' : r.unchanged ? '=' : '✓',
+    URL: r.url,
+    ...(dryRun ? { Preview: r.preview } : { 'Product ID': r.productId ?? '' }),
+    Name: r.name.substring(0, 40),
+    Score: r.score ?? '',
+    Error: (r.error || (r.attention || []).join('; ')).substring(0, 60),
+    Seconds: (r.durationMs / 1000).toFixed(1),
+  })));
+  console.log(`Total: ${results.length} | Succeeded: ${succeeded} | Failed: ${failed}${held ? ` | Held for review: ${held}` : ''}${unchanged ? ` | Unchanged: ${unchanged}` : ''}${flagged ? ` | Needs attention: ${flagged}` : ''}`);
+  if (held > 0) {
+    console.log('Held products wait in the review queue: node main.js review');
+  }
+  console.log('='.repeat(60));
+}
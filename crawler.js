@@ -0,0 +1,165 @@
+import { launchBrowser, loadPage, isWordPressSite } from './scraper.js';
+
+/**
+ * Default crawl limits - keep a runaway pagination loop from scraping a whole shop
+ */
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_MAX_PRODUCTS = 200;
+
+/**
+ * Collects product links and the next-page link from a WooCommerce listing page
+ * (/shop, /product-category/..., tag archives)
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<{productUrls: Array<string>, nextPageUrl: string}>} Links found on the page
+ */
+async function discoverWordPressLinks(page) {
+  return page.evaluate(() => {
+    const productUrls = [];
+    const productLinks = document.querySelectorAll(
+      '.products li.product a.woocommerce-LoopProduct-link, .products li.product a[href], ul.products .product a[href], .wc-block-grid__product a[href]'
+    );
+
+    productLinks.forEach((link) => {
+      const href = link.href;
+      // Skip add-to-cart buttons, category links and quick-view anchors inside product cards
+      if (!href || href.includes('add-to-cart=') || href.includes('product-category') || href.includes('#')) {
+        return;
+      }
+      productUrls.push(href);
+    });
+
+    const nextLink = document.querySelector('.woocommerce-pagination a.next, a.next.page-numbers, link[rel="next"], a[rel="next"]');
+
+    return {
+      productUrls,
+      nextPageUrl: nextLink ? nextLink.href : '',
+    };
+  });
+}
+
+/**
+ * Collects product links and the next-page link from a custom-coded listing page
+ * Product links are same-host anchors whose path looks like /product/..., /products/... or /p/...
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<{productUrls: Array<string>, nextPageUrl: string}>} Links found on the page
+ */
+async function discoverCustomLinks(page) {
+  return page.evaluate(() => {
+    const productUrls = [];
+    const currentHost = window.location.host;
+
+    document.querySelectorAll('a[href]').forEach((link) => {
+      let url;
+      try {
+        url = new URL(link.href);
+      } catch (e) {
+        return;
+      }
+
+      if (url.host !== currentHost) return;
+      if (link.closest('header, footer, nav, [class*="menu"], [class*="breadcrumb"]')) return;
+
+      if (/\/(product|products|p)\/[^/]+/i.test(url.pathname)) {
+        productUrls.push(url.href);
+      }
+    });
+
+    const nextLink = document.querySelector(
+      'link[rel="next"], a[rel="next"], .pagination a.next, .pagination .next a, .pagination-next a, a[aria-label*="next" i], a[aria-label*="بعدی"]'
+    );
+
+    return {
+      productUrls,
+      nextPageUrl: nextLink ? nextLink.href : '',
+    };
+  });
+}
+
+/**
+ * Normalizes a discovered URL so the same product is not collected twice
+ * @param {string} href - Raw link URL
+ * @returns {string} URL without hash fragment, or '' if invalid
+ */
+function normalizeProductUrl(href) {
+  try {
+    const url = new URL(href);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Crawls a category/shop page and follows pagination to collect product URLs
+ * Uses isWordPressSite() on the first page to pick the link-discovery strategy
+ * @param {string} startUrl - Category or shop page URL
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxPages - Maximum listing pages to visit
+ * @param {number} options.maxProducts - Maximum product URLs to collect
+ * @param {Object} options.browser - Shared Puppeteer browser (launched and closed here when omitted)
+ * @returns {Promise<Array<string>>} Unique product URLs in discovery order
+ */
+export async function crawlProductUrls(startUrl, options = {}) {
+  const maxPages = Number(options.maxPages) || Number(process.env.CRAWL_MAX_PAGES) || DEFAULT_MAX_PAGES;
+  const maxProducts = Number(options.maxProducts) || Number(process.env.CRAWL_MAX_PRODUCTS) || DEFAULT_MAX_PRODUCTS;
+
+  console.log(`[Crawler] Starting crawl at ${startUrl} (max ${maxPages} pages, ${maxProducts} products)`);
+
+  const ownsBrowser = !options.browser;
+  const browser = options.browser || await launchBrowser();
+  let page = null;
+
+  const productUrls = [];
+  const visitedPages = new Set();
+  let pageUrl = startUrl;
+  let isWordPress = null;
+
+  try {
+    page = await browser.newPage();
+
+    while (pageUrl && visitedPages.size < maxPages && productUrls.length < maxProducts) {
+      if (visitedPages.has(pageUrl)) {
+        console.warn(`[Crawler] Pagination loops back to ${pageUrl}, stopping`);
+        break;
+      }
+      visitedPages.add(pageUrl);
+
+      console.log(`[Crawler] Listing page ${visitedPages.size}: ${pageUrl}`);
+      await loadPage(page, pageUrl);
+
+      // Detect once - every page of one listing comes from the same site
+      if (isWordPress === null) {
+        isWordPress = await isWordPressSite(page);
+        console.log(`[Crawler] ${isWordPress ? 'WordPress/WooCommerce' : 'Custom-coded'} site detected`);
+      }
+
+      const { productUrls: found, nextPageUrl } = isWordPress
+        ? await discoverWordPressLinks(page)
+        : await discoverCustomLinks(page);
+
+      let added = 0;
+      for (const href of found) {
+        const url = normalizeProductUrl(href);
+        if (!url || url === normalizeProductUrl(pageUrl) || productUrls.includes(url)) continue;
+        if (productUrls.length >= maxProducts) break;
+        productUrls.push(url);
+        added++;
+      }
+
+      console.log(`[Crawler] Found ${added} new product links (total ${productUrls.length})`);
+
+      pageUrl = nextPageUrl ? normalizeProductUrl(nextPageUrl) : '';
+    }
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    if (ownsBrowser) {
+      await browser.close();
+    }
+  }
+
+  console.log(`[Crawler] Crawl finished: ${productUrls.length} products from ${visitedPages.size} pages`);
+  return productUrls;
+}
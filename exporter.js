@@ -0,0 +1,291 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { launchBrowser, scrapeProduct } from './scraper.js';
+import { runWithConcurrency } from './batch.js';
+import { expandVariations, collectVariationAttributes } from './utils/variations.js';
+import { SOURCE_URL_META_KEY } from './uploader.js';
+import { CATEGORY_PATH_SEPARATOR } from './utils/categories.js';
+import { mapTagNames } from './utils/tags.js';
+import { applyPricingRules } from './utils/pricing.js';
+import { mapSpecAttributes, plainFeatures } from './utils/specs.js';
+
+/**
+ * Default folder for exports (override with --output or EXPORT_OUTPUT_DIR in .env)
+ */
+const DEFAULT_OUTPUT_DIR = 'exports';
+
+/**
+ * JSON archive format version - bump when the archive layout changes
+ */
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Fixed columns of the WooCommerce product CSV importer (Products → Import)
+ * Attribute columns are appended per export because their count depends on the products
+ */
+const CSV_COLUMNS = [
+  'Type',
+  'SKU',
+  'Name',
+  'Parent',
+  'Published',
+  'Short description',
+  'Description',
+  'In stock?',
+  'Stock',
+  'Regular price',
+  'Sale price',
+  'Categories',
+  'Tags',
+  'Images',
+  `Meta: ${SOURCE_URL_META_KEY}`,
+];
+
+/**
+ * WooCommerce "Published" values by product status
+ */
+const PUBLISHED_VALUES = { publish: 1, private: 0, draft: -1 };
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins values for a multi-value importer cell (categories, tags, attribute values)
+ * The importer splits on commas, so commas inside a value are escaped with a backslash
+ * @param {Array<string>} values - Values
+ * @returns {string} Comma separated list
+ */
+function joinValues(values) {
+  return values
+    .map(value => String(value).trim())
+    .filter(Boolean)
+    .map(value => value.replace(/,/g, '\\,'))
+    .join(', ');
+}
+
+/**
+ * Maps a stock status to the importer's "In stock?" column
+ * @param {string} stockStatus - instock, outofstock, onbackorder or ''
+ * @returns {string|number} 1, 0, 'backorder' or '' when unknown
+ */
+function inStockValue(stockStatus) {
+  if (stockStatus === 'instock') return 1;
+  if (stockStatus === 'outofstock') return 0;
+  if (stockStatus === 'onbackorder') return 'backorder';
+  return '';
+}
+
+/**
+ * Turns scraped specs and features into attribute columns
+ * Specs become global attributes (named by the attribute mapping, like the uploader) so the importer
+ * creates filterable attribute terms; plain features are grouped under a local "Features" attribute
+ * @param {Object} productData - Product data object from scraper
+ * @param {Array<string>} exclude - Attribute names already used for variations
+ * @returns {Array<{name: string, values: Array<string>, visible: number, global: number}>} Attributes
+ */
+function featureAttributes(productData, exclude = []) {
+  const attributes = mapSpecAttributes(productData.specs)
+    .filter(attribute => !exclude.includes(attribute.name))
+    .map(attribute => ({ name: attribute.name, values: attribute.options, visible: 1, global: 1 }));
+
+  const plain = [...new Set(plainFeatures(productData.features).map(f => f.trim()).filter(Boolean))];
+  if (plain.length > 0) {
+    attributes.push({ name: 'Features', values: plain, visible: 1, global: 0 });
+  }
+
+  return attributes;
+}
+
+/**
+ * Builds a stable SKU for products without one
+ * Variation rows reference their parent by SKU, so variable products always need one
+ * @param {Object} productData - Product data object from scraper
+ * @returns {string} SKU derived from the source URL
+ */
+function fallbackSku(productData) {
+  const hash = crypto.createHash('sha1').update(productData.source_url || productData.name || '').digest('hex');
+  return `autopost-${hash.substring(0, 10)}`;
+}
+
+/**
+ * Converts one scraped product into importer rows: the product, plus one row per variation
+ * Images are the source URLs - the importer downloads them (without watermark removal)
+ * @param {Object} scrapedData - Product data object from scraper
+ * @returns {Array<Object>} Rows keyed by column name, with an "attributes" list
+ */
+function toCsvRows(scrapedData) {
+  // The CSV is imported into the store, so it carries our selling prices like the uploader
+  const productData = applyPricingRules(scrapedData);
+  const variations = expandVariations(productData);
+  const isVariable = variations.length > 0;
+  const sku = productData.sku || (isVariable ? fallbackSku(productData) : '');
+
+  const variationAttributes = collectVariationAttributes(variations).map(attribute => ({
+    name: attribute.name,
+    values: attribute.options,
+    visible: 1,
+    global: 1,
+  }));
+
+  const parent = {
+    Type: isVariable ? 'variable' : 'simple',
+    SKU: sku,
+    Name: productData.name || 'Untitled Product',
+    Parent: '',
+    Published: PUBLISHED_VALUES.draft,
+    'Short description': productData.short_description || '',
+    Description: productData.description || '',
+    'In stock?': isVariable ? '' : inStockValue(productData.stock_status),
+    Stock: '',
+    'Regular price': isVariable ? '' : productData.regular_price || '',
+    'Sale price': isVariable ? '' : productData.sale_price || '',
+    // The importer creates missing categories itself, "Parent > Child" keeps the breadcrumb hierarchy
+    Categories: joinValues((productData.categories || []).map(c => (c.path || [c.name]).join(CATEGORY_PATH_SEPARATOR))),
+    Tags: joinValues(mapTagNames(productData.tags)),
+    Images: joinValues((productData.images || []).map(img => img.src)),
+    [`Meta: ${SOURCE_URL_META_KEY}`]: productData.source_url || '',
+    attributes: [...variationAttributes, ...featureAttributes(productData, variationAttributes.map(a => a.name))],
+  };
+
+  const children = variations.map(variation => ({
+    Type: 'variation',
+    SKU: variation.sku || '',
+    Name: `${parent.Name} - ${variation.attributes.map(a => a.option).join(', ')}`,
+    Parent: sku,
+    Published: 1,
+    'Short description': '',
+    Description: '',
+    'In stock?': inStockValue(variation.stock_status),
+    Stock: Number.isInteger(variation.stock_quantity) ? variation.stock_quantity : '',
+    'Regular price': variation.regular_price || '',
+    'Sale price': variation.sale_price || '',
+    Categories: '',
+    Tags: '',
+    Images: variation.image?.src ? joinValues([variation.image.src]) : '',
+    [`Meta: ${SOURCE_URL_META_KEY}`]: '',
+    // Variation rows list only their own option, in the same order as the parent's attributes
+    attributes: variation.attributes.map(a => ({ name: a.name, values: [a.option], visible: '', global: 1 })),
+  }));
+
+  return [parent, ...children];
+}
+
+/**
+ * Builds a WooCommerce product CSV importer file from scraped products
+ * Products are exported as drafts, matching the REST uploader
+ * @param {Array<Object>} products - Product data objects from scraper
+ * @returns {string} CSV content (UTF-8 with BOM so spreadsheet apps keep Persian text intact)
+ */
+export function toWooCommerceCsv(products) {
+  const rows = products.flatMap(toCsvRows);
+  const attributeCount = Math.max(0, ...rows.map(row => row.attributes.length));
+
+  const header = [...CSV_COLUMNS];
+  for (let i = 1; i <= attributeCount; i++) {
+    header.push(`Attribute ${i} name`, `Attribute ${i} value(s)`, `Attribute ${i} visible`, `Attribute ${i} global`);
+  }
+
+  const lines = rows.map((row) => {
+    const cells = CSV_COLUMNS.map(column => row[column]);
+    for (let i = 0; i < attributeCount; i++) {
+      const attribute = row.attributes[i];
+      cells.push(
+        attribute ? attribute.name : '',
+        attribute ? joinValues(attribute.values) : '',
+        attribute ? attribute.visible : '',
+        attribute ? attribute.global : ''
+      );
+    }
+    return cells.map(csvCell).join(',');
+  });
+
+  return '\uFEFF' + [header.map(csvCell).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a versioned JSON archive of exactly what was scraped
+ * @param {Array<Object>} products - Product data objects from scraper
+ * @param {Array<Object>} failures - URLs that could not be scraped: { url, error }
+ * @returns {Object} Archive object
+ */
+export function toJsonArchive(products, failures = []) {
+  return {
+    version: ARCHIVE_VERSION,
+    generated_at: new Date().toISOString(),
+    product_count: products.length,
+    products,
+    failures,
+  };
+}
+
+/**
+ * Scrapes product URLs and writes them as a WooCommerce CSV and/or a JSON archive
+ * Nothing is sent to WooCommerce, so no API keys are needed
+ * @param {Array<string>} urls - Product URLs
+ * @param {Object} options - Optional settings
+ * @param {string} options.format - 'csv', 'json' or 'both' (default)
+ * @param {string} options.outputDir - Folder for export files (default: exports/)
+ * @param {number} options.concurrency - Products scraped at the same time
+ * @returns {Promise<{products: Array<Object>, failures: Array<Object>, files: Array<string>}>} Export result
+ */
+export async function exportProducts(urls, options = {}) {
+  const format = options.format || 'both';
+  if (!['csv', 'json', 'both'].includes(format)) {
+    throw new Error(`Unknown export format "${format}" (use csv, json or both)`);
+  }
+
+  const concurrency = Number(options.concurrency) || Number(process.env.BATCH_CONCURRENCY) || 2;
+  const outputDir = options.outputDir || process.env.EXPORT_OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
+  const baseUrl = process.env.CUSTOM_SITE_BASE_URL || '';
+
+  console.log(`[Export] Scraping ${urls.length} URLs with concurrency ${concurrency}...`);
+
+  const browser = await launchBrowser();
+  let results;
+  try {
+    results = await runWithConcurrency(urls, concurrency, async (url, index) => {
+      try {
+        console.log(`[Export] (${index + 1}/${urls.length}) ${url}`);
+        return { url, productData: await scrapeProduct(url, baseUrl, { browser }) };
+      } catch (error) {
+        console.error(`[Export] ✗ (${index + 1}/${urls.length}) ${url}: ${error.message}`);
+        return { url, error: error.message };
+      }
+    });
+  } finally {
+    await browser.close();
+    console.log('[Export] Browser closed');
+  }
+
+  const products = results.filter(r => r.productData).map(r => r.productData);
+  const failures = results.filter(r => r.error).map(({ url, error }) => ({ url, error }));
+
+  // One timestamped file set per run, so earlier exports are never overwritten
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.mkdir(outputDir, { recursive: true });
+  const files = [];
+
+  if (format === 'csv' || format === 'both') {
+    const csvPath = path.resolve(outputDir, `products-${stamp}.csv`);
+    await fs.writeFile(csvPath, toWooCommerceCsv(products));
+    files.push(csvPath);
+    console.log(`[Export] WooCommerce CSV written to ${csvPath}`);
+  }
+
+  if (format === 'json' || format === 'both') {
+    const jsonPath = path.resolve(outputDir, `products-${stamp}.json`);
+    await fs.writeFile(jsonPath, JSON.stringify(toJsonArchive(products, failures), null, 2));
+    files.push(jsonPath);
+    console.log(`[Export] JSON archive written to ${jsonPath}`);
+  }
+
+  return { products, failures, files };
+}
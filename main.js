@@ -1,27 +1,577 @@
 import dotenv from 'dotenv';
-import { scrapeProduct } from './scraper.js';
-import { uploadProduct } from './uploader.js';
+import { parseArgs } from 'util';
+import { processProductUrl, uploadScrapedProduct } from './pipeline.js';
+import { readUrlList, runBatch, printBatchSummary } from './batch.js';
+import { crawlProductUrls } from './crawler.js';
+import { launchBrowser } from './scraper.js';
+import { syncProducts, printSyncReport } from './sync.js';
+import { exportProducts } from './exporter.js';
+import { rollbackRun, printRollbackReport } from './rollback.js';
+import { readLedger, latestPerProduct, findProductHistory, summarizeRuns, recordImport } from './utils/ledger.js';
+import { readReviewQueue, findQueuedProducts, removeFromReviewQueue } from './utils/review-queue.js';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Batch mode: scrape and upload every URL from a file or stdin
+ * Usage: node main.js batch <urls.txt|urls.csv|urls.json|-> [--concurrency N] [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]
+ * @param {Array<string>} args - CLI arguments after the "batch" command
+ */
+async function runBatchCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      concurrency: { type: 'string', short: 'c' },
+      upsert: { type: 'boolean' },
+      'skip-unchanged': { type: 'boolean' },
+      'skip-validation': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+    },
+    allowPositionals: true,
+  });
+
+  const source = positionals[0];
+  if (!source) {
+    console.error('Error: URL list file is required');
+    console.log('Usage: node main.js batch <urls.txt|urls.csv|urls.json|-> [--concurrency N] [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]');
+    console.log('Example: cat urls.txt | node main.js batch - --concurrency 3');
+    process.exit(1);
+  }
+
+  const urls = await readUrlList(source);
+  if (urls.length === 0) {
+    console.error('Error: No valid URLs found in the list');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Product Scraper & WooCommerce Uploader - Batch Mode');
+  console.log('='.repeat(60));
+  console.log(`URLs: ${urls.length}`);
+  console.log('');
+
+  const results = await runBatch(urls, {
+    concurrency: values.concurrency,
+    upsert: values.upsert,
+    skipUnchanged: values['skip-unchanged'],
+    skipValidation: values['skip-validation'],
+    dryRun: values['dry-run'],
+    outputDir: values.output,
+  });
+
+  console.log('');
+  printBatchSummary(results);
+
+  // Non-zero exit code lets shell scripts notice partial failures (held products are not failures)
+  if (results.some(r => r.status === 'failed')) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Crawl mode: discover product URLs from a category/shop page, then scrape and upload them
+ * Usage: node main.js crawl <listing_url> [--max-pages N] [--max-products N] [--concurrency N] [--list-only] [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]
+ * @param {Array<string>} args - CLI arguments after the "crawl" command
+ */
+async function runCrawlCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      'max-pages': { type: 'string' },
+      'max-products': { type: 'string' },
+      concurrency: { type: 'string', short: 'c' },
+      'list-only': { type: 'boolean' },
+      upsert: { type: 'boolean' },
+      'skip-unchanged': { type: 'boolean' },
+      'skip-validation': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+    },
+    allowPositionals: true,
+  });
+
+  const startUrl = positionals[0];
+  if (!startUrl) {
+    console.error('Error: Listing page URL is required');
+    console.log('Usage: node main.js crawl <listing_url> [--max-pages N] [--max-products N] [--concurrency N] [--list-only] [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]');
+    console.log('Example: node main.js crawl https://shop.com/product-category/shavers/ --max-pages 3');
+    process.exit(1);
+  }
+
+  try {
+    new URL(startUrl);
+  } catch (error) {
+    console.error('Error: Invalid URL format');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Product Scraper & WooCommerce Uploader - Crawl Mode');
+  console.log('='.repeat(60));
+  console.log(`Listing URL: ${startUrl}`);
+  console.log('');
+
+  // One browser for both the crawl and the product scrapes
+  const browser = await launchBrowser();
+
+  try {
+    const urls = await crawlProductUrls(startUrl, {
+      maxPages: values['max-pages'],
+      maxProducts: values['max-products'],
+      browser,
+    });
+
+    if (values['list-only']) {
+      urls.forEach(url => console.log(url));
+      return;
+    }
+
+    if (urls.length === 0) {
+      console.error('Error: No product links found on the listing page');
+      process.exitCode = 1;
+      return;
+    }
+
+    const results = await runBatch(urls, {
+      concurrency: values.concurrency,
+      upsert: values.upsert,
+      skipUnchanged: values['skip-unchanged'],
+      skipValidation: values['skip-validation'],
+      dryRun: values['dry-run'],
+      outputDir: values.output,
+      browser,
+    });
+
+    console.log('');
+    printBatchSummary(results);
+
+    if (results.some(r => r.status === 'failed')) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Sync mode: refresh price, sale price and stock of every previously imported product
+ * Usage: node main.js sync [--dry-run] [--concurrency N] [--limit N]
+ * Exit code is 0 when every product synced and 1 when any product failed (for cron alerts)
+ * @param {Array<string>} args - CLI arguments after the "sync" command
+ */
+async function runSyncCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      'dry-run': { type: 'boolean' },
+      concurrency: { type: 'string', short: 'c' },
+      limit: { type: 'string' },
+    },
+  });
+
+  console.log('='.repeat(60));
+  console.log('Product Scraper & WooCommerce Uploader - Price & Stock Sync');
+  console.log('='.repeat(60));
+  console.log('');
+
+  const results = await syncProducts({
+    dryRun: values['dry-run'],
+    concurrency: values.concurrency,
+    limit: values.limit,
+  });
+
+  console.log('');
+  printSyncReport(results, values['dry-run']);
+
+  if (results.some(r => r.status === 'failed')) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Export mode: scrape products into a WooCommerce importer CSV and/or a JSON archive, without uploading
+ * Usage: node main.js export <product_url|urls.txt|urls.csv|urls.json|-> [--format csv|json|both] [--output DIR] [--concurrency N]
+ * @param {Array<string>} args - CLI arguments after the "export" command
+ */
+async function runExportCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', short: 'f' },
+      output: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c' },
+    },
+    allowPositionals: true,
+  });
+
+  const source = positionals[0];
+  if (!source) {
+    console.error('Error: Product URL or URL list file is required');
+    console.log('Usage: node main.js export <product_url|urls.txt|urls.csv|urls.json|-> [--format csv|json|both] [--output DIR] [--concurrency N]');
+    console.log('Example: node main.js export urls.txt --format csv');
+    process.exit(1);
+  }
+
+  const urls = /^https?:\/\//i.test(source) ? [source] : await readUrlList(source);
+  if (urls.length === 0) {
+    console.error('Error: No valid URLs found in the list');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Product Scraper & WooCommerce Uploader - Export');
+  console.log('='.repeat(60));
+  console.log(`URLs: ${urls.length}`);
+  console.log('');
+
+  const { products, failures, files } = await exportProducts(urls, {
+    format: values.format,
+    outputDir: values.output,
+    concurrency: values.concurrency,
+  });
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`Exported: ${products.length} | Failed: ${failures.length}`);
+  failures.forEach(f => console.log(`✗ ${f.url}: ${f.error}`));
+  files.forEach(file => console.log(`File: ${file}`));
+  console.log('='.repeat(60));
+
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Formats a ledger entry as a console.table row
+ * @param {Object} entry - Import ledger entry
+ * @returns {Object} Table row
+ */
+function ledgerRow(entry) {
+  return {
+    Time: entry.time.replace('T', ' ').substring(0, 19),
+    Run: entry.run_id,
+    Action: entry.action,
+    'Product ID': entry.product_id ?? '',
+    SKU: entry.sku,
+    Name: (entry.name || '').substring(0, 30),
+    Media: entry.media_ids.length,
+    URL: entry.source_url,
+    ...(entry.error ? { Error: entry.error.substring(0, 60) } : {}),
+  };
+}
+
+/**
+ * List mode: show what the import ledger recorded
+ * Usage: node main.js list [--run ID] [--site HOST] [--action created|updated|unchanged|synced|failed|held|rejected] [--limit N] [--runs]
+ * Without --run, only the latest entry per product is shown
+ * @param {Array<string>} args - CLI arguments after the "list" command
+ */
+function runListCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      run: { type: 'string' },
+      site: { type: 'string' },
+      action: { type: 'string' },
+      limit: { type: 'string' },
+      runs: { type: 'boolean' },
+    },
+  });
+
+  const entries = readLedger({ runId: values.run, site: values.site, action: values.action });
+  const limit = Number(values.limit) || 50;
+
+  if (values.runs) {
+    const runs = summarizeRuns(entries).slice(0, limit);
+    console.table(runs.map(run => ({
+      Run: run.run_id,
+      Started: run.started_at.replace('T', ' ').substring(0, 19),
+      Finished: run.finished_at.replace('T', ' ').substring(0, 19),
+      ...run.counts,
+    })));
+    console.log(`Runs: ${runs.length}`);
+    return;
+  }
+
+  // A run is shown in full; otherwise each product's latest state
+  const rows = (values.run ? [...entries].reverse() : latestPerProduct(entries)).slice(0, limit);
+  if (rows.length === 0) {
+    console.log('No matching entries in the import ledger');
+    return;
+  }
+  console.table(rows.map(ledgerRow));
+  console.log(`Showing ${rows.length} of ${values.run ? entries.length : latestPerProduct(entries).length} (--limit N for more)`);
+}
+
+/**
+ * Status mode: show the import history of one product
+ * Usage: node main.js status <source_url|sku|product_id>
+ * @param {Array<string>} args - CLI arguments after the "status" command
+ */
+function runStatusCommand(args) {
+  const query = args[0];
+  if (!query) {
+    console.error('Error: Source URL, SKU or product ID is required');
+    console.log('Usage: node main.js status <source_url|sku|product_id>');
+    process.exit(1);
+  }
+
+  const history = findProductHistory(query);
+  if (history.length === 0) {
+    console.log(`"${query}" is not in the import ledger`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const latest = history[history.length - 1];
+  const stored = [...history].reverse().find(entry => entry.product_id);
+  console.log('='.repeat(60));
+  console.log(`Source: ${latest.source_url}`);
+  console.log(`Site: ${latest.site}`);
+  console.log(`SKU: ${latest.sku || '(none)'}`);
+  console.log(`Product ID: ${stored ? stored.product_id : '(never uploaded)'}`);
+  console.log(`Media IDs: ${stored && stored.media_ids.length > 0 ? stored.media_ids.join(', ') : '(none)'}`);
+  console.log(`Content hash: ${latest.content_hash || '(none)'}`);
+  console.log(`Last run: ${latest.run_id} (${latest.action}, ${latest.time})`);
+  console.log('='.repeat(60));
+  console.table(history.map(ledgerRow).reverse());
+}
+
+/**
+ * Rollback mode: trash (or delete) every product and media item a run created
+ * Usage: node main.js rollback <run_id> [--force] [--dry-run] [--keep-media]
+ * Exit code is 1 when anything could not be removed
+ * @param {Array<string>} args - CLI arguments after the "rollback" command
+ */
+async function runRollbackCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      force: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      'keep-media': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const runId = positionals[0];
+  if (!runId) {
+    console.error('Error: Run ID is required (see "node main.js list --runs")');
+    console.log('Usage: node main.js rollback <run_id> [--force] [--dry-run] [--keep-media]');
+    console.log('Example: node main.js rollback 20261019-185215-3fa2 --dry-run');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Product Scraper & WooCommerce Uploader - Rollback');
+  console.log('='.repeat(60));
+  console.log(`Run: ${runId}`);
+  console.log(`Mode: ${values['dry-run'] ? 'dry run' : (values.force ? 'delete permanently' : 'move to trash')}`);
+  console.log('');
+
+  const options = {
+    force: values.force,
+    dryRun: values['dry-run'],
+    keepMedia: values['keep-media'],
+  };
+  const rollback = await rollbackRun(runId, options);
+
+  console.log('');
+  printRollbackReport(rollback, options);
+
+  if (rollback.results.some(r => r.status === 'failed')) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Review mode: list, inspect, upload or discard the products held back by validation
+ * Usage: node main.js review                                  (list the queue)
+ *        node main.js review show <source_url|#>
+ *        node main.js review approve <source_url|#|all> [--upsert]
+ *        node main.js review reject <source_url|#|all>
+ * Approved products are uploaded exactly as they were scraped; # is the position in the list
+ * @param {Array<string>} args - CLI arguments after the "review" command
+ */
+async function runReviewCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      upsert: { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+  const [action, query] = positionals;
+
+  if (!action) {
+    const queue = readReviewQueue();
+    if (queue.length === 0) {
+      console.log('The review queue is empty');
+      return;
+    }
+    console.table(queue.map((entry, index) => ({
+      '#': index + 1,
+      Queued: entry.queued_at.replace('T', ' ').substring(0, 19),
+      Score: entry.score,
+      Name: (entry.product.name || '').substring(0, 30),
+      URL: entry.source_url,
+      Issues: entry.issues.map(issue => issue.check).join(', '),
+    })));
+    console.log(`Held: ${queue.length} | node main.js review show|approve|reject <#|source_url>`);
+    return;
+  }
+
+  if (!['show', 'approve', 'reject'].includes(action) || !query) {
+    console.error('Error: Unknown review action or missing product');
+    console.log('Usage: node main.js review [show|approve|reject] [<source_url|#|all>] [--upsert]');
+    process.exit(1);
+  }
+
+  const entries = findQueuedProducts(query);
+  if (entries.length === 0) {
+    console.log(`"${query}" is not in the review queue`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (action === 'show') {
+    entries.forEach((entry) => {
+      const product = entry.product;
+      console.log('='.repeat(60));
+      console.log(`Source: ${entry.source_url}`);
+      console.log(`Held: ${entry.queued_at} (run ${entry.run_id}) | Score: ${entry.score}/100`);
+      entry.issues.forEach(issue => console.log(`  - ${issue.message} (-${issue.penalty})`));
+      console.log('-'.repeat(60));
+      console.log(`Name: ${product.name || '(none)'}`);
+      console.log(`Price: ${product.regular_price || '(none)'}${product.sale_price ? ` | Sale: ${product.sale_price}` : ''}`);
+      console.log(`SKU: ${product.sku || '(none)'}`);
+      console.log(`Images: ${(product.images || []).length} | Categories: ${(product.categories || []).map(c => c.name).join(', ') || '(none)'}`);
+      console.log(`Features: ${(product.features || []).slice(0, 10).join(' | ') || '(none)'}`);
+      console.log('='.repeat(60));
+    });
+    return;
+  }
+
+  for (const entry of entries) {
+    if (action === 'reject') {
+      removeFromReviewQueue(entry.source_url);
+      recordImport({ action: 'rejected', source_url: entry.source_url, sku: entry.product.sku, name: entry.product.name });
+      console.log(`✗ Rejected ${entry.source_url}`);
+      continue;
+    }
+
+    try {
+      const { productId } = await uploadScrapedProduct(entry.source_url, entry.product, {
+        upsert: values.upsert,
+        skipUnchanged: false,
+        skipValidation: true,
+      });
+      removeFromReviewQueue(entry.source_url);
+      console.log(`✓ Approved ${entry.source_url} → product ${productId}`);
+    } catch (error) {
+      console.error(`✗ ${entry.source_url}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
 /**
  * Main entry point for the product scraper and uploader
- * Usage: node main.js <product_url>
+ * Usage: node main.js <product_url> [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]
+ *        node main.js batch <url_list_file|-> [--concurrency N]
+ *        node main.js crawl <listing_url> [--max-pages N] [--max-products N]
+ *        node main.js sync [--dry-run]
+ *        node main.js export <product_url|url_list_file|-> [--format csv|json|both]
+ *        node main.js list [--run ID] [--site HOST] [--runs]
+ *        node main.js status <source_url|sku|product_id>
+ *        node main.js rollback <run_id> [--force] [--dry-run]
+ *        node main.js review [show|approve|reject] [<source_url|#|all>]
  * 
  * Example:
  *   node main.js https://custom-site.com/product/123
+ *   node main.js https://custom-site.com/product/123 --dry-run
+ *   node main.js batch urls.txt --concurrency 3
+ *   node main.js crawl https://shop.com/product-category/shavers/ --max-pages 3
+ *   node main.js sync --dry-run
+ *   node main.js export urls.txt --format csv
+ *   node main.js list --runs
+ *   node main.js rollback 20261019-185215-3fa2 --dry-run
+ *   node main.js review approve 1
  * 
  * Test URL (replace with your actual product URL):
  *   node main.js https://example-custom-site.com/products/example-product
  */
 async function main() {
+  const command = process.argv[2];
+
+  if (command === 'batch') {
+    await runBatchCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'crawl') {
+    await runCrawlCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'sync') {
+    await runSyncCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'export') {
+    await runExportCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'list') {
+    runListCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'status') {
+    runStatusCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'rollback') {
+    await runRollbackCommand(process.argv.slice(3));
+    return;
+  }
+
+  if (command === 'review') {
+    await runReviewCommand(process.argv.slice(3));
+    return;
+  }
+
   // Get product URL from command line arguments
-  const productUrl = process.argv[2];
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      upsert: { type: 'boolean' },
+      'skip-unchanged': { type: 'boolean' },
+      'skip-validation': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+    },
+    allowPositionals: true,
+  });
+  const productUrl = positionals[0];
 
   if (!productUrl) {
     console.error('Error: Product URL is required');
-    console.log('Usage: node main.js <product_url>');
+    console.log('Usage: node main.js <product_url> [--upsert] [--skip-unchanged] [--skip-validation] [--dry-run] [--output DIR]');
+    console.log('       node main.js batch <url_list_file|-> [--concurrency N]');
+    console.log('       node main.js crawl <listing_url> [--max-pages N] [--max-products N]');
+    console.log('       node main.js sync [--dry-run]');
+    console.log('       node main.js export <product_url|url_list_file|-> [--format csv|json|both]');
+    console.log('       node main.js list [--run ID] [--site HOST] [--runs]');
+    console.log('       node main.js status <source_url|sku|product_id>');
+    console.log('       node main.js rollback <run_id> [--force] [--dry-run]');
+    console.log('       node main.js review [show|approve|reject] [<source_url|#|all>]');
     console.log('Example: node main.js https://custom-site.com/product/123');
     process.exit(1);
   }
@@ -42,32 +592,61 @@ async function main() {
 
   let productData = null;
   let productId = null;
+  let preview = null;
+  let unchanged = false;
+  let held = false;
 
   try {
-    // Step 1: Scrape product data
-    console.log('[Main] Step 1: Scraping product data...');
-    console.log('');
-    
     const baseUrl = process.env.CUSTOM_SITE_BASE_URL || '';
-    productData = await scrapeProduct(productUrl, baseUrl);
-    
-    console.log('');
-    console.log('[Main] Scraping completed successfully');
-    console.log('');
+    ({ productData, productId, preview, unchanged, held } = await processProductUrl(productUrl, {
+      baseUrl,
+      upsert: values.upsert,
+      skipUnchanged: values['skip-unchanged'],
+      skipValidation: values['skip-validation'],
+      dryRun: values['dry-run'],
+      outputDir: values.output,
+    }));
 
-    // Step 2: Upload to WooCommerce
-    console.log('[Main] Step 2: Uploading product to WooCommerce...');
-    console.log('');
-    
-    productId = await uploadProduct(productData);
+    if (preview) {
+      // Dry run: print the payload that would have been sent, then where to review it
+      console.log('');
+      console.log('='.repeat(60));
+      console.log('DRY RUN: Nothing was uploaded. WooCommerce product payload:');
+      console.log('='.repeat(60));
+      console.log(JSON.stringify(preview.product, null, 2));
+      console.log('='.repeat(60));
+      console.log(`Payload JSON: ${preview.jsonPath}`);
+      console.log(`HTML preview: ${preview.htmlPath}`);
+      console.log('='.repeat(60));
+      return;
+    }
+
+    if (held) {
+      console.log('');
+      console.log('='.repeat(60));
+      console.log(`HELD FOR REVIEW: Confidence score ${productData.validation.score}/100 is below ${productData.validation.min_score} - nothing was uploaded`);
+      console.log('='.repeat(60));
+      productData.validation.issues.forEach(issue => console.log(`  - ${issue.message} (-${issue.penalty})`));
+      console.log(`Upload anyway: node main.js review approve ${productUrl}`);
+      console.log('='.repeat(60));
+      return;
+    }
+
+    if (unchanged) {
+      console.log('');
+      console.log('='.repeat(60));
+      console.log(`UNCHANGED: Product ${productId} already has this content - upload skipped`);
+      console.log('='.repeat(60));
+      return;
+    }
     
     console.log('');
-    console.log('[Main] Upload completed successfully');
+    console.log('[Main] Scrape and upload completed successfully');
     console.log('');
 
     // Success summary
     console.log('='.repeat(60));
-    console.log('SUCCESS: Product created successfully!');
+    console.log(`SUCCESS: Product ${values.upsert ? 'uploaded' : 'created'} successfully!`);
     console.log('='.repeat(60));
     console.log(`Product Name: ${productData.name || '(no name)'}`);
     console.log(`Product ID: ${productId}`);
@@ -79,6 +658,9 @@ async function main() {
     console.log(`Images: ${productData.images.length}`);
     console.log(`Categories: ${productData.categories.length}`);
     console.log(`Tags: ${productData.tags.length}`);
+    if (productData.needs_attention && productData.needs_attention.length > 0) {
+      console.log(`⚠ Needs attention:\n  ${productData.needs_attention.join('\n  ')}`);
+    }
     console.log('='.repeat(60));
 
   } catch (error) {
@@ -91,7 +673,7 @@ async function main() {
     
     // Provide helpful error context
     if (error.message.includes('selector')) {
-      console.error('Tip: Check your selectors in scraper.js to match your site structure.');
+      console.error('Tip: Add or adjust a site profile in profiles/<hostname>.yaml to match the site structure.');
     } else if (error.message.includes('authentication') || error.message.includes('credentials')) {
       console.error('Tip: Verify your WooCommerce API credentials in .env file.');
     } else if (error.message.includes('timeout')) {
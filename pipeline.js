@@ -0,0 +1,143 @@
+import { scrapeProduct } from './scraper.js';
+import { uploadProduct, productExists } from './uploader.js';
+import { createDryRun, writePreview } from './utils/dry-run.js';
+import { hashProductData, recordImport, findUnchangedImport } from './utils/ledger.js';
+import { validateProductData } from './utils/validation.js';
+import { queueForReview } from './utils/review-queue.js';
+
+/**
+ * Returns the import ledger entry of an unchanged product that is still in the store
+ * @param {string} url - Product source URL
+ * @param {string} contentHash - Hash of the freshly scraped data
+ * @returns {Promise<Object|null>} Previous ledger entry, or null when the product has to be uploaded
+ */
+async function findSkippableImport(url, contentHash) {
+  const previous = findUnchangedImport(url, contentHash);
+  if (!previous) return null;
+
+  try {
+    if (await productExists(previous.product_id)) {
+      return previous;
+    }
+    console.log(`[Pipeline] Product ${previous.product_id} from the ledger is gone from the store - uploading again`);
+  } catch (error) {
+    console.warn(`[Pipeline] Could not check product ${previous.product_id}, uploading anyway: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Runs the full scrape → validate → upload flow for a single product URL
+ * Shared by the single-URL CLI and batch mode so both behave the same way
+ * Every real upload (and failure) is recorded in the import ledger (see utils/ledger.js); dry runs are not
+ * @param {string} url - The product URL to scrape
+ * @param {Object} options - Optional settings
+ * @param {string} options.baseUrl - Base URL for resolving relative image paths
+ * @param {Object} options.browser - Shared Puppeteer browser (see launchBrowser)
+ * @param {boolean} options.upsert - Update an existing product instead of creating a new one
+ * @param {boolean} options.skipUnchanged - Skip the upload when the ledger shows the same content was already
+ *                                          imported and the product still exists. Defaults to SKIP_UNCHANGED=true in .env
+ * @param {boolean} options.skipValidation - Upload even when the confidence score is below VALIDATION_MIN_SCORE
+ * @param {boolean} options.dryRun - Run every step without writing to the store; save a payload/preview instead
+ * @param {string} options.outputDir - Base folder for dry-run previews (default: previews/)
+ * @returns {Promise<{productData: Object, productId: number|string, preview: Object|null, unchanged: boolean, held: boolean}>}
+ *          Scraped data, created/updated product ID, for dry runs the preview from writePreview(), whether the upload
+ *          was skipped as unchanged, and whether the product was held for review
+ */
+export async function processProductUrl(url, options = {}) {
+  const baseUrl = options.baseUrl ?? process.env.CUSTOM_SITE_BASE_URL ?? '';
+
+  // Step 1: Scrape product data
+  console.log(`[Pipeline] Step 1: Scraping product data from ${url}`);
+  let productData;
+  try {
+    productData = await scrapeProduct(url, baseUrl, { browser: options.browser });
+  } catch (error) {
+    if (!options.dryRun) {
+      recordImport({ action: 'failed', source_url: url, error: error.message });
+    }
+    throw error;
+  }
+
+  return uploadScrapedProduct(url, productData, options);
+}
+
+/**
+ * Validates scraped product data and uploads it, or holds it in the review queue when its score is too low
+ * Also used by "node main.js review approve" to upload a held product as it was scraped
+ * @param {string} url - Product source URL
+ * @param {Object} productData - Product data object from scraper
+ * @param {Object} options - upsert, skipUnchanged, skipValidation, dryRun, outputDir (see processProductUrl)
+ * @returns {Promise<{productData: Object, productId: number|string, preview: Object|null, unchanged: boolean, held: boolean}>}
+ */
+export async function uploadScrapedProduct(url, productData, options = {}) {
+  const skipUnchanged = options.skipUnchanged ?? process.env.SKIP_UNCHANGED === 'true';
+
+  // Step 2: Check the scrape before anything is written (issues also end up in the needs-attention meta)
+  const validation = validateProductData(productData);
+  productData.validation = validation;
+  console.log(`[Pipeline] Step 2: Confidence score ${validation.score}/100 (minimum ${validation.min_score})`);
+  validation.issues.forEach(issue => console.log(`[Pipeline]   - ${issue.message} (-${issue.penalty})`));
+
+  // Step 3: Upload to WooCommerce (or record what would be uploaded)
+  if (options.dryRun) {
+    console.log('[Pipeline] Step 3: Preparing WooCommerce payload (dry run - nothing will be uploaded)...');
+    const dryRun = createDryRun(url, options.outputDir);
+    const productId = await uploadProduct(productData, { upsert: options.upsert, dryRun });
+    const preview = await writePreview(dryRun, productData);
+    return { productData, productId, preview, unchanged: false, held: false };
+  }
+
+  const contentHash = hashProductData(productData);
+  const ledgerEntry = {
+    source_url: url,
+    sku: productData.sku,
+    name: productData.name,
+    content_hash: contentHash,
+  };
+
+  if (!validation.passed && !options.skipValidation) {
+    console.log(`[Pipeline] Step 3: Held for review - score ${validation.score} is below ${validation.min_score}`);
+    queueForReview(productData, validation);
+    recordImport({
+      ...ledgerEntry,
+      action: 'held',
+      error: `Score ${validation.score}: ${validation.issues.map(issue => issue.message).join('; ')}`,
+    });
+    return { productData, productId: null, preview: null, unchanged: false, held: true };
+  }
+
+  if (skipUnchanged) {
+    const previous = await findSkippableImport(url, contentHash);
+    if (previous) {
+      console.log(`[Pipeline] Step 3: Unchanged since run ${previous.run_id} - keeping product ${previous.product_id}`);
+      recordImport({ ...ledgerEntry, action: 'unchanged', product_id: previous.product_id, media_ids: previous.media_ids });
+      return { productData, productId: previous.product_id, preview: null, unchanged: true, held: false };
+    }
+  }
+
+  console.log('[Pipeline] Step 3: Uploading product to WooCommerce...');
+  let productId;
+  try {
+    productId = await uploadProduct(productData, { upsert: options.upsert });
+  } catch (error) {
+    // Images uploaded before the failure are recorded too, so a rollback of this run removes them
+    recordImport({
+      ...ledgerEntry,
+      action: 'failed',
+      uploaded_media_ids: productData.upload?.uploaded_media_ids,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  recordImport({
+    ...ledgerEntry,
+    action: productData.upload?.action || 'created',
+    product_id: productId,
+    media_ids: productData.upload?.media_ids,
+    uploaded_media_ids: productData.upload?.uploaded_media_ids,
+  });
+
+  return { productData, productId, preview: null, unchanged: false, held: false };
+}
@@ -0,0 +1,212 @@
+import { initWooCommerceAPI, listAllProducts, getProductMeta, SOURCE_URL_META_KEY } from './uploader.js';
+import { getWPMedia, listWPMedia, deleteWPMedia } from './utils/image-uploader.js';
+import { readLedger, recordImport, RUN_ID_META_KEY } from './utils/ledger.js';
+
+/**
+ * Reads the run ID meta of a media library item
+ * @param {Object} media - Attachment in edit context
+ * @returns {string|undefined} Run ID, or undefined when the site doesn't expose the meta
+ */
+function getMediaRunId(media) {
+  const value = media.meta?.[RUN_ID_META_KEY];
+  return Array.isArray(value) ? value[0] : value || undefined;
+}
+
+/**
+ * Collects the products and media a run created, from the import ledger and the run ID meta in the store
+ * The ledger also covers sites that don't save the meta (media meta needs register_post_meta);
+ * the meta covers runs whose ledger was lost. Anything tagged with a different run is left alone.
+ * Media that a product outside the rollback still uses (an updated product, or a later run that reused the photo)
+ * is kept and reported.
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {string} runId - Run to roll back
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.keepMedia - Only collect products
+ * @param {boolean} options.force - Also collect products of the run that are already in the trash (permanent delete)
+ * @returns {Promise<{products: Array<Object>, media: Array<Object>, kept: Array<Object>, updated: Array<Object>}>}
+ *          products: { id, name, sku, source_url, status }; media: { id, product_id }; kept: { id, reason };
+ *          updated: ledger entries of products the run updated (rollback can't restore their old content)
+ */
+export async function findRunItems(wcApi, runId, options = {}) {
+  const entries = readLedger({ runId });
+  const products = new Map();
+  const media = new Map();
+  const kept = [];
+
+  console.log(`[Rollback] Ledger: ${entries.length} entries for run ${runId}`);
+  console.log('[Rollback] Looking for products tagged with the run in the store...');
+  const catalogue = await listAllProducts(wcApi);
+  if (options.force) {
+    catalogue.push(...await listAllProducts(wcApi, 'trash'));
+  }
+  catalogue.forEach((product) => {
+    if (String(getProductMeta(product, RUN_ID_META_KEY)) === runId) {
+      products.set(product.id, product);
+    }
+  });
+
+  // Products the ledger says were created, but that the catalogue scan didn't return (trashed, or meta missing)
+  const createdIds = [...new Set(entries.filter(e => e.action === 'created' && e.product_id).map(e => e.product_id))];
+  for (const productId of createdIds.filter(id => !products.has(id))) {
+    try {
+      const product = (await wcApi.get(`products/${productId}`)).data;
+      const taggedRun = getProductMeta(product, RUN_ID_META_KEY);
+      if (taggedRun && String(taggedRun) !== runId) {
+        kept.push({ id: productId, type: 'product', reason: `tagged with run ${taggedRun}` });
+      } else if (product.status === 'trash' && !options.force) {
+        kept.push({ id: productId, type: 'product', reason: 'already in the trash' });
+      } else {
+        products.set(product.id, product);
+      }
+    } catch (error) {
+      if (!error.response || ![404, 410].includes(error.response.status)) throw error;
+    }
+  }
+
+  if (!options.keepMedia) {
+    entries.forEach((entry) => {
+      (entry.uploaded_media_ids || []).forEach(id => media.set(id, { id, product_id: entry.product_id }));
+    });
+
+    console.log('[Rollback] Looking for media tagged with the run in the media library...');
+    (await listWPMedia()).forEach((item) => {
+      if (getMediaRunId(item) === runId && !media.has(item.id)) {
+        media.set(item.id, { id: item.id, product_id: item.post || null });
+      }
+    });
+
+    // Media still used by products that stay in the store
+    const removedIds = new Set(products.keys());
+    const usedBy = new Map();
+    readLedger()
+      .filter(entry => entry.product_id && !removedIds.has(entry.product_id))
+      .forEach(entry => (entry.media_ids || []).forEach(id => usedBy.set(id, entry.product_id)));
+
+    for (const item of [...media.values()]) {
+      if (usedBy.has(item.id)) {
+        kept.push({ id: item.id, type: 'media', reason: `used by product ${usedBy.get(item.id)}` });
+        media.delete(item.id);
+        continue;
+      }
+      const current = await getWPMedia(item.id);
+      const taggedRun = current ? getMediaRunId(current) : undefined;
+      if (!current) {
+        media.delete(item.id);
+      } else if (taggedRun && taggedRun !== runId) {
+        kept.push({ id: item.id, type: 'media', reason: `tagged with run ${taggedRun}` });
+        media.delete(item.id);
+      }
+    }
+  }
+
+  const updated = entries.filter(e => e.action === 'updated' && !products.has(e.product_id));
+
+  return {
+    products: [...products.values()].map((product) => {
+      const created = entries.find(e => e.action === 'created' && e.product_id === product.id);
+      return {
+        id: product.id,
+        name: product.name || created?.name || '',
+        sku: product.sku || created?.sku || '',
+        source_url: getProductMeta(product, SOURCE_URL_META_KEY) || created?.source_url || '',
+        status: product.status,
+      };
+    }),
+    media: [...media.values()],
+    kept,
+    updated,
+  };
+}
+
+/**
+ * Trashes (or with force, permanently deletes) every product and media item a run created
+ * Variations go with their parent product. Every removed product is recorded in the import ledger
+ * as 'trashed' or 'deleted'.
+ * @param {string} runId - Run to roll back (see "node main.js list --runs")
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.force - Delete permanently instead of moving to the trash
+ * @param {boolean} options.dryRun - Only list what would be removed
+ * @param {boolean} options.keepMedia - Leave the media library alone
+ * @returns {Promise<Object>} findRunItems() result plus results: [{ type, id, name, status: 'trashed' | 'deleted' |
+ *          'gone' | 'would remove' | 'failed', error }]
+ */
+export async function rollbackRun(runId, options = {}) {
+  const wcApi = initWooCommerceAPI();
+  const items = await findRunItems(wcApi, runId, options);
+  const removed = options.force ? 'deleted' : 'trashed';
+  const results = [];
+
+  console.log(`[Rollback] Run ${runId}: ${items.products.length} products, ${items.media.length} media items${options.dryRun ? ' (dry run)' : ''}`);
+
+  for (const product of items.products) {
+    const result = { type: 'product', id: product.id, name: product.name, status: 'would remove', error: '' };
+    results.push(result);
+    if (options.dryRun) continue;
+
+    try {
+      await wcApi.delete(`products/${product.id}`, { force: !!options.force });
+      result.status = removed;
+      recordImport({
+        action: removed,
+        source_url: product.source_url,
+        sku: product.sku,
+        product_id: product.id,
+        name: product.name,
+      });
+      console.log(`[Rollback] ✓ Product ${product.id} ${removed}`);
+    } catch (error) {
+      if (error.response && [404, 410].includes(error.response.status)) {
+        result.status = 'gone';
+        continue;
+      }
+      result.status = 'failed';
+      result.error = error.response?.data?.message || error.message;
+      console.error(`[Rollback] ✗ Product ${product.id}: ${result.error}`);
+    }
+  }
+
+  for (const item of items.media) {
+    const result = { type: 'media', id: item.id, name: '', status: 'would remove', error: '' };
+    results.push(result);
+    if (options.dryRun) continue;
+
+    try {
+      result.status = (await deleteWPMedia(item.id, { force: options.force })) ? removed : 'gone';
+      console.log(`[Rollback] ✓ Media #${item.id} ${result.status}`);
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      console.error(`[Rollback] ✗ Media #${item.id}: ${error.message}`);
+    }
+  }
+
+  return { ...items, results };
+}
+
+/**
+ * Prints what a rollback removed, kept and could not remove
+ * @param {Object} rollback - Result of rollbackRun()
+ * @param {Object} options - Options passed to rollbackRun()
+ */
+export function printRollbackReport(rollback, options = {}) {
+  const count = (type, status) => rollback.results.filter(r => r.type === type && r.status === status).length;
+  const done = options.dryRun ? 'would remove' : (options.force ? 'deleted' : 'trashed');
+
+  console.log('='.repeat(60));
+  console.log(options.dryRun ? 'ROLLBACK REPORT (DRY RUN - nothing was removed)' : 'ROLLBACK REPORT');
+  console.log('='.repeat(60));
+
+  rollback.results
+    .filter(r => options.dryRun || r.status === 'failed')
+    .forEach(r => console.log(`${r.type === 'product' ? `#${r.id} ${r.name}` : `Media #${r.id}`}${r.error ? ` FAILED: ${r.error}` : ''}`));
+
+  rollback.kept.forEach(k => console.log(`Kept ${k.type} #${k.id} (${k.reason})`));
+  if (rollback.updated.length > 0) {
+    console.log(`${rollback.updated.length} products were updated (not created) by this run - their earlier content is not restored:`);
+    rollback.updated.forEach(e => console.log(`    #${e.product_id} ${e.source_url}`));
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`Products ${done}: ${count('product', done)} | Media ${done}: ${count('media', done)} | Kept: ${rollback.kept.length} | Failed: ${rollback.results.filter(r => r.status === 'failed').length}`);
+  console.log('='.repeat(60));
+}
@@ -24,10 +24,14 @@ export async function scrapeCustomSite(url, baseUrl = '', page) {
       regular_price: '',
       sale_price: '',
       sku: '',
+      stock_status: '', // 'instock' | 'outofstock' | '' (unknown)
       images: [],
       categories: [],
       tags: [],
       features: [], // Product features/specifications
+      specs: [], // [{ name, value }] - spec table rows
+      variation_attributes: [], // [{ name, options: [string] }] - size/color dropdowns
+      variations: [], // Always empty here - custom sites expose options only, not per-variation data
     };
 
     // Extract product name - try h1 first, then other selectors
@@ -40,23 +44,16 @@ export async function scrapeCustomSite(url, baseUrl = '', page) {
     }
 
     // Extract regular price - try multiple strategies
+    // The text is kept as shown (digits, separators, currency); utils/price.js parses it
     let priceElement = document.querySelector('.price, .product-price, [data-price], [class*="price"]');
     if (priceElement) {
-      const priceText = priceElement.textContent.trim();
-      const priceMatch = priceText.match(/[\d.,]+/);
-      if (priceMatch) {
-        data.regular_price = priceMatch[0].replace(/,/g, '');
-      }
+      data.regular_price = priceElement.textContent.trim();
     }
 
     // Extract sale price if available
     let salePriceElement = document.querySelector('.sale-price, .price-sale, .discount-price, [class*="sale"]');
     if (salePriceElement) {
-      const salePriceText = salePriceElement.textContent.trim();
-      const priceMatch = salePriceText.match(/[\d.,]+/);
-      if (priceMatch) {
-        data.sale_price = priceMatch[0].replace(/,/g, '');
-      }
+      data.sale_price = salePriceElement.textContent.trim();
     }
 
     // Extract description
@@ -87,6 +84,18 @@ export async function scrapeCustomSite(url, baseUrl = '', page) {
     // Get all text once for multiple uses
     const allText = document.body.innerText || '';
 
+    // Extract stock status from availability markup (text like "ناموجود" / "موجود")
+    // Page-wide text is not used - related product cards would give false matches
+    const stockElement = document.querySelector('[itemprop="availability"], .stock, [class*="stock"], [class*="availability"]');
+    if (stockElement) {
+      const stockText = (stockElement.getAttribute('href') || stockElement.getAttribute('content') || '') + ' ' + stockElement.textContent;
+      if (stockText.match(/OutOfStock|ناموجود|out of stock|sold out/i)) {
+        data.stock_status = 'outofstock';
+      } else if (stockText.match(/InStock|موجود|in stock/i)) {
+        data.stock_status = 'instock';
+      }
+    }
+
 
     // Extract product features/specifications
     // Strategy 1: Look for dedicated features sections
@@ -177,6 +186,23 @@ export async function scrapeCustomSite(url, baseUrl = '', page) {
     // Clean up features - remove duplicates and empty items
     data.features = [...new Set(data.features.filter(f => f && f.length > 3))];
 
+    // Extract specifications as name/value pairs from two-column spec tables and definition lists
+    const addSpec = (nameEl, valueEl) => {
+      const name = nameEl?.textContent.replace(/\s+/g, ' ').trim();
+      const value = valueEl?.textContent.replace(/\s+/g, ' ').trim();
+      if (name && value) data.specs.push({ name, value });
+    };
+    document.querySelectorAll('[class*="spec"] table tr, [id*="spec"] table tr, table[class*="spec"] tr, .desc-pro table tr').forEach((row) => {
+      const cells = row.querySelectorAll(':scope > th, :scope > td');
+      if (cells.length === 2) addSpec(cells[0], cells[1]);
+    });
+    document.querySelectorAll('dl').forEach((list) => {
+      list.querySelectorAll(':scope > dt').forEach((term) => {
+        const definition = term.nextElementSibling;
+        if (definition && definition.tagName === 'DD') addSpec(term, definition);
+      });
+    });
+
 // ====== IMAGE EXTRACTION SECTION (UPDATED FOR YOUR SPECIFIC HTML) ======
 // Helper function to normalize image URLs
 const normalizeImageUrl = (url) => {
@@ -301,6 +327,36 @@ data.images = Array.from(allImageUrls).map(url => ({
 }));
 // ====== END OF IMAGE EXTRACTION SECTION ======
 
+    // Extract option dropdowns (size/color...) - every variation gets the product price in the uploader
+    document.querySelectorAll('select').forEach((select) => {
+      const key = `${select.name || ''} ${select.id || ''}`.toLowerCase();
+      if (key.match(/qty|quantity|sort|order|currency|lang|city|province|country|state|count/)) return;
+      if (select.closest('header, footer, nav, [class*="filter"], [class*="search"]')) return;
+
+      const options = [...new Set(
+        Array.from(select.options)
+          .filter(option => option.value && !option.disabled)
+          .map(option => option.textContent.trim())
+          .filter(text => text && !text.match(/^(انتخاب|choose|select|--)/i))
+      )];
+      if (options.length < 2) return;
+
+      // Name from <label for>, aria-label, a short preceding label element, or the field name
+      const label = select.id ? document.querySelector(`label[for="${select.id}"]`) : null;
+      const previous = select.previousElementSibling;
+      const name = (
+        (label && label.textContent) ||
+        select.getAttribute('aria-label') ||
+        (previous && previous.textContent.trim().length < 40 ? previous.textContent : '') ||
+        select.name ||
+        ''
+      ).replace(/[:*]/g, '').trim();
+
+      if (name && !data.variation_attributes.find(a => a.name === name)) {
+        data.variation_attributes.push({ name, options });
+      }
+    });
+
     return data;
   }, baseUrl);
 
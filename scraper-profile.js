@@ -0,0 +1,300 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { detectCurrency } from './utils/price.js';
+
+/**
+ * Default profiles directory (override with SITE_PROFILES_DIR in .env)
+ */
+const DEFAULT_PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+/**
+ * Fields a profile can describe, and whether each one collects a list
+ */
+const PROFILE_FIELDS = {
+  name: false,
+  description: false,
+  short_description: false,
+  regular_price: false,
+  sale_price: false,
+  sku: false,
+  stock_status: false,
+  images: true,
+  categories: true,
+  tags: true,
+  features: true,
+};
+
+/**
+ * Loaded profiles keyed by hostname (without "www.")
+ */
+let profileIndex = null;
+
+/**
+ * Strips "www." and lower-cases a hostname
+ * @param {string} hostname - Hostname
+ * @returns {string} Normalized hostname
+ */
+function normalizeHostname(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Reads every .json/.yaml/.yml profile in the profiles directory
+ * A profile applies to its file name's hostname plus any hostnames listed in "hostnames"
+ * @returns {Map<string, Object>} Profiles by hostname
+ */
+function loadProfiles() {
+  const dir = process.env.SITE_PROFILES_DIR || DEFAULT_PROFILES_DIR;
+  const index = new Map();
+
+  if (!fs.existsSync(dir)) {
+    return index;
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => /\.(json|ya?ml)$/i.test(file))
+    .forEach((file) => {
+      const fullPath = path.join(dir, file);
+      try {
+        const content = fs.readFileSync(fullPath, 'utf8');
+        const profile = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        validateProfile(profile, file);
+        if (profile.watermark?.template) {
+          // Logo templates are referenced relative to the profiles directory
+          profile.watermark = { ...profile.watermark, template: path.resolve(dir, profile.watermark.template) };
+        }
+
+        const hostnames = [file.replace(/\.(json|ya?ml)$/i, ''), ...(profile.hostnames || [])];
+        hostnames.forEach((hostname) => {
+          index.set(normalizeHostname(hostname), { ...profile, file });
+        });
+      } catch (error) {
+        console.warn(`[Profile] Skipping invalid site profile ${file}: ${error.message}`);
+      }
+    });
+
+  console.log(`[Profile] Loaded ${index.size} site profile hostnames from ${dir}`);
+  return index;
+}
+
+/**
+ * Checks a profile's shape so mistakes surface when it is loaded, not halfway through a batch
+ * @param {Object} profile - Parsed profile
+ * @param {string} file - File name (for error messages)
+ */
+function validateProfile(profile, file) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`${file} must be an object`);
+  }
+  // A profile may only configure watermark removal, the price currency or branding and leave scraping to the generic scrapers
+  if (profile.fields === undefined && profile.watermark === undefined && profile.currency === undefined &&
+    profile.branding === undefined) {
+    throw new Error(`${file} must have a "fields", "watermark", "currency" or "branding" section`);
+  }
+  if (profile.fields !== undefined && (!profile.fields || typeof profile.fields !== 'object')) {
+    throw new Error('"fields" must be an object');
+  }
+  if (profile.watermark !== undefined && profile.watermark !== false &&
+    (!profile.watermark || typeof profile.watermark !== 'object')) {
+    throw new Error('"watermark" must be an object or false');
+  }
+  if (profile.currency !== undefined && !detectCurrency(String(profile.currency))) {
+    throw new Error(`unknown currency "${profile.currency}" (use IRT, IRR, IRHT, IRHR, USD or EUR)`);
+  }
+  if (profile.branding !== undefined &&
+    (!Array.isArray(profile.branding) || profile.branding.some(term => typeof term !== 'string'))) {
+    throw new Error('"branding" must be a list of texts');
+  }
+
+  Object.entries(profile.fields || {}).forEach(([field, spec]) => {
+    if (!(field in PROFILE_FIELDS)) {
+      throw new Error(`unknown field "${field}"`);
+    }
+    [].concat(spec).forEach((rule) => {
+      if (!rule || typeof rule.selector !== 'string') {
+        throw new Error(`field "${field}" needs a "selector"`);
+      }
+      if (rule.regex) {
+        new RegExp(rule.regex, rule.regexFlags || ''); // throws on invalid patterns
+      }
+    });
+  });
+}
+
+/**
+ * Finds the site profile for a URL
+ * Matches the exact hostname first, then parent domains (shop.example.com → example.com)
+ * @param {string} url - Product URL
+ * @returns {Object|null} Profile or null when the site has none
+ */
+export function getSiteProfile(url) {
+  if (!profileIndex) {
+    profileIndex = loadProfiles();
+  }
+
+  let hostname;
+  try {
+    hostname = normalizeHostname(new URL(url).hostname);
+  } catch (error) {
+    return null;
+  }
+
+  const parts = hostname.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (profileIndex.has(candidate)) {
+      return profileIndex.get(candidate);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scrapes a product page using a declarative site profile
+ * Each field is a rule (or list of rules tried in order):
+ *   selector   - CSS selector
+ *   attribute  - 'text' (default), 'html', 'style:background-image' or any attribute name
+ *   regex      - optional pattern; capture group 1 (or the whole match) is kept
+ *   transforms - post-processing steps: trim, number, absoluteUrl, stripHtml, lowercase,
+ *                { replace: pattern, with: text }, { map: { value: pattern } }
+ *   all        - collect every match (list fields always do)
+ * @param {string} url - The product URL to scrape
+ * @param {string} baseUrl - Optional base URL for resolving relative image paths
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} profile - Site profile from getSiteProfile()
+ * @returns {Promise<Object>} Product data with only the profile's fields filled
+ */
+export async function scrapeWithProfile(url, baseUrl = '', page, profile) {
+  console.log(`[Profile] Extracting data with site profile ${profile.file}...`);
+
+  const fields = Object.entries(profile.fields || {}).map(([field, spec]) => ({
+    field,
+    list: PROFILE_FIELDS[field],
+    rules: [].concat(spec),
+  }));
+
+  return page.evaluate((fields, baseUrl) => {
+    const data = {};
+    const origin = baseUrl || window.location.origin;
+
+    // Persian (۰-۹) and Arabic-Indic (٠-٩) digits → ASCII
+    const toAsciiDigits = text => text
+      .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+      .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+
+    const readValue = (element, attribute = 'text') => {
+      if (attribute === 'text') return element.textContent;
+      if (attribute === 'html') return element.innerHTML;
+      if (attribute.startsWith('style:')) {
+        const property = attribute.slice('style:'.length);
+        const style = element.getAttribute('style') || '';
+        const match = style.match(new RegExp(`${property}\\s*:\\s*url\\(['"]?([^'")]+)['"]?\\)`, 'i'));
+        return match ? match[1] : '';
+      }
+      return element.getAttribute(attribute) || '';
+    };
+
+    const applyTransform = (value, transform) => {
+      if (transform === 'trim') return value.trim();
+      if (transform === 'lowercase') return value.toLowerCase();
+      if (transform === 'number') return toAsciiDigits(value).replace(/[^\d.]/g, '');
+      if (transform === 'stripHtml') {
+        const div = document.createElement('div');
+        div.innerHTML = value;
+        return div.textContent;
+      }
+      if (transform === 'absoluteUrl') {
+        if (!value || value.startsWith('data:')) return '';
+        if (value.startsWith('//')) return 'https:' + value;
+        try {
+          return new URL(value, origin + '/').href;
+        } catch (e) {
+          return '';
+        }
+      }
+      if (transform && transform.replace !== undefined) {
+        return value.replace(new RegExp(transform.replace, transform.flags || 'g'), transform.with || '');
+      }
+      if (transform && transform.map) {
+        const entry = Object.entries(transform.map).find(([, pattern]) => new RegExp(pattern, 'i').test(value));
+        return entry ? entry[0] : '';
+      }
+      return value;
+    };
+
+    const applyRule = (rule, list) => {
+      let elements;
+      try {
+        elements = Array.from(document.querySelectorAll(rule.selector));
+      } catch (e) {
+        return [];
+      }
+      if (!list && !rule.all) elements = elements.slice(0, 1);
+
+      return elements
+        .map((element) => {
+          let value = readValue(element, rule.attribute) || '';
+          if (rule.regex) {
+            const match = value.match(new RegExp(rule.regex, rule.regexFlags || ''));
+            value = match ? (match[1] !== undefined ? match[1] : match[0]) : '';
+          }
+          ['trim', ...(rule.transforms || [])].forEach((transform) => {
+            value = applyTransform(value, transform);
+          });
+          return value.trim();
+        })
+        .filter(Boolean);
+    };
+
+    fields.forEach(({ field, list, rules }) => {
+      for (const rule of rules) {
+        const values = [...new Set(applyRule(rule, list))];
+        if (values.length === 0) continue;
+
+        if (field === 'images') {
+          data.images = values.map(src => ({ src }));
+        } else if (field === 'categories' || field === 'tags') {
+          data[field] = values.map(name => ({ name }));
+        } else if (list) {
+          data[field] = values;
+        } else {
+          data[field] = rule.all ? values.join(rule.join || '\n') : values[0];
+        }
+        break;
+      }
+    });
+
+    return data;
+  }, fields, baseUrl);
+}
+
+/**
+ * Overlays profile values onto heuristic scraper output
+ * Profile fields win; fields the profile does not describe (or did not find) keep the heuristic value
+ * @param {Object} profileData - Output of scrapeWithProfile()
+ * @param {Object} domData - Output of scrapeWordPressSite()/scrapeCustomSite(), or null
+ * @returns {Object} Merged product data
+ */
+export function mergeProfileData(profileData, domData) {
+  const base = domData || {
+    name: '',
+    description: '',
+    short_description: '',
+    regular_price: '',
+    sale_price: '',
+    sku: '',
+    stock_status: '',
+    images: [],
+    categories: [],
+    tags: [],
+    features: [],
+    specs: [],
+    variation_attributes: [],
+    variations: [],
+  };
+
+  return { ...base, ...profileData };
+}
@@ -0,0 +1,354 @@
+/**
+ * Extracts product data from structured markup: JSON-LD, microdata and OpenGraph
+ * Runs before the DOM scrapers because shops publish this data for search engines,
+ * so it is usually more reliable than CSS selector guesses
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object>} Partial product data - only fields that were found are set
+ */
+export async function extractStructuredData(page) {
+  console.log('[Structured Data] Looking for JSON-LD, microdata and OpenGraph product data...');
+
+  const structured = await page.evaluate(() => {
+    const data = {};
+    const sources = [];
+
+    const toPrice = (value) => {
+      if (value === undefined || value === null || value === '') return '';
+      // Persian/Arabic-Indic digits → ASCII before dropping currency signs and separators
+      const ascii = String(value)
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+      const number = Number(ascii.replace(/[^\d.]/g, ''));
+      return Number.isFinite(number) && number > 0 ? String(number) : '';
+    };
+
+    const toStockStatus = (value) => {
+      const text = String(value || '');
+      if (text.match(/InStock|LimitedAvailability|OnlineOnly|InStoreOnly/i)) return 'instock';
+      if (text.match(/OutOfStock|SoldOut|Discontinued/i)) return 'outofstock';
+      if (text.match(/PreOrder|BackOrder|PreSale/i)) return 'onbackorder';
+      return '';
+    };
+
+    const toImageUrl = (value) => {
+      if (!value) return '';
+      const src = typeof value === 'string' ? value : value.url || value.contentUrl || value['@id'] || '';
+      try {
+        return src ? new URL(src, window.location.href).href : '';
+      } catch (e) {
+        return '';
+      }
+    };
+
+    const setIfEmpty = (field, value) => {
+      if (value && !data[field]) {
+        data[field] = value;
+      }
+    };
+
+    // 1. JSON-LD - find the Product node, also inside @graph arrays and nested objects
+    const findProductNode = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) {
+        for (const item of node) {
+          const found = findProductNode(item);
+          if (found) return found;
+        }
+        return null;
+      }
+      const types = [].concat(node['@type'] || []);
+      if (types.some(t => t === 'Product' || t === 'ProductGroup')) return node;
+      return findProductNode(node['@graph']) || findProductNode(node.mainEntity) || null;
+    };
+
+    let jsonLdProduct = null;
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      if (jsonLdProduct) return;
+      try {
+        jsonLdProduct = findProductNode(JSON.parse(script.textContent));
+      } catch (e) {
+        // Invalid JSON-LD blocks are common - ignore them
+      }
+    });
+
+    if (jsonLdProduct) {
+      sources.push('json-ld');
+      const product = jsonLdProduct;
+      const offers = [].concat(product.offers || (product.hasVariant || [])[0]?.offers || []);
+      const offer = offers[0] || {};
+
+      setIfEmpty('name', typeof product.name === 'string' ? product.name.trim() : '');
+      setIfEmpty('sku', product.sku ? String(product.sku).trim() : '');
+      setIfEmpty('gtin', String(product.gtin13 || product.gtin || product.gtin12 || product.gtin14 || product.gtin8 || '').trim());
+      setIfEmpty('brand', typeof product.brand === 'string' ? product.brand : product.brand?.name || '');
+
+      // A StrikethroughPrice specification means offer.price is the sale price
+      const specs = [].concat(offer.priceSpecification || []);
+      const strikethrough = specs.find(spec => String(spec.priceType || '').includes('StrikethroughPrice'));
+      const offerPrice = toPrice(offer.price ?? offer.lowPrice ?? specs[0]?.price);
+      if (strikethrough && toPrice(strikethrough.price)) {
+        setIfEmpty('regular_price', toPrice(strikethrough.price));
+        setIfEmpty('sale_price', offerPrice);
+      } else {
+        setIfEmpty('regular_price', offerPrice);
+      }
+
+      setIfEmpty('currency', offer.priceCurrency || specs[0]?.priceCurrency || '');
+      setIfEmpty('stock_status', toStockStatus(offer.availability));
+
+      const images = [].concat(product.image || []).map(toImageUrl).filter(Boolean);
+      if (images.length > 0) {
+        data.images = images.map(src => ({ src }));
+      }
+
+      const rating = product.aggregateRating;
+      if (rating && rating.ratingValue) {
+        data.rating = {
+          average: String(rating.ratingValue),
+          count: Number(rating.reviewCount || rating.ratingCount || 0),
+        };
+      }
+
+      // additionalProperty holds the spec sheet as PropertyValue name/value pairs
+      const properties = [].concat(product.additionalProperty || [])
+        .filter(property => property && property.name && property.value !== undefined && property.value !== null)
+        .map(property => ({ name: String(property.name).trim(), value: [].concat(property.value).join('، ').trim() }));
+      if (properties.length > 0) {
+        data.specs = properties;
+      }
+    }
+
+    // 2. Microdata - itemprop attributes inside an itemtype=Product scope
+    const scope = document.querySelector('[itemtype*="schema.org/Product"]');
+    if (scope) {
+      const propValue = (name, root = scope) => {
+        const el = root.querySelector(`[itemprop="${name}"]`);
+        if (!el) return '';
+        return (el.getAttribute('content') || el.getAttribute('href') || el.getAttribute('src') || el.textContent || '').trim();
+      };
+
+      const before = Object.keys(data).length;
+      setIfEmpty('name', propValue('name'));
+      setIfEmpty('sku', propValue('sku'));
+      setIfEmpty('gtin', propValue('gtin13') || propValue('gtin') || propValue('gtin12') || propValue('gtin8'));
+
+      const brandEl = scope.querySelector('[itemprop="brand"]');
+      if (brandEl) {
+        setIfEmpty('brand', propValue('name', brandEl) || brandEl.getAttribute('content') || brandEl.textContent.trim());
+      }
+
+      const offerScope = scope.querySelector('[itemprop="offers"]') || scope;
+      setIfEmpty('regular_price', toPrice(propValue('price', offerScope) || propValue('lowPrice', offerScope)));
+      setIfEmpty('currency', propValue('priceCurrency', offerScope));
+      setIfEmpty('stock_status', toStockStatus(propValue('availability', offerScope)));
+
+      if (!data.images) {
+        const images = Array.from(scope.querySelectorAll('[itemprop="image"]'))
+          .map(el => toImageUrl(el.getAttribute('content') || el.getAttribute('src') || el.getAttribute('href')))
+          .filter(Boolean);
+        if (images.length > 0) {
+          data.images = [...new Set(images)].map(src => ({ src }));
+        }
+      }
+
+      if (!data.rating) {
+        const ratingValue = propValue('ratingValue');
+        if (ratingValue) {
+          data.rating = {
+            average: ratingValue,
+            count: Number(propValue('reviewCount') || propValue('ratingCount') || 0),
+          };
+        }
+      }
+
+      if (Object.keys(data).length > before) sources.push('microdata');
+    }
+
+    // 3. OpenGraph / product meta tags
+    const meta = (property) => {
+      const el = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+      return el ? (el.getAttribute('content') || '').trim() : '';
+    };
+
+    const beforeOg = Object.keys(data).length;
+    // og:title often carries the shop name ("Product - Shop"), strip it when og:site_name tells us what it is
+    const siteName = meta('og:site_name');
+    let ogTitle = meta('og:title');
+    if (siteName && ogTitle.includes(siteName)) {
+      ogTitle = ogTitle.replace(siteName, '').replace(/^[\s|\-–—:]+|[\s|\-–—:]+$/g, '').trim();
+    }
+    setIfEmpty('name', ogTitle);
+    setIfEmpty('regular_price', toPrice(meta('product:price:amount') || meta('og:price:amount')));
+    setIfEmpty('sale_price', toPrice(meta('product:sale_price:amount')));
+    setIfEmpty('currency', meta('product:price:currency') || meta('og:price:currency'));
+    setIfEmpty('stock_status', toStockStatus(meta('product:availability') || meta('og:availability')));
+    setIfEmpty('brand', meta('product:brand') || meta('og:brand'));
+    setIfEmpty('sku', meta('product:retailer_item_id'));
+    if (!data.images) {
+      const ogImage = toImageUrl(meta('og:image'));
+      if (ogImage) data.images = [{ src: ogImage }];
+    }
+    if (Object.keys(data).length > beforeOg) sources.push('opengraph');
+
+    // 4. Breadcrumbs - BreadcrumbList JSON-LD/microdata, then common breadcrumb markup
+    // Gives the category hierarchy ("Home > Men > Shavers > Product")
+    const findBreadcrumbNode = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) {
+        for (const item of node) {
+          const found = findBreadcrumbNode(item);
+          if (found) return found;
+        }
+        return null;
+      }
+      if ([].concat(node['@type'] || []).includes('BreadcrumbList')) return node;
+      return findBreadcrumbNode(node['@graph']) || findBreadcrumbNode(node.breadcrumb) || null;
+    };
+
+    let crumbs = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      if (crumbs.length > 0) return;
+      try {
+        const list = findBreadcrumbNode(JSON.parse(script.textContent));
+        crumbs = [].concat(list?.itemListElement || [])
+          .sort((a, b) => Number(a.position || 0) - Number(b.position || 0))
+          .map(item => ({
+            name: item.name || item.item?.name || '',
+            url: typeof item.item === 'string' ? item.item : item.item?.['@id'] || item.item?.url || '',
+          }));
+      } catch (e) {
+        // Invalid JSON-LD blocks are common - ignore them
+      }
+    });
+
+    if (crumbs.length === 0) {
+      const microdata = document.querySelectorAll('[itemtype*="schema.org/BreadcrumbList"] [itemprop="itemListElement"]');
+      crumbs = Array.from(microdata).map(el => ({
+        name: (el.querySelector('[itemprop="name"]')?.textContent || el.textContent || '').trim(),
+        url: el.querySelector('[itemprop="item"]')?.getAttribute('href') || '',
+      }));
+    }
+
+    if (crumbs.length === 0) {
+      const trail = document.querySelector('.woocommerce-breadcrumb, nav[aria-label*="breadcrumb" i], .rank-math-breadcrumb, #breadcrumbs, .breadcrumbs, .breadcrumb');
+      if (trail) {
+        crumbs = Array.from(trail.querySelectorAll('a')).map(a => ({ name: a.textContent.trim(), url: a.href }));
+      }
+    }
+
+    const currentUrl = window.location.href.split(/[?#]/)[0].replace(/\/$/, '');
+    const breadcrumbs = crumbs
+      .map(crumb => ({ name: String(crumb.name).replace(/\s+/g, ' ').trim(), url: String(crumb.url || '') }))
+      .filter((crumb) => {
+        if (!crumb.name) return false;
+        if (/^(home|خانه|صفحه اصلی|shop|فروشگاه)$/i.test(crumb.name)) return false;
+        if (crumb.url) {
+          try {
+            const crumbUrl = new URL(crumb.url, window.location.href);
+            if (crumbUrl.pathname === '/') return false;
+            if (crumbUrl.href.split(/[?#]/)[0].replace(/\/$/, '') === currentUrl) return false;
+          } catch (e) {
+            // Keep crumbs with odd URLs
+          }
+        }
+        return crumb.name !== data.name;
+      })
+      .map(crumb => crumb.name);
+
+    if (breadcrumbs.length > 0) {
+      data.breadcrumbs = breadcrumbs;
+      sources.push('breadcrumbs');
+    }
+
+    // A sale price that is not below the regular price is a parsing mix-up, not a sale
+    if (data.sale_price && data.regular_price && Number(data.sale_price) >= Number(data.regular_price)) {
+      delete data.sale_price;
+    }
+
+    return { data, sources };
+  });
+
+  const found = Object.keys(structured.data);
+  if (found.length > 0) {
+    console.log(`[Structured Data] Found ${found.join(', ')} (from ${structured.sources.join(', ')})`);
+  } else {
+    console.log('[Structured Data] No structured product data found');
+  }
+
+  return structured.data;
+}
+
+/**
+ * Merges DOM scraper output into structured data
+ * Structured values win; DOM values only fill fields that are still empty.
+ * Gallery images are the exception: structured markup usually lists one or two images,
+ * so DOM gallery images are appended after them (without duplicates). Spec pairs are combined the same way.
+ * @param {Object} structured - Output of extractStructuredData()
+ * @param {Object} domData - Output of scrapeWordPressSite()/scrapeCustomSite()
+ * @returns {Object} Merged product data
+ */
+export function mergeStructuredData(structured, domData) {
+  const merged = {
+    currency: '',
+    gtin: '',
+    brand: '',
+    rating: null,
+    breadcrumbs: [],
+    ...domData,
+  };
+
+  Object.entries(structured).forEach(([field, value]) => {
+    if (field === 'images' || field === 'specs') return;
+    if (value !== undefined && value !== null && value !== '') {
+      merged[field] = value;
+    }
+  });
+
+  // Keep the DOM sale price only when it still makes sense next to a structured regular price
+  if (structured.regular_price && !structured.sale_price && merged.sale_price &&
+      Number(merged.sale_price) >= Number(structured.regular_price)) {
+    merged.sale_price = '';
+  }
+
+  if (structured.images && structured.images.length > 0) {
+    const images = [...structured.images];
+    (domData.images || []).forEach((img) => {
+      if (!images.find(existing => existing.src === img.src)) {
+        images.push(img);
+      }
+    });
+    merged.images = images;
+  }
+
+  // Spec pairs from both sources are kept; utils/specs.js drops the DOM duplicates
+  if (structured.specs && structured.specs.length > 0) {
+    merged.specs = [...structured.specs, ...(domData.specs || [])];
+  }
+
+  return merged;
+}
+
+/**
+ * Adds the breadcrumb hierarchy to scraped categories
+ * A category that appears in the breadcrumb trail gets path = trail up to and including it;
+ * with no scraped categories, the deepest breadcrumb becomes the category.
+ * The path lets utils/categories.js match or create the right parent categories.
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Array<{name: string, path?: Array<string>}>} Categories
+ */
+export function applyBreadcrumbPaths(productData) {
+  const trail = productData.breadcrumbs || [];
+  const categories = productData.categories || [];
+
+  if (trail.length === 0) {
+    return categories;
+  }
+  if (categories.length === 0) {
+    return [{ name: trail[trail.length - 1], path: trail }];
+  }
+
+  return categories.map((category) => {
+    const index = trail.findIndex(name => name.toLowerCase() === category.name.toLowerCase());
+    return index >= 0 ? { ...category, path: trail.slice(0, index + 1) } : category;
+  });
+}
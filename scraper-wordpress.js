@@ -1,14 +1,222 @@
 import puppeteer from 'puppeteer';
+import axios from 'axios';
+import { USER_AGENT } from './scraper.js';
+import { decodeEntities } from './utils/text.js';
+
+/**
+ * Maximum variations fetched from the Store API for one product
+ */
+const MAX_STORE_API_VARIATIONS = 100;
+
+/**
+ * Origins where the Store API turned out to be unavailable, so batches don't retry it per product
+ */
+const storeApiUnavailable = new Set();
+
+/**
+ * Converts Store API minor-unit prices ("868000000" with minor unit 2) to a price string
+ * @param {Object} prices - Store API prices object
+ * @param {string} field - 'regular_price' | 'sale_price' | 'price'
+ * @returns {string} Price in major units, '' if missing
+ */
+function fromMinorUnits(prices, field) {
+  const raw = prices?.[field];
+  if (raw === undefined || raw === null || raw === '') return '';
+  const value = Number(raw) / Math.pow(10, Number(prices.currency_minor_unit) || 0);
+  return Number.isFinite(value) ? String(value) : '';
+}
+
+/**
+ * Maps Store API stock flags to a WooCommerce stock status
+ * @param {Object} item - Store API product or variation
+ * @returns {string} 'instock' | 'outofstock' | 'onbackorder'
+ */
+function toStockStatus(item) {
+  if (item.is_on_backorder) return 'onbackorder';
+  return item.is_in_stock === false ? 'outofstock' : 'instock';
+}
+
+/**
+ * Builds the breadcrumb trail of a product's deepest category from the Store API category list
+ * Gives the same category paths as the page's breadcrumbs on the DOM path (see applyBreadcrumbPaths())
+ * @param {Object} api - Axios instance for the Store API
+ * @param {Array<Object>} productCategories - Categories of the Store API product ({ id, name })
+ * @returns {Promise<Array<string>>} Category names from the top level down, [] when unknown
+ */
+async function fetchCategoryTrail(api, productCategories) {
+  if (productCategories.length === 0) {
+    return [];
+  }
+
+  let categories;
+  try {
+    const response = await api.get('/products/categories', { params: { per_page: 100 } });
+    categories = Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    console.warn(`[WordPress Scraper] Could not load Store API categories: ${error.message}`);
+    return [];
+  }
+
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const trailOf = (category) => {
+    const trail = [];
+    const seen = new Set();
+    for (let current = byId.get(category.id); current && !seen.has(current.id); current = byId.get(current.parent)) {
+      seen.add(current.id);
+      trail.unshift(decodeEntities(current.name));
+    }
+    return trail;
+  };
+
+  return productCategories.map(trailOf).reduce((deepest, trail) => (trail.length > deepest.length ? trail : deepest), []);
+}
+
+/**
+ * Fetches a product from the public WooCommerce Store API (/wp-json/wc/store/v1/products?slug=...)
+ * Much faster and cleaner than DOM scraping: no browser, prices in minor units, real attributes
+ * Returns null when the API is disabled, blocked or doesn't know the slug, so callers can fall back
+ * Disable with WC_STORE_API=false in .env
+ * @param {string} url - The product URL
+ * @returns {Promise<Object|null>} Product data object or null
+ */
+export async function fetchStoreApiProduct(url) {
+  if (process.env.WC_STORE_API === 'false') {
+    return null;
+  }
+
+  let origin;
+  let slug;
+  try {
+    const parsed = new URL(url);
+    origin = parsed.origin;
+    slug = decodeURIComponent(parsed.pathname.split('/').filter(Boolean).pop() || '');
+  } catch (error) {
+    return null;
+  }
+
+  if (!slug || storeApiUnavailable.has(origin)) {
+    return null;
+  }
+
+  const api = axios.create({
+    baseURL: `${origin}/wp-json/wc/store/v1`,
+    timeout: 15000,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+  });
+
+  let product;
+  try {
+    console.log(`[WordPress Scraper] Trying WooCommerce Store API for slug "${slug}"...`);
+    const response = await api.get('/products', { params: { slug } });
+
+    if (!Array.isArray(response.data)) {
+      // HTML or an error object: not a Store API
+      storeApiUnavailable.add(origin);
+      console.log('[WordPress Scraper] Store API not available on this site');
+      return null;
+    }
+
+    product = response.data.find(p => p.slug === slug || p.permalink === url) || response.data[0];
+    if (!product) {
+      console.log('[WordPress Scraper] Store API has no product with this slug');
+      return null;
+    }
+  } catch (error) {
+    const status = error.response?.status;
+    if (!status || status === 401 || status === 403 || status === 404) {
+      storeApiUnavailable.add(origin);
+    }
+    console.log(`[WordPress Scraper] Store API unavailable (${status || error.message}), falling back to DOM scraping`);
+    return null;
+  }
+
+  const data = {
+    name: decodeEntities(product.name || ''),
+    description: product.description || '',
+    short_description: product.short_description || '',
+    regular_price: fromMinorUnits(product.prices, 'regular_price'),
+    sale_price: '',
+    sku: product.sku || '',
+    stock_status: toStockStatus(product),
+    currency: product.prices?.currency_code || '',
+    gtin: '',
+    brand: (product.brands || []).map(brand => decodeEntities(brand.name))[0] || '',
+    rating: Number(product.review_count) > 0 ? { average: String(product.average_rating), count: Number(product.review_count) } : null,
+    images: (product.images || []).map(img => ({ src: img.src })).filter(img => img.src),
+    categories: (product.categories || []).map(cat => ({ name: decodeEntities(cat.name) })),
+    tags: (product.tags || []).map(tag => ({ name: decodeEntities(tag.name) })),
+    features: [],
+    specs: [],
+    variation_attributes: [],
+    variations: [],
+  };
+
+  if (product.on_sale) {
+    data.sale_price = fromMinorUnits(product.prices, 'sale_price');
+  }
+
+  // Non-variation attributes become specs and features ("Material: Steel"), variation attributes become options
+  (product.attributes || []).forEach((attribute) => {
+    const terms = (attribute.terms || []).map(term => decodeEntities(term.name));
+    if (terms.length === 0) return;
+
+    if (attribute.has_variations) {
+      data.variation_attributes.push({ name: decodeEntities(attribute.name), options: terms });
+    } else {
+      data.specs.push({ name: decodeEntities(attribute.name), value: terms.join('، ') });
+      data.features.push(`${decodeEntities(attribute.name)}: ${terms.join('، ')}`);
+    }
+  });
+
+  data.breadcrumbs = await fetchCategoryTrail(api, product.categories || []);
+
+  // Variation list only has IDs and attribute slugs - prices, SKU, stock and image need one request each
+  const variations = (product.variations || []).slice(0, MAX_STORE_API_VARIATIONS);
+  for (const variation of variations) {
+    try {
+      const { data: details } = await api.get(`/products/${variation.id}`);
+      data.variations.push({
+        attributes: (variation.attributes || []).filter(a => a.value).map((a) => {
+          const attribute = (product.attributes || []).find(attr => attr.name === a.name);
+          const term = attribute?.terms?.find(t => t.slug === a.value);
+          return { name: decodeEntities(a.name), option: decodeEntities(term ? term.name : decodeURIComponent(a.value)) };
+        }),
+        regular_price: fromMinorUnits(details.prices, 'regular_price'),
+        sale_price: details.on_sale ? fromMinorUnits(details.prices, 'sale_price') : '',
+        sku: details.sku || '',
+        stock_status: toStockStatus(details),
+        // The Store API has no stock level (low_stock_remaining is only set below the low-stock threshold)
+        stock_quantity: null,
+        image: details.images?.[0]?.src ? { src: details.images[0].src } : null,
+      });
+    } catch (error) {
+      console.warn(`[WordPress Scraper] Could not fetch variation ${variation.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`[WordPress Scraper] ✓ Product loaded from Store API (ID: ${product.id}${data.variations.length ? `, ${data.variations.length} variations` : ''})`);
+  return data;
+}
 
 /**
  * Scrapes product data from WordPress/WooCommerce sites
  * Optimized for sites like rezonal.co
+ * Tries the Store API first and only scrapes the DOM when it is unavailable
  * @param {string} url - The product URL to scrape
  * @param {string} baseUrl - Optional base URL for resolving relative image paths
  * @param {Object} page - Puppeteer page object
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.storeApi - Set to false when the Store API was already tried for this URL
  * @returns {Promise<Object>} Structured product data object
  */
-export async function scrapeWordPressSite(url, baseUrl = '', page) {
+export async function scrapeWordPressSite(url, baseUrl = '', page, options = {}) {
+  if (options.storeApi !== false) {
+    const apiData = await fetchStoreApiProduct(url);
+    if (apiData) {
+      return apiData;
+    }
+  }
+
   console.log(`[WordPress Scraper] Extracting data from WordPress/WooCommerce site...`);
 
     const productData = await page.evaluate((baseUrl) => {
@@ -19,10 +227,14 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
         regular_price: '',
         sale_price: '',
         sku: '',
+        stock_status: '', // 'instock' | 'outofstock' | '' (unknown)
         images: [],
         categories: [],
         tags: [],
         features: [], // Product features/specifications
+        specs: [], // [{ name, value }] - spec table rows
+        variation_attributes: [], // [{ name, options: [string] }] - size/color selectors
+        variations: [], // [{ attributes: [{ name, option }], regular_price, sale_price, sku, stock_status, stock_quantity, image }]
       };
 
     // Find the main product container to scope all extraction
@@ -69,7 +281,7 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
       for (const el of allPriceElements) {
         const text = el.textContent.trim();
         // Look for price pattern with numbers and currency
-        if (text.match(/[\d,]+[\s]*تومان/i) || text.match(/[\d,]+[\s]*ریال/i) || text.match(/[\d,]+[\s]*\$|USD/i)) {
+        if (text.match(/[\d۰-۹٠-٩,٬]+[\s]*(تومان|ریال|\$|USD)/i)) {
           if (!isInExcludedSection(el) && el.children.length === 0) {
             priceElement = el;
             break;
@@ -79,12 +291,8 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
     }
     
     if (priceElement && !isInExcludedSection(priceElement)) {
-      const priceText = priceElement.textContent.trim();
-      // Extract numeric value - handle Persian numbers and commas
-      const priceMatch = priceText.match(/[\d,]+/);
-      if (priceMatch) {
-        data.regular_price = priceMatch[0].replace(/,/g, '');
-      }
+      // Kept as shown (Persian digits, separators, currency) - utils/price.js parses it
+      data.regular_price = priceElement.textContent.trim();
     }
 
     // Extract sale price - scoped to product container
@@ -100,11 +308,7 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
     }
     
     if (salePriceElement && !isInExcludedSection(salePriceElement)) {
-      const salePriceText = salePriceElement.textContent.trim();
-      const priceMatch = salePriceText.match(/[\d,]+/);
-      if (priceMatch) {
-        data.sale_price = priceMatch[0].replace(/,/g, '');
-      }
+      data.sale_price = salePriceElement.textContent.trim();
     }
 
     // Extract description - scoped to product container
@@ -126,6 +330,18 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
       data.sku = skuElement.textContent.trim();
     }
 
+    // Extract stock status - WooCommerce marks it with .in-stock/.out-of-stock classes
+    const stockElement = productContainer.querySelector('.stock, [itemprop="availability"], [class*="stock"]');
+    if (stockElement && !isInExcludedSection(stockElement)) {
+      const stockClass = stockElement.className || '';
+      const stockText = (stockElement.getAttribute('href') || stockElement.getAttribute('content') || '') + ' ' + stockElement.textContent;
+      if (stockClass.includes('out-of-stock') || stockText.match(/OutOfStock|ناموجود|out of stock|sold out/i)) {
+        data.stock_status = 'outofstock';
+      } else if (stockClass.includes('in-stock') || stockText.match(/InStock|موجود|in stock/i)) {
+        data.stock_status = 'instock';
+      }
+    }
+
     // Extract images - ONLY from main product gallery, exclude related products
     let galleryContainer = productContainer.querySelector('.product-images, .woocommerce-product-gallery, .product-gallery, .product-photos, [class*="gallery"], [class*="images"]');
     if (!galleryContainer) {
@@ -167,22 +383,86 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
       }
     });
 
+    // Extract variations - WooCommerce renders every variation as JSON in data-product_variations
+    const variationForm = productContainer.querySelector('form.variations_form, form.variations') || document.querySelector('form.variations_form');
+    if (variationForm && !isInExcludedSection(variationForm)) {
+      const attributeLabels = {}; // attribute_pa_color -> { name, options: { slug: label } }
+
+      const addAttributeOption = (name, option) => {
+        let attribute = data.variation_attributes.find(a => a.name === name);
+        if (!attribute) {
+          attribute = { name, options: [] };
+          data.variation_attributes.push(attribute);
+        }
+        if (option && !attribute.options.includes(option)) {
+          attribute.options.push(option);
+        }
+      };
+
+      const attributeNameFromKey = key => decodeURIComponent(key.replace(/^attribute_(pa_)?/, '')).replace(/[-_]/g, ' ').trim();
+
+      variationForm.querySelectorAll('select[name^="attribute_"]').forEach((select) => {
+        const key = select.getAttribute('name');
+        const label = select.id ? variationForm.querySelector(`label[for="${select.id}"]`) : null;
+        const name = label ? label.textContent.trim() : attributeNameFromKey(key);
+        const options = {};
+        select.querySelectorAll('option').forEach((option) => {
+          if (option.value) {
+            options[option.value] = option.textContent.trim();
+            addAttributeOption(name, options[option.value]);
+          }
+        });
+        attributeLabels[key] = { name, options };
+      });
+
+      // The attribute is "false" when the shop loads variations over AJAX - only the dropdowns are known then
+      let variationsJson = [];
+      try {
+        variationsJson = JSON.parse(variationForm.getAttribute('data-product_variations') || '[]');
+      } catch (e) {
+        variationsJson = [];
+      }
+
+      if (Array.isArray(variationsJson)) {
+        variationsJson.forEach((variation) => {
+          const attributes = [];
+          Object.entries(variation.attributes || {}).forEach(([key, value]) => {
+            // An empty value means "any" for that attribute
+            if (!value) return;
+            const known = attributeLabels[key];
+            const name = known ? known.name : attributeNameFromKey(key);
+            const option = (known && known.options[value]) || decodeURIComponent(value);
+            attributes.push({ name, option });
+            addAttributeOption(name, option);
+          });
+
+          const regularPrice = variation.display_regular_price ?? variation.display_price;
+          const imageSrc = variation.image && (variation.image.full_src || variation.image.url || variation.image.src);
+
+          data.variations.push({
+            attributes,
+            regular_price: regularPrice !== undefined && regularPrice !== '' ? String(regularPrice) : '',
+            sale_price: variation.display_price < variation.display_regular_price ? String(variation.display_price) : '',
+            sku: variation.sku || '',
+            stock_status: variation.is_in_stock === false ? 'outofstock' : 'instock',
+            stock_quantity: Number.isInteger(variation.max_qty) ? variation.max_qty : null,
+            image: imageSrc ? { src: imageSrc } : null,
+          });
+        });
+      }
+    }
+
     // Extract categories - scoped to product container
-    // Only get main categories (limit to avoid timeout)
+    // (every category is kept; utils/categories.js maps them to store categories)
     let categoryElements = productContainer.querySelectorAll('a[href*="product-category"], a[href*="category"], .posted_in a, .product-categories a, [class*="category"] a');
-    
-    // Limit to first 3 categories to avoid timeout
-    let categoryCount = 0;
+
     categoryElements.forEach((cat) => {
-      if (categoryCount >= 3) return; // Limit to 3 categories
-      
       if (isInExcludedSection(cat)) {
         return;
       }
       const catName = cat.textContent.trim();
       if (catName && !data.categories.find(c => c.name === catName)) {
         data.categories.push({ name: catName });
-        categoryCount++;
       }
     });
     
@@ -192,7 +472,7 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
       const categoryMatch = containerText.match(/دسته[‌\s]*بندی[‌\s]*ها?[:\s]+([^\n]+)/i) || containerText.match(/categories?[:\s]+([^\n]+)/i);
       if (categoryMatch) {
         const categoriesText = categoryMatch[1].trim();
-        const categories = categoriesText.split(',').map(c => c.trim()).filter(c => c && c.length > 0).slice(0, 3);
+        const categories = categoriesText.split(/[,،]/).map(c => c.trim()).filter(c => c && c.length > 0);
         categories.forEach((catName) => {
           if (!data.categories.find(c => c.name === catName)) {
             data.categories.push({ name: catName });
@@ -353,6 +633,34 @@ export async function scrapeWordPressSite(url, baseUrl = '', page) {
     // Clean up features - remove duplicates and empty items, but keep ALL valid features
     data.features = [...new Set(data.features.filter(f => f && f.length > 3))];
 
+    // Extract specifications as name/value pairs: the "Additional information" table, spec tables,
+    // definition lists and any two-column table in the description (not the variations form)
+    const specRoots = [[productContainer, 'table.shop_attributes tr, table.woocommerce-product-attributes tr, [class*="spec"] table tr']];
+    if (data.description) {
+      const descDiv = document.createElement('div');
+      descDiv.innerHTML = data.description;
+      specRoots.push([descDiv, 'table tr']);
+    }
+    const addSpec = (nameEl, valueEl) => {
+      const name = nameEl?.textContent.replace(/\s+/g, ' ').trim();
+      const value = valueEl?.textContent.replace(/\s+/g, ' ').trim();
+      if (name && value) data.specs.push({ name, value });
+    };
+    specRoots.forEach(([root, rowSelector]) => {
+      root.querySelectorAll(rowSelector).forEach((row) => {
+        if (isInExcludedSection(row)) return;
+        const cells = row.querySelectorAll(':scope > th, :scope > td');
+        if (cells.length === 2) addSpec(cells[0], cells[1]);
+      });
+      root.querySelectorAll('dl').forEach((list) => {
+        if (isInExcludedSection(list)) return;
+        list.querySelectorAll(':scope > dt').forEach((term) => {
+          const definition = term.nextElementSibling;
+          if (definition && definition.tagName === 'DD') addSpec(term, definition);
+        });
+      });
+    });
+
     return data;
   }, baseUrl);
 
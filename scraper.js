@@ -1,18 +1,23 @@
 import puppeteer from 'puppeteer';
 import { scrapeCustomSite } from './scraper-custom.js';
-import { scrapeWordPressSite } from './scraper-wordpress.js';
+import { scrapeWordPressSite, fetchStoreApiProduct } from './scraper-wordpress.js';
+import { extractStructuredData, mergeStructuredData, applyBreadcrumbPaths } from './scraper-structured.js';
+import { getSiteProfile, scrapeWithProfile, mergeProfileData } from './scraper-profile.js';
+import { normalizeProductPrices } from './utils/price.js';
+import { processProductDescriptions } from './utils/description.js';
+import { normalizeProductSpecs } from './utils/specs.js';
 
 /**
- * User agent to mimic a real browser and avoid detection
+ * User agent to mimic a real browser and avoid detection (also sent with image downloads)
  */
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 /**
  * Detects if a site is WordPress/WooCommerce based on page content
  * @param {Object} page - Puppeteer page object
  * @returns {Promise<boolean>} True if WordPress site detected
  */
-async function isWordPressSite(page) {
+export async function isWordPressSite(page) {
   try {
     const isWP = await page.evaluate(() => {
       // Check for WordPress/WooCommerce indicators
@@ -32,88 +37,184 @@ async function isWordPressSite(page) {
   }
 }
 
+/**
+ * Launches a Puppeteer browser with the scraper's standard settings
+ * The returned browser can be passed to scrapeProduct() to scrape many pages with one Chromium
+ * @returns {Promise<Object>} Puppeteer browser instance
+ */
+export async function launchBrowser() {
+  // Launch Puppeteer with optimized settings
+  const launchOptions = {
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+    ],
+  };
+
+  // Use custom executable path if provided
+  if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+    launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    console.log(`[Scraper] Using custom Chromium path: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
+  }
+
+  return puppeteer.launch(launchOptions);
+}
+
+/**
+ * Navigates a page to a URL with the scraper's user agent and waits for dynamic content
+ * @param {Object} page - Puppeteer page object
+ * @param {string} url - URL to open
+ * @returns {Promise<void>}
+ */
+export async function loadPage(page, url) {
+  // Set user agent to avoid detection
+  await page.setUserAgent(USER_AGENT);
+
+  // Navigate to the page
+  await page.goto(url, {
+    waitUntil: 'networkidle2',
+    timeout: 30000,
+  });
+
+  console.log('[Scraper] Page loaded, waiting for content...');
+
+  // Wait a bit for dynamic content to load
+  await new Promise(resolve => setTimeout(resolve, 2000));
+  
+  // Try to wait for any content
+  try {
+    await page.waitForSelector('body', { timeout: 5000 });
+    console.log('[Scraper] Page content loaded');
+  } catch (error) {
+    console.warn('[Scraper] Warning: Page load timeout, continuing anyway...');
+  }
+}
+
+/**
+ * Logs a summary of extracted product data (all fields are optional)
+ * @param {Object} productData - Structured product data object
+ */
+function logExtraction(productData) {
+  console.log('[Scraper] Extraction completed:');
+  console.log(`[Scraper] - Name: ${productData.name || '(not found)'}`);
+  console.log(`[Scraper] - Price: ${productData.regular_price || '(not found)'}`);
+  console.log(`[Scraper] - Sale Price: ${productData.sale_price || '(not found)'}`);
+  console.log(`[Scraper] - SKU: ${productData.sku || '(not found)'}`);
+  console.log(`[Scraper] - Stock: ${productData.stock_status || '(not found)'}`);
+  console.log(`[Scraper] - Brand: ${productData.brand || '(not found)'}`);
+  console.log(`[Scraper] - GTIN: ${productData.gtin || '(not found)'}`);
+  console.log(`[Scraper] - Description: ${productData.description ? 'Found' : '(not found)'}`);
+  console.log(`[Scraper] - Short Description: ${productData.short_description ? 'Found (' + productData.short_description.substring(0, 50) + '...)' : '(not found)'}`);
+  console.log(`[Scraper] - Images: ${productData.images.length}`);
+  console.log(`[Scraper] - Categories: ${productData.categories.length}`);
+  console.log(`[Scraper] - Tags: ${productData.tags.length}`);
+  console.log(`[Scraper] - Features: ${productData.features?.length || 0} ${productData.features?.length > 0 ? `(${productData.features.slice(0, 3).join(', ')}...)` : ''}`);
+  console.log(`[Scraper] - Specs: ${productData.specs?.length || 0} ${productData.specs?.length > 0 ? `(${productData.specs.slice(0, 3).map(spec => `${spec.name}: ${spec.value}`).join(', ')}...)` : ''}`);
+}
+
+/**
+ * Post-processing shared by the Store API and the browser path, so both give the same data for one product
+ * @param {Object} productData - Merged scraper output
+ * @param {string} url - The product URL
+ * @param {Object|null} profile - Site profile from getSiteProfile()
+ * @returns {Object} The same productData, finished
+ */
+function finishProductData(productData, url, profile) {
+  // Breadcrumbs tell which parent categories each scraped category sits under
+  productData.categories = applyBreadcrumbPaths(productData);
+
+  // Keep the page URL with the data so the uploader can link the product back to its source
+  productData.source_url = url;
+
+  // Prices arrive as page text in the source's digits and currency - convert them to store prices
+  normalizeProductPrices(productData, profile);
+
+  // Supplier HTML → allowlisted tags without branding, links and phone numbers; short description built from it
+  processProductDescriptions(productData, profile);
+
+  // Spec tables, definition lists and "label: value" features → name/value specs
+  normalizeProductSpecs(productData);
+
+  logExtraction(productData);
+
+  return productData;
+}
+
 /**
  * Main scraper function that detects site type and routes to appropriate scraper
  * @param {string} url - The product URL to scrape
  * @param {string} baseUrl - Optional base URL for resolving relative image paths
+ * @param {Object} options - Optional settings
+ * @param {Object} options.browser - Shared browser from launchBrowser(); only the page is closed when given
  * @returns {Promise<Object>} Structured product data object
  */
-export async function scrapeProduct(url, baseUrl = '') {
+export async function scrapeProduct(url, baseUrl = '', options = {}) {
   console.log(`[Scraper] Starting scrape for URL: ${url}`);
-  
-  let browser = null;
+
+  // A site profile (profiles/<hostname>.yaml) replaces selector guesses for the fields it describes
+  const profile = getSiteProfile(url);
+
+  // Fast path: WooCommerce sources usually expose the public Store API - no browser needed
+  // (a profile can opt out with "storeApi: false" when its selectors must be used)
+  const tryStoreApi = !profile || profile.storeApi !== false;
+  const apiData = tryStoreApi ? await fetchStoreApiProduct(url) : null;
+
+  // Store API data only needs the page for the profile's field overrides
+  const profileFields = Object.keys(profile?.fields || {}).length > 0;
+  if (apiData && !profileFields) {
+    return finishProductData(apiData, url, profile);
+  }
+
+  const ownsBrowser = !options.browser;
+  let browser = options.browser || null;
+  let page = null;
   
   try {
-    // Launch Puppeteer with optimized settings
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-      ],
-    };
-
-    // Use custom executable path if provided
-    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-      launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-      console.log(`[Scraper] Using custom Chromium path: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
+    if (ownsBrowser) {
+      browser = await launchBrowser();
     }
+    page = await browser.newPage();
 
-    browser = await puppeteer.launch(launchOptions);
-    const page = await browser.newPage();
-
-    // Set user agent to avoid detection
-    await page.setUserAgent(USER_AGENT);
     console.log('[Scraper] Browser launched, navigating to page...');
+    await loadPage(page, url);
 
-    // Navigate to the product page
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000,
-    });
+    let productData;
+    if (apiData) {
+      // Profile values win over the API, as they do over the selector heuristics
+      productData = mergeProfileData(await scrapeWithProfile(url, baseUrl, page, profile), apiData);
+    } else {
+      // First pass: JSON-LD / microdata / OpenGraph published by the shop itself
+      const structuredData = await extractStructuredData(page);
 
-    console.log('[Scraper] Page loaded, waiting for content...');
+      let domData = null;
+      if (!profile || profile.fallback !== false) {
+        // Detect site type and route to appropriate scraper
+        const isWordPress = await isWordPressSite(page);
 
-    // Wait a bit for dynamic content to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Try to wait for any content
-    try {
-      await page.waitForSelector('body', { timeout: 5000 });
-      console.log('[Scraper] Page content loaded');
-    } catch (error) {
-      console.warn('[Scraper] Warning: Page load timeout, continuing anyway...');
-    }
+        if (isWordPress) {
+          console.log('[Scraper] WordPress/WooCommerce site detected');
+          // Store API was already tried above (or disabled by the profile)
+          domData = await scrapeWordPressSite(url, baseUrl, page, { storeApi: false });
+        } else {
+          console.log('[Scraper] Custom-coded site detected');
+          domData = await scrapeCustomSite(url, baseUrl, page);
+        }
+      }
 
-    // Detect site type and route to appropriate scraper
-    const isWordPress = await isWordPressSite(page);
-    
-    let productData;
-    if (isWordPress) {
-      console.log('[Scraper] WordPress/WooCommerce site detected');
-      productData = await scrapeWordPressSite(url, baseUrl, page);
-    } else {
-      console.log('[Scraper] Custom-coded site detected');
-      productData = await scrapeCustomSite(url, baseUrl, page);
+      // Selector heuristics only fill the fields structured data left empty;
+      // profile values are explicit per-site configuration, so they win over both
+      productData = mergeStructuredData(structuredData, mergeProfileData({}, domData));
+      if (profile) {
+        const profileData = await scrapeWithProfile(url, baseUrl, page, profile);
+        productData = mergeProfileData(profileData, productData);
+      }
     }
 
-    // Log extracted data (all fields are optional)
-    console.log('[Scraper] Extraction completed:');
-    console.log(`[Scraper] - Name: ${productData.name || '(not found)'}`);
-    console.log(`[Scraper] - Price: ${productData.regular_price || '(not found)'}`);
-    console.log(`[Scraper] - Sale Price: ${productData.sale_price || '(not found)'}`);
-    console.log(`[Scraper] - SKU: ${productData.sku || '(not found)'}`);
-    console.log(`[Scraper] - Description: ${productData.description ? 'Found' : '(not found)'}`);
-    console.log(`[Scraper] - Short Description: ${productData.short_description ? 'Found (' + productData.short_description.substring(0, 50) + '...)' : '(not found)'}`);
-    console.log(`[Scraper] - Images: ${productData.images.length}`);
-    console.log(`[Scraper] - Categories: ${productData.categories.length}`);
-    console.log(`[Scraper] - Tags: ${productData.tags.length}`);
-    console.log(`[Scraper] - Features: ${productData.features?.length || 0} ${productData.features?.length > 0 ? `(${productData.features.slice(0, 3).join(', ')}...)` : ''}`);
-
-    return productData;
+    return finishProductData(productData, url, profile);
 
   } catch (error) {
     console.error('[Scraper] Error during scraping:', error.message);
@@ -124,16 +225,13 @@ export async function scrapeProduct(url, baseUrl = '') {
     
     throw error;
   } finally {
-    // Always close the browser
-    if (browser) {
+    // Always close the browser we launched; a shared browser only loses its page
+    if (ownsBrowser && browser) {
       await browser.close();
       console.log('[Scraper] Browser closed');
+    } else if (page) {
+      await page.close().catch(() => {});
     }
   }
 }
 
-/**
- * Future extension: Batch scraping multiple products
- * Comment for scalability - can be implemented later for concurrent scraping
- * Example: Promise.all(urls.map(url => scrapeProduct(url)))
- */
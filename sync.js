@@ -0,0 +1,178 @@
+import { launchBrowser, scrapeProduct } from './scraper.js';
+import { initWooCommerceAPI, listImportedProducts } from './uploader.js';
+import { runWithConcurrency } from './batch.js';
+import { applyPricingRules, recordPricingAudit } from './utils/pricing.js';
+import { recordImport, hashProductData } from './utils/ledger.js';
+
+/**
+ * Fields refreshed by sync - everything else stays as it was imported/edited
+ */
+const SYNC_FIELDS = ['regular_price', 'sale_price', 'stock_status'];
+
+/**
+ * Compares two field values the way WooCommerce stores them
+ * Prices are compared numerically so "8680000" and "8680000.00" are equal
+ * @param {string} field - Field name
+ * @param {string} current - Value in WooCommerce
+ * @param {string} scraped - Value from the source page
+ * @returns {boolean} True if the values differ
+ */
+function isDifferent(field, current, scraped) {
+  if (field === 'stock_status') {
+    return (current || '') !== (scraped || '');
+  }
+  if (!current && !scraped) return false;
+  return Number(current || 0) !== Number(scraped || 0);
+}
+
+/**
+ * Builds the change set for one product from freshly scraped data
+ * A missing regular price means the scrape failed, so prices are left untouched;
+ * a missing stock status means "unknown", so stock is left untouched
+ * @param {Object} product - WooCommerce product
+ * @param {Object} scraped - Product data from scrapeProduct()
+ * @returns {Object} Changes keyed by field: { from, to }
+ */
+function diffProduct(product, scraped) {
+  const changes = {};
+
+  SYNC_FIELDS.forEach((field) => {
+    if (field !== 'stock_status' && !scraped.regular_price) return;
+    if (field === 'stock_status' && !scraped.stock_status) return;
+
+    const current = product[field] || '';
+    const next = scraped[field] || '';
+    if (isDifferent(field, current, next)) {
+      changes[field] = { from: current, to: next };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Re-scrapes price, sale price and availability for every imported product
+ * and pushes differences to WooCommerce
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Report differences without updating WooCommerce
+ * @param {number} options.concurrency - Products scraped at the same time
+ * @param {number} options.limit - Only sync the first N imported products
+ * @returns {Promise<Array<Object>>} One result per product: { id, name, url, status, changes, error }
+ */
+export async function syncProducts(options = {}) {
+  const wcApi = initWooCommerceAPI();
+  const concurrency = Number(options.concurrency) || Number(process.env.BATCH_CONCURRENCY) || 2;
+  const baseUrl = process.env.CUSTOM_SITE_BASE_URL || '';
+
+  console.log('[Sync] Loading imported products from WooCommerce...');
+  let products = await listImportedProducts(wcApi);
+
+  // Variable products keep prices on their variations - re-import them with --upsert instead
+  const variableCount = products.filter(p => p.type === 'variable').length;
+  if (variableCount > 0) {
+    console.log(`[Sync] Skipping ${variableCount} variable products (use "batch --upsert" to refresh their variations)`);
+    products = products.filter(p => p.type !== 'variable');
+  }
+
+  if (options.limit) {
+    products = products.slice(0, Number(options.limit));
+  }
+  console.log(`[Sync] ${products.length} products with a source URL${options.dryRun ? ' (dry run)' : ''}`);
+
+  if (products.length === 0) {
+    return [];
+  }
+
+  const browser = await launchBrowser();
+
+  try {
+    return await runWithConcurrency(products, concurrency, async (product, index) => {
+      const result = {
+        id: product.id,
+        name: product.name || '',
+        url: product.source_url,
+        status: 'unchanged',
+        changes: {},
+        error: '',
+      };
+
+      try {
+        console.log(`[Sync] (${index + 1}/${products.length}) Product ${product.id}: ${product.source_url}`);
+        const scraped = await scrapeProduct(product.source_url, baseUrl, { browser });
+        // Compared as selling prices, so the markup isn't reported (and undone) as a price change;
+        // the ledger hash stays on the raw scrape, like the one pipeline.js records
+        const priced = applyPricingRules(scraped);
+
+        if (!scraped.regular_price && !scraped.stock_status) {
+          throw new Error('No price or availability found on source page');
+        }
+
+        result.changes = diffProduct(product, priced);
+        if (Object.keys(result.changes).length === 0) {
+          return result;
+        }
+
+        result.status = 'changed';
+        if (!options.dryRun) {
+          const update = {};
+          Object.entries(result.changes).forEach(([field, change]) => {
+            update[field] = change.to;
+          });
+          await wcApi.put(`products/${product.id}`, update);
+          result.status = 'updated';
+          if (update.regular_price !== undefined || update.sale_price !== undefined) {
+            recordPricingAudit(priced, { product_id: product.id, action: 'sync' });
+          }
+          recordImport({
+            action: 'synced',
+            source_url: product.source_url,
+            sku: product.sku,
+            product_id: product.id,
+            name: product.name,
+            content_hash: hashProductData(scraped),
+          });
+          console.log(`[Sync] ✓ Updated product ${product.id} (${Object.keys(update).join(', ')})`);
+        }
+      } catch (error) {
+        console.error(`[Sync] ✗ Product ${product.id}: ${error.message}`);
+        result.status = 'failed';
+        result.error = error.message;
+      }
+
+      return result;
+    });
+  } finally {
+    await browser.close();
+    console.log('[Sync] Browser closed');
+  }
+}
+
+/**
+ * Prints the per-product diff and totals for a sync run
+ * @param {Array<Object>} results - Results from syncProducts()
+ * @param {boolean} dryRun - Whether the run was a dry run
+ */
+export function printSyncReport(results, dryRun = false) {
+  const count = status => results.filter(r => r.status === status).length;
+
+  console.log('='.repeat(60));
+  console.log(dryRun ? 'SYNC REPORT (DRY RUN - nothing was updated)' : 'SYNC REPORT');
+  console.log('='.repeat(60));
+
+  results
+    .filter(r => r.status === 'changed' || r.status === 'updated')
+    .forEach((r) => {
+      console.log(`#${r.id} ${r.name}`);
+      Object.entries(r.changes).forEach(([field, change]) => {
+        console.log(`    ${field}: ${change.from || '(empty)'} → ${change.to || '(empty)'}`);
+      });
+    });
+
+  results
+    .filter(r => r.status === 'failed')
+    .forEach(r => console.log(`#${r.id} FAILED: ${r.error}`));
+
+  console.log('-'.repeat(60));
+  console.log(`Total: ${results.length} | ${dryRun ? 'Would update' : 'Updated'}: ${count(dryRun ? 'changed' : 'updated')} | Unchanged: ${count('unchanged')} | Failed: ${count('failed')}`);
+  console.log('='.repeat(60));
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, createTextFilter } from '../utils/description.js';
+
+/**
+ * Description cleanup tests: the supplier text filter applied through sanitizeHtml()
+ */
+
+/**
+ * Sanitizes HTML with the text filter of one supplier page
+ * @param {string} html - Description HTML
+ * @param {string} sourceUrl - Product page URL
+ * @returns {string} Cleaned HTML
+ */
+function clean(html, sourceUrl) {
+  return sanitizeHtml(html, { baseUrl: sourceUrl, text: createTextFilter({ sourceUrl }) });
+}
+
+test('takes the site name from the registrable domain, not a shop. subdomain', () => {
+  const html = clean(
+    '<p>This shaver fits any shop counter.</p><p>Buy it from Example with free shipping.</p>',
+    'https://shop.example.com/product/shaver/'
+  );
+
+  assert.equal(html, '<p>This shaver fits any shop counter.</p>');
+});
+
+test('ignores generic subdomains and country second-level labels', () => {
+  assert.equal(
+    clean('<p>A store-grade charger. Only at Mobile!</p>', 'https://store.mobile.ir/product/charger/'),
+    '<p>A store-grade charger. </p>'
+  );
+  assert.equal(
+    clean('<p>Fast charging. Sold by Gadgetry.</p>', 'https://www.gadgetry.co.uk/p/1'),
+    '<p>Fast charging. </p>'
+  );
+});
+
+test('drops paragraphs left with only calls to action after contact details are cut', () => {
+  const html = clean(
+    '<p>Stainless steel blades.</p><p>Call 09123456789 or visit example.com</p><p>برای خرید با ۰۹۱۲۳۴۵۶۷۸۹ تماس بگیرید</p>',
+    'https://shop.test/product/shaver/'
+  );
+
+  assert.equal(html, '<p>Stainless steel blades.</p>');
+});
+
+test('keeps product text that only shares words with calls to action', () => {
+  const html = clean('<p>Call 09123456789 to ask about the travel case.</p>', 'https://shop.test/product/shaver/');
+
+  assert.match(html, /^<p>\s*to ask about the travel case\.<\/p>$/);
+});
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scrapeProduct, launchBrowser, loadPage } from '../../scraper.js';
+
+/**
+ * Folder with one sub folder per fixture: page.html, fixture.json and expected.json
+ */
+export const FIXTURES_DIR = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'fixtures');
+
+/**
+ * Settings every replay runs with, so a developer's .env or shell can't change the snapshots
+ * The Store API is off because the fixtures test the selector heuristics, not the API fast path
+ */
+const REPLAY_ENV = {
+  WC_STORE_API: 'false',
+  STORE_CURRENCY: 'IRT',
+  SOURCE_CURRENCY: 'IRT',
+  CURRENCY_RATES: '',
+  PRICE_ROUNDING: '',
+  PRICE_ROUNDING_MODE: '',
+  SHORT_DESCRIPTION_MAX_LENGTH: '',
+  SITE_PROFILES_DIR: '',
+};
+
+/**
+ * Applies REPLAY_ENV to process.env (empty values remove the variable, so the code default is used)
+ */
+export function applyReplayEnv() {
+  Object.entries(REPLAY_ENV).forEach(([key, value]) => {
+    if (value) {
+      process.env[key] = value;
+    } else {
+      delete process.env[key];
+    }
+  });
+}
+
+/**
+ * Builds a fixture name from a product URL
+ * @param {string} url - Product URL
+ * @returns {string} Name like "rezonal.co-clipper-titan-plus"
+ */
+export function fixtureNameFromUrl(url) {
+  const { hostname, pathname } = new URL(url);
+  const slug = decodeURIComponent(pathname).split('/').filter(Boolean).pop() || '';
+  return [hostname.replace(/^www\./, ''), slug].filter(Boolean).join('-')
+    .replace(/[^\p{L}\p{N}.\-]+/gu, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 100);
+}
+
+/**
+ * Lists the recorded fixtures
+ * @returns {Array<string>} Fixture names, sorted
+ */
+export function listFixtures() {
+  if (!fs.existsSync(FIXTURES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'fixture.json')))
+    .sort();
+}
+
+/**
+ * Reads one fixture
+ * @param {string} name - Fixture name
+ * @returns {{name: string, dir: string, url: string, html: string, expected: Object|null}} expected is null before the first snapshot
+ */
+export function readFixture(name) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+  const expectedPath = path.join(dir, 'expected.json');
+
+  return {
+    name,
+    dir,
+    url: meta.url,
+    html: fs.readFileSync(path.join(dir, 'page.html'), 'utf8'),
+    expected: fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null,
+  };
+}
+
+/**
+ * Wraps a browser so every page it opens answers the fixture's URL with the saved HTML
+ * The page keeps its original URL (site profile, relative links and source_url behave as live),
+ * while every other request - scripts, images, fonts, XHR - is aborted, so replays never touch the network
+ * @param {Object} browser - Puppeteer browser from launchBrowser()
+ * @param {Object} fixture - Fixture from readFixture()
+ * @returns {{newPage: Function}} Browser stand-in for scrapeProduct({ browser })
+ */
+function createReplayBrowser(browser, fixture) {
+  // Chrome reports URLs percent-encoded (Persian slugs), as the URL class does
+  const pageUrl = new URL(fixture.url).href;
+  return {
+    newPage: async () => {
+      const page = await browser.newPage();
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.isNavigationRequest() && request.url() === pageUrl) {
+          request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: fixture.html });
+        } else {
+          request.abort();
+        }
+      });
+      return page;
+    },
+  };
+}
+
+/**
+ * Scrapes a fixture offline with the normal scrapeProduct() flow
+ * @param {Object} browser - Puppeteer browser from launchBrowser()
+ * @param {Object} fixture - Fixture from readFixture()
+ * @returns {Promise<Object>} productData as plain JSON (undefined fields dropped, like in the snapshot)
+ */
+export async function scrapeFixture(browser, fixture) {
+  const productData = await scrapeProduct(fixture.url, '', { browser: createReplayBrowser(browser, fixture) });
+  return JSON.parse(JSON.stringify(productData));
+}
+
+/**
+ * Saves the expected productData of a fixture
+ * @param {Object} fixture - Fixture from readFixture()
+ * @param {Object} productData - Output of scrapeFixture()
+ */
+export function writeSnapshot(fixture, productData) {
+  fs.writeFileSync(path.join(fixture.dir, 'expected.json'), `${JSON.stringify(productData, null, 2)}\n`);
+}
+
+/**
+ * Removes inline scripts from a rendered page so replays show the recorded DOM
+ * instead of running the storefront's JavaScript again; JSON-LD and <script src> tags stay
+ * (structured data and site type detection read them, and replays abort external scripts anyway)
+ * @param {string} html - page.content() of the loaded page
+ * @returns {string} HTML to save
+ */
+function stripInlineScripts(html) {
+  return html.replace(/<script\b([^>]*)>[\s\S]*?<\/script>/gi, (tag, attributes) => {
+    if (/type=["']?application\/ld\+json/i.test(attributes)) return tag;
+    if (/\bsrc=/i.test(attributes)) return `<script${attributes}></script>`;
+    return '';
+  });
+}
+
+/**
+ * Records a live product page as a fixture
+ * The page is saved after loadPage() has let its scripts run, so client-rendered shops (Vue, React) are captured as rendered
+ * @param {string} url - Live product URL
+ * @param {Object} options - Optional settings
+ * @param {string} options.name - Fixture name (default: hostname-slug)
+ * @param {string} options.note - What the fixture covers, kept in fixture.json
+ * @param {Object} options.browser - Shared browser from launchBrowser()
+ * @returns {Promise<Object>} The new fixture, as readFixture() returns it
+ */
+export async function recordFixture(url, options = {}) {
+  const name = options.name || fixtureNameFromUrl(url);
+  const dir = path.join(FIXTURES_DIR, name);
+  const browser = options.browser || await launchBrowser();
+
+  try {
+    const page = await browser.newPage();
+    await loadPage(page, url);
+    const html = stripInlineScripts(await page.content());
+    await page.close();
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'page.html'), html);
+    fs.writeFileSync(path.join(dir, 'fixture.json'), `${JSON.stringify({
+      url,
+      recorded_at: new Date().toISOString(),
+      note: options.note || '',
+    }, null, 2)}\n`);
+    console.log(`[Fixtures] Saved ${url} to ${dir}`);
+  } finally {
+    if (!options.browser) {
+      await browser.close();
+    }
+  }
+
+  return readFixture(name);
+}
+
+export default {
+  FIXTURES_DIR,
+  applyReplayEnv,
+  fixtureNameFromUrl,
+  listFixtures,
+  readFixture,
+  scrapeFixture,
+  writeSnapshot,
+  recordFixture
+};
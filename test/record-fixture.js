@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { launchBrowser } from '../scraper.js';
+import { applyReplayEnv, listFixtures, readFixture, scrapeFixture, writeSnapshot, recordFixture } from './helpers/fixtures.js';
+
+// Only for PUPPETEER_EXECUTABLE_PATH - applyReplayEnv() pins the settings that change scraped data
+dotenv.config();
+
+/**
+ * Records scraper fixtures and their snapshots
+ * Usage: npm run record-fixture -- <product_url> [--name NAME] [--note TEXT]
+ *        npm run record-fixture -- --update [name ...]
+ * Recording saves the live page to test/fixtures/<name>/ and writes its expected.json from an offline replay.
+ * --update rewrites the snapshots of existing fixtures (all of them when no name is given) without going online;
+ * use it after an intended scraper change and review the diff of expected.json before committing.
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: {
+      name: { type: 'string' },
+      note: { type: 'string' },
+      update: { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  if (!values.update && positionals.length !== 1) {
+    console.log('Usage: npm run record-fixture -- <product_url> [--name NAME] [--note TEXT]');
+    console.log('       npm run record-fixture -- --update [name ...]');
+    process.exit(1);
+  }
+
+  if (values.update) {
+    const known = listFixtures();
+    const unknown = positionals.filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      console.error(`[Fixtures] ✗ Unknown fixtures: ${unknown.join(', ')} (available: ${known.join(', ') || 'none'})`);
+      process.exit(1);
+    }
+  }
+
+  const browser = await launchBrowser();
+  try {
+    const fixtures = values.update
+      ? (positionals.length > 0 ? positionals : listFixtures()).map(readFixture)
+      : [await recordFixture(positionals[0], { name: values.name, note: values.note, browser })];
+
+    // Snapshots always come from a replay with the test settings, never from the live page
+    applyReplayEnv();
+    for (const fixture of fixtures) {
+      const productData = await scrapeFixture(browser, fixture);
+      writeSnapshot(fixture, productData);
+      console.log(`[Fixtures] ✓ ${fixture.name}: expected.json written (${productData.name || 'no name'})`);
+    }
+  } catch (error) {
+    console.error(`[Fixtures] ✗ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+main();
@@ -0,0 +1,38 @@
+import dotenv from 'dotenv';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchBrowser } from '../scraper.js';
+import { applyReplayEnv, listFixtures, readFixture, scrapeFixture } from './helpers/fixtures.js';
+
+// Only for PUPPETEER_EXECUTABLE_PATH - applyReplayEnv() pins the settings that change scraped data
+dotenv.config();
+
+/**
+ * Scraper regression tests: every saved page in test/fixtures is scraped offline
+ * and the productData must match the fixture's expected.json snapshot.
+ * After an intended scraper change, review the diff and refresh the snapshots with
+ * npm run record-fixture -- --update
+ */
+
+let browser;
+
+before(async () => {
+  applyReplayEnv();
+  browser = await launchBrowser();
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+for (const name of listFixtures()) {
+  test(`scrapes ${name} like the snapshot`, async () => {
+    const fixture = readFixture(name);
+    assert.ok(fixture.expected, `no expected.json - run: npm run record-fixture -- --update ${name}, review it and commit it`);
+
+    const productData = await scrapeFixture(browser, fixture);
+    assert.deepEqual(productData, fixture.expected);
+  });
+}
@@ -0,0 +1,118 @@
+import http from 'node:http';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchStoreApiProduct } from '../scraper-wordpress.js';
+
+/**
+ * Store API tests: fetchStoreApiProduct() against a local server that answers
+ * like /wp-json/wc/store/v1 of a WooCommerce shop (prices in minor units, one request per variation)
+ */
+
+const STORE_API = '/wp-json/wc/store/v1';
+
+const PRODUCT = {
+  id: 41,
+  name: 'Steel Bottle &amp; Cap',
+  slug: 'steel-bottle',
+  permalink: 'http://shop.test/product/steel-bottle/',
+  description: '<p>Keeps drinks cold.</p>',
+  short_description: '',
+  sku: 'SB-41',
+  on_sale: true,
+  is_in_stock: true,
+  prices: { currency_code: 'USD', currency_minor_unit: 2, regular_price: '2450', sale_price: '1999' },
+  images: [{ src: 'http://shop.test/uploads/bottle.jpg' }],
+  categories: [{ id: 3, name: 'Bottles' }, { id: 1, name: 'Kitchen' }],
+  tags: [],
+  attributes: [
+    { name: 'Material', has_variations: false, terms: [{ name: 'Steel', slug: 'steel' }] },
+    { name: 'Color', has_variations: true, terms: [{ name: 'Blue', slug: 'blue' }, { name: 'Red', slug: 'red' }] },
+  ],
+  variations: [
+    { id: 42, attributes: [{ name: 'Color', value: 'blue' }] },
+    { id: 43, attributes: [{ name: 'Color', value: 'red' }] },
+  ],
+};
+
+const VARIATIONS = {
+  42: { sku: 'SB-41-B', on_sale: false, is_in_stock: true, low_stock_remaining: 2, prices: { currency_minor_unit: 2, regular_price: '2450', sale_price: '2450' }, images: [] },
+  43: { sku: 'SB-41-R', on_sale: true, is_in_stock: false, prices: { currency_minor_unit: 2, regular_price: '2600', sale_price: '2100' }, images: [{ src: 'http://shop.test/uploads/red.jpg' }] },
+};
+
+const CATEGORIES = [
+  { id: 1, name: 'Kitchen', parent: 0 },
+  { id: 2, name: 'Drinkware', parent: 1 },
+  { id: 3, name: 'Bottles', parent: 2 },
+];
+
+/**
+ * Starts a local HTTP server on a free port
+ * @param {Function} handler - (pathname, searchParams) => { status, body }
+ * @returns {Promise<{server: http.Server, origin: string}>}
+ */
+function startServer(handler) {
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const { status = 200, body } = handler(pathname, searchParams);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+let shop;
+let missing;
+
+before(async () => {
+  delete process.env.WC_STORE_API;
+
+  shop = await startServer((pathname, params) => {
+    if (pathname === `${STORE_API}/products`) {
+      return { body: params.get('slug') === PRODUCT.slug ? [PRODUCT] : [] };
+    }
+    if (pathname === `${STORE_API}/products/categories`) {
+      return { body: CATEGORIES };
+    }
+    const variation = VARIATIONS[pathname.replace(`${STORE_API}/products/`, '')];
+    return variation ? { body: variation } : { status: 404, body: { code: 'rest_no_route' } };
+  });
+
+  // A site without the Store API (plugin disabled or not WooCommerce)
+  missing = await startServer(() => ({ status: 404, body: { code: 'rest_no_route' } }));
+});
+
+after(() => {
+  shop.server.close();
+  missing.server.close();
+});
+
+test('converts minor-unit prices to decimal prices', async () => {
+  const data = await fetchStoreApiProduct(`${shop.origin}/product/steel-bottle/`);
+
+  assert.equal(data.name, 'Steel Bottle & Cap');
+  assert.equal(data.regular_price, '24.5');
+  assert.equal(data.sale_price, '19.99');
+  assert.equal(data.currency, 'USD');
+  assert.deepEqual(data.specs, [{ name: 'Material', value: 'Steel' }]);
+  assert.deepEqual(data.breadcrumbs, ['Kitchen', 'Drinkware', 'Bottles']);
+});
+
+test('loads every variation with its own price, stock and image', async () => {
+  const data = await fetchStoreApiProduct(`${shop.origin}/product/steel-bottle/`);
+
+  assert.deepEqual(data.variation_attributes, [{ name: 'Color', options: ['Blue', 'Red'] }]);
+  assert.deepEqual(data.variations, [
+    { attributes: [{ name: 'Color', option: 'Blue' }], regular_price: '24.5', sale_price: '', sku: 'SB-41-B', stock_status: 'instock', stock_quantity: null, image: null },
+    { attributes: [{ name: 'Color', option: 'Red' }], regular_price: '26', sale_price: '21', sku: 'SB-41-R', stock_status: 'outofstock', stock_quantity: null, image: { src: 'http://shop.test/uploads/red.jpg' } },
+  ]);
+});
+
+test('returns null for unknown slugs so the scraper falls back to the page', async () => {
+  assert.equal(await fetchStoreApiProduct(`${shop.origin}/product/no-such-product/`), null);
+});
+
+test('returns null when the site answers 404', async () => {
+  assert.equal(await fetchStoreApiProduct(`${missing.origin}/product/steel-bottle/`), null);
+});
@@ -1,10 +1,48 @@
 import WooCommercePackage from '@woocommerce/woocommerce-rest-api';
 import imageUploader from './utils/image-uploader.js';
+import { expandVariations, collectVariationAttributes, ensureGlobalAttributes, syncVariations } from './utils/variations.js';
+import { createRecordingApi } from './utils/dry-run.js';
+import { resolveCategories } from './utils/categories.js';
+import { resolveTags } from './utils/tags.js';
+import { applyPricingRules, recordPricingAudit } from './utils/pricing.js';
+import { getSiteProfile } from './scraper-profile.js';
+import { getRunId, RUN_ID_META_KEY } from './utils/ledger.js';
+import { extractDescriptionImages, replaceDescriptionImages } from './utils/description.js';
+import { resolveSpecAttributes } from './utils/specs.js';
+import { buildMetaFields, writeAcfFields } from './utils/meta-fields.js';
+
+/**
+ * Watermark removal options used for gallery and variation images
+ * A site profile's "watermark" section overrides these per supplier (see README → Watermark Removal)
+ */
+const WATERMARK_OPTIONS = {
+  mode: 'auto',
+  positions: ['bottom-left'],
+  // fixed-mode rectangle: tweak width/height/margin if needed
+  width: 120,
+  height: 50,
+  margin: 10,
+  fill: 'blur'
+};
+
+/**
+ * Returns the watermark options for a product's source site
+ * @param {string} sourceUrl - Product source URL
+ * @returns {Object} Options for the image processor
+ */
+function getWatermarkOptions(sourceUrl) {
+  const siteOptions = sourceUrl ? getSiteProfile(sourceUrl)?.watermark : undefined;
+  if (siteOptions === false) {
+    return { mode: 'none' };
+  }
+  return { ...WATERMARK_OPTIONS, ...siteOptions };
+}
+
 /**
  * Initialize WooCommerce API client
  * @returns {Object} Configured API client
  */
-function initWooCommerceAPI() {
+export function initWooCommerceAPI() {
   const url = process.env.WOOCOMMERCE_URL;
   const consumerKey = process.env.WOOCOMMERCE_CONSUMER_KEY;
   const consumerSecret = process.env.WOOCOMMERCE_CONSUMER_SECRET;
@@ -26,94 +64,301 @@ function initWooCommerceAPI() {
 }
 
 /**
- * Get existing category by name (DO NOT CREATE - only find existing)
- * @param {WooCommerceRestApi} wcApi - WooCommerce API client
- * @param {string} categoryName - Category name to find
- * @returns {Promise<number|null>} Category ID or null if not found
+ * Builds the API client for a dry run: lookups use the store when credentials exist, writes are only recorded
+ * @param {Object} dryRun - Recorder from createDryRun()
+ * @returns {Object} Recording API client
  */
-async function getExistingCategory(wcApi, categoryName) {
+function initDryRunAPI(dryRun) {
+  let wcApi = null;
   try {
-    // Search for existing category
-    const searchResponse = await wcApi.get('products/categories', {
-      search: categoryName,
+    wcApi = initWooCommerceAPI();
+  } catch (error) {
+    console.warn('[Uploader] Dry run without WooCommerce credentials - category, SKU and attribute lookups are skipped');
+  }
+  return createRecordingApi(wcApi, dryRun);
+}
+
+/**
+ * Meta key that stores the scraped source URL on every uploaded product
+ * Used to find previously imported products when the SKU is missing or was dropped
+ */
+export const SOURCE_URL_META_KEY = 'autopost_source_url';
+
+/**
+ * Meta key listing what went wrong while importing a product (empty when nothing did)
+ * Filter products by it in wp-admin to find the ones to fix by hand
+ */
+export const NEEDS_ATTENTION_META_KEY = 'autopost_needs_attention';
+
+/**
+ * Cached source URL → product ID index, built once per process
+ */
+let sourceUrlIndexPromise = null;
+
+/**
+ * Lists every product in the store
+ * Pages through the whole catalogue because the REST API cannot filter by meta
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {string} status - Product status; 'any' covers everything except the trash
+ * @returns {Promise<Array>} Product objects
+ */
+export async function listAllProducts(wcApi, status = 'any') {
+  const products = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await wcApi.get('products', {
+      status,
       per_page: 100,
+      page,
     });
+    totalPages = Number(response.headers?.['x-wp-totalpages']) || 1;
+    products.push(...(response.data || []));
+    page++;
+  } while (page <= totalPages);
 
-    if (searchResponse.data && searchResponse.data.length > 0) {
-      // Check for exact match (case-insensitive)
-      const exactMatch = searchResponse.data.find(
-        cat => cat.name.toLowerCase() === categoryName.toLowerCase()
-      );
+  return products;
+}
 
-      if (exactMatch) {
-        console.log(`[Uploader] Found existing category: ${categoryName} (ID: ${exactMatch.id})`);
-        return exactMatch.id;
-      }
-    }
+/**
+ * Reads one meta value of a product
+ * @param {Object} product - WooCommerce product
+ * @param {string} key - Meta key
+ * @returns {*} Value, or undefined when the product has no such meta
+ */
+export function getProductMeta(product, key) {
+  return (product.meta_data || []).find(m => m.key === key)?.value;
+}
+
+/**
+ * Lists every product (any status) that carries a source URL meta entry
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @returns {Promise<Array>} Product objects with an extra source_url property
+ */
+export async function listImportedProducts(wcApi) {
+  return (await listAllProducts(wcApi))
+    .filter(product => getProductMeta(product, SOURCE_URL_META_KEY))
+    .map(product => ({ ...product, source_url: getProductMeta(product, SOURCE_URL_META_KEY) }));
+}
 
-    // Category doesn't exist - return null (don't create)
-    console.log(`[Uploader] Category not found (skipping): ${categoryName}`);
-    return null;
+/**
+ * Tells whether a product still exists in the store (trashed products count as gone)
+ * @param {number} productId - WooCommerce product ID
+ * @returns {Promise<boolean>} False when the product was deleted or trashed
+ */
+export async function productExists(productId) {
+  const wcApi = initWooCommerceAPI();
+  try {
+    const response = await wcApi.get(`products/${productId}`);
+    return response.data?.status !== 'trash';
   } catch (error) {
-    console.error(`[Uploader] Error checking category ${categoryName}:`, error.message);
-    return null;
+    if (error.response && (error.response.status === 404 || error.response.status === 410)) {
+      return false;
+    }
+    throw error;
   }
 }
 
 /**
- * Process categories: only get existing categories (DO NOT CREATE)
- * Limit to first category to avoid timeout
+ * Returns the cached source URL → product ID index, building it on first use
  * @param {WooCommerceRestApi} wcApi - WooCommerce API client
- * @param {Array} categories - Array of category objects with name property
- * @returns {Promise<Array>} Array of category IDs
+ * @returns {Promise<Map<string, number>>} Source URL index
  */
-async function processCategories(wcApi, categories) {
-  if (!categories || categories.length === 0) {
-    return [];
+async function getSourceUrlIndex(wcApi) {
+  if (!sourceUrlIndexPromise) {
+    console.log('[Uploader] Building source URL index from existing products...');
+    sourceUrlIndexPromise = listImportedProducts(wcApi)
+      .then((products) => {
+        const index = new Map(products.map(p => [p.source_url, p.id]));
+        console.log(`[Uploader] Indexed ${index.size} previously imported products`);
+        return index;
+      })
+      .catch((error) => {
+        // Allow a retry on the next product instead of caching the failure
+        sourceUrlIndexPromise = null;
+        throw error;
+      });
   }
+  return sourceUrlIndexPromise;
+}
 
-  const categoryIds = [];
+/**
+ * Finds an existing product for upsert: by SKU first, then by stored source URL
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Promise<Object|null>} Existing WooCommerce product or null
+ */
+async function findExistingProduct(wcApi, productData) {
+  if (productData.sku) {
+    const bySku = await wcApi.get('products', {
+      sku: productData.sku,
+      status: 'any',
+      per_page: 1,
+    });
+    if (bySku.data && bySku.data.length > 0) {
+      console.log(`[Uploader] Matched existing product by SKU "${productData.sku}" (ID: ${bySku.data[0].id})`);
+      return bySku.data[0];
+    }
+  }
 
-  // Only process first category to avoid timeout
-  const firstCategory = categories[0];
-  if (firstCategory) {
-    const categoryId = await getExistingCategory(wcApi, firstCategory.name);
-    if (categoryId) {
-      categoryIds.push({ id: categoryId });
+  if (productData.source_url) {
+    const index = await getSourceUrlIndex(wcApi);
+    const productId = index.get(productData.source_url);
+    if (productId) {
+      console.log(`[Uploader] Matched existing product by source URL (ID: ${productId})`);
+      const byUrl = await wcApi.get(`products/${productId}`);
+      return byUrl.data;
     }
   }
 
-  return categoryIds;
+  return null;
+}
+
+/**
+ * Builds the PUT payload for an upsert: only fields that follow the supplier
+ * (prices, stock, images, mapped meta fields, spec attributes). Name, description, status,
+ * categories and tags are left alone so edits made in wp-admin survive a re-run.
+ * @param {Object} wooCommerceProduct - Full payload prepared for creation
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Object} Update payload
+ */
+function buildUpdatePayload(wooCommerceProduct, productData) {
+  const update = {};
+
+  if (wooCommerceProduct.regular_price) {
+    update.regular_price = wooCommerceProduct.regular_price;
+    // Clear an old sale when the source no longer shows one
+    update.sale_price = wooCommerceProduct.sale_price || '';
+  }
+
+  ['stock_status', 'manage_stock', 'stock_quantity'].forEach((field) => {
+    if (wooCommerceProduct[field] !== undefined) {
+      update[field] = wooCommerceProduct[field];
+    }
+  });
+
+  if (wooCommerceProduct.images && wooCommerceProduct.images.length > 0) {
+    update.images = wooCommerceProduct.images;
+  }
+
+  if (wooCommerceProduct.meta_data && wooCommerceProduct.meta_data.length > 0) {
+    update.meta_data = wooCommerceProduct.meta_data;
+  }
+
+  if (productData.sku) {
+    update.sku = productData.sku;
+  }
+
+  if (wooCommerceProduct.type === 'variable') {
+    update.type = 'variable';
+  }
+
+  if (wooCommerceProduct.attributes && wooCommerceProduct.attributes.length > 0) {
+    update.attributes = wooCommerceProduct.attributes;
+  }
+
+  return update;
+}
+
+/**
+ * Creates/updates the variations of a saved variable product
+ * The parent already exists at this point, so failures name it for manual cleanup;
+ * single variations that failed and images left out are added to the needs-attention reasons
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {number} productId - Parent product ID
+ * @param {Array<Object>} variations - Variations from expandVariations()
+ * @param {Object} attributeIds - Map of attribute name → global attribute ID
+ * @param {Object} imageMap - Map of source image URL → WooCommerce image
+ * @param {Array<string>} attention - Needs-attention reasons of the product
+ * @returns {Promise<void>}
+ */
+async function uploadVariations(wcApi, productId, variations, attributeIds, imageMap, attention) {
+  let result;
+  try {
+    result = await syncVariations(wcApi, productId, variations, attributeIds, imageMap);
+  } catch (error) {
+    const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+    throw new Error(`Product ${productId} was saved but its variations failed: ${detail}`);
+  }
+
+  // An image whose upload failed is already listed as "Variation image failed: <url>"
+  result.missingImages
+    .filter(src => !attention.some(reason => reason.includes(src)))
+    .forEach(src => attention.push(`Variation image missing: ${src}`));
+  result.errors.forEach(message => attention.push(`Variation failed: ${message}`));
+}
+
+/**
+ * Adds the problems found after the product was saved (ACF fields, variations) to its needs-attention meta
+ * The meta was sent with the product, so it is updated once more when reasons were added since
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {number|string} productId - Product ID
+ * @param {Array<string>} attention - Needs-attention reasons of the product
+ * @param {number} sentCount - Number of reasons the saved meta already holds
+ * @returns {Promise<void>}
+ */
+async function updateNeedsAttention(wcApi, productId, attention, sentCount) {
+  if (attention.length === sentCount) {
+    return;
+  }
+
+  console.warn(`[Uploader] ⚠ Product ${productId} needs attention:\n  ${attention.slice(sentCount).join('\n  ')}`);
+  try {
+    await wcApi.put(`products/${productId}`, {
+      meta_data: [{ key: NEEDS_ATTENTION_META_KEY, value: attention.join('\n') }]
+    });
+  } catch (error) {
+    console.warn(`[Uploader] Could not flag product ${productId} as needing attention: ${error.message}`);
+  }
 }
 
 /**
  * Uploads a product to WooCommerce via REST API
  * @param {Object} productData - Product data object from scraper
- * @returns {Promise<number>} Created product ID
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.upsert - Update the matching product (by SKU or source URL) instead of creating a copy.
+ *                                   Defaults to UPSERT_PRODUCTS=true in .env
+ * @param {Object} options.dryRun - Dry-run recorder from createDryRun(): run every step but only record
+ *                                  the write requests and save processed images locally (see utils/dry-run.js)
+ * Images that could not be downloaded or uploaded are left out; they are listed in productData.needs_attention
+ * and in the product's NEEDS_ATTENTION_META_KEY meta. productData.upload reports { action: 'created' | 'updated',
+ * media_ids, uploaded_media_ids } for the import ledger
+ * @returns {Promise<number|string>} Created or updated product ID (a "dry-run-N" placeholder in dry runs)
  */
-export async function uploadProduct(productData) {
+export async function uploadProduct(productData, options = {}) {
   console.log('[Uploader] Initializing WooCommerce API...');
-  const wcApi = initWooCommerceAPI();
+  const wcApi = options.dryRun ? initDryRunAPI(options.dryRun) : initWooCommerceAPI();
+  const imageOptions = options.dryRun ? { saveDir: options.dryRun.imagesDir } : {};
+  const watermarkOptions = getWatermarkOptions(productData.source_url);
+  const upsert = options.upsert ?? process.env.UPSERT_PRODUCTS === 'true';
 
   try {
+    // Supplier prices → our selling prices (pricing-rules.yaml); prices below are read from the priced copy
+    // so results like needs_attention still land on the caller's productData
+    const pricedData = applyPricingRules(productData);
+    if (options.dryRun) {
+      options.dryRun.pricing = pricedData.pricing_audit || [];
+    }
+
     // All fields are optional - use defaults if missing
     const productName = productData.name || 'Untitled Product';
-    const productPrice = productData.regular_price || '0';
+    const productPrice = pricedData.regular_price || '0';
 
     console.log(`[Uploader] Preparing to upload product: ${productName || '(no name)'}`);
 
-    // Process categories: get or create them and get IDs
+    // Resolve categories through the mapping file and the store's category tree (see utils/categories.js)
     let categoryIds = [];
     if (productData.categories && productData.categories.length > 0) {
       console.log(`[Uploader] Processing ${productData.categories.length} categories...`);
-      categoryIds = await processCategories(wcApi, productData.categories);
+      categoryIds = await resolveCategories(wcApi, productData.categories);
     }
 
     // Map scraped data to WooCommerce product format
     // Only include fields that have values (WooCommerce handles empty strings differently)
     const wooCommerceProduct = {
       name: productName,
-      type: 'simple', // MVP focuses on simple products
+      type: 'simple', // Switched to 'variable' below when the source has size/color options
       status: 'draft', // Set to 'draft' for safety - change to 'publish' if you want auto-publish
     };
 
@@ -122,31 +367,31 @@ export async function uploadProduct(productData) {
       wooCommerceProduct.regular_price = productPrice;
     }
 
-    // // Add description if found
-    // if (productData.description.length > 700) {
-    //   console.log('description is too long');
-
-    // }else {
-    //   wooCommerceProduct.description = productData.description;
-    // }
-
-    if (productData.description.length) {
-      if (productData.description.length > 700) {
-        console.log('description is too long');
-      } else {
-        wooCommerceProduct.description = productData.description;
-      }
+    // Descriptions arrive sanitized and shortened by the scraper (see utils/description.js) and are sent whole;
+    // inline description images are re-hosted below
+    if (productData.description) {
+      wooCommerceProduct.description = productData.description;
     }
-
-    // Add short description if found
-    if (productData.short_description.length > 200) {
-      console.log('short description is too long');
-    } else {
+    if (productData.short_description) {
       wooCommerceProduct.short_description = productData.short_description;
     }
 
+    // Upsert: look for the product from a previous run before touching SKU handling
+    let existingProduct = null;
+    if (upsert) {
+      try {
+        existingProduct = await findExistingProduct(wcApi, productData);
+      } catch (error) {
+        console.warn(`[Uploader] Could not look up existing product, creating a new one: ${error.message}`);
+      }
+      if (!existingProduct) {
+        console.log('[Uploader] No existing product matched - a new product will be created');
+      }
+    }
+
     // Add SKU if found - check for duplicates first
-    if (productData.sku) {
+    // (when updating, the SKU already belongs to the matched product - see buildUpdatePayload)
+    if (productData.sku && !existingProduct) {
       try {
         // Check if SKU already exists
         const existingProducts = await wcApi.get('products', {
@@ -169,29 +414,51 @@ export async function uploadProduct(productData) {
     }
 
 // Add images if found — process (remove watermark) and upload to WP media, then attach by ID (preferred)
+// imageMap lets variations reuse gallery uploads: source URL → { id } or { src }
+const imageMap = {};
+// Problems a person has to look at (stored in NEEDS_ATTENTION_META_KEY), starting with the validation issues
+const attention = (productData.validation?.issues || []).map(issue => issue.message);
+// Media the product uses, and the part of it uploaded by this run (reported in productData.upload)
+const mediaIds = new Set();
+const uploadedMediaIds = new Set();
+const trackMedia = (u) => {
+  if (u.failed || !u.id) return;
+  mediaIds.add(u.id);
+  if (!u.reused && !u.duplicate) uploadedMediaIds.add(u.id);
+};
 if (productData.images && productData.images.length > 0) {
   try {
     console.log('[Uploader] Processing and uploading product images (removing watermarks)...');
-    const uploaded = await imageUploader.processAndUploadImages(productData.images, {
-      // watermarkOptions: tweak width/height/margin if needed
-      width: 120,
-      height: 50,
-      margin: 10,
-      backgroundColor: '#FFFFFF'
+    const uploaded = await imageUploader.processAndUploadImages(productData.images, watermarkOptions, {
+      ...imageOptions,
+      naming: { name: productData.name, sku: productData.sku },
+      referer: productData.source_url
     });
 
     // Prefer using media ID when available; fallback to src URL
-    const wcImages = uploaded.map(u => {
-      if (u.id) return { id: u.id };
-      return { src: u.src };
+    uploaded.forEach((u) => {
+      trackMedia(u);
+      if (!u.failed) {
+        imageMap[u.originalUrl] = u.id ? { id: u.id } : { src: u.src };
+      } else if (!u.duplicate) {
+        attention.push(`Image failed: ${u.originalUrl} (${u.error})`);
+      }
+    });
+    // Near-duplicates and photos reused twice appear once in the gallery (variations still find them in imageMap)
+    const seenIds = new Set();
+    const wcImages = [];
+    uploaded.forEach((u) => {
+      if (u.failed || u.duplicate || (u.id && seenIds.has(u.id))) return;
+      if (u.id) seenIds.add(u.id);
+      wcImages.push(imageMap[u.originalUrl]);
     });
 
     wooCommerceProduct.images = wcImages;
     console.log(`[Uploader] Attached ${wcImages.length} images to product payload`);
   } catch (err) {
-    console.warn(`[Uploader] Image processing/upload failed — falling back to original images: ${err.message}`);
-    // fallback: attach original image URLs (if any)
-    wooCommerceProduct.images = productData.images;
+    // Hotlinked supplier images break once the supplier blocks hotlinking - flag the product instead
+    console.warn(`[Uploader] Image processing/upload failed: ${err.message}`);
+    attention.push(`Images failed: ${err.message}`);
   }
 }
 
@@ -200,46 +467,183 @@ if (productData.images && productData.images.length > 0) {
       wooCommerceProduct.categories = categoryIds;
     }
 
+    // Add tags - renamed/blocked by the tag map and created in the store when missing (see utils/tags.js)
+    if (productData.tags && productData.tags.length > 0) {
+      console.log(`[Uploader] Processing ${productData.tags.length} tags...`);
+      const tagIds = await resolveTags(wcApi, productData.tags);
+      if (tagIds.length > 0) {
+        wooCommerceProduct.tags = tagIds;
+      }
+    }
+
     // Add sale_price if available
-    if (productData.sale_price) {
-      wooCommerceProduct.sale_price = productData.sale_price;
+    if (pricedData.sale_price) {
+      wooCommerceProduct.sale_price = pricedData.sale_price;
     }
 
-    // Add features as WooCommerce attributes (ویژگی های محصول)
-    if (productData.features && productData.features.length > 0) {
-      // Clean and prepare all features - NO LIMIT
-      const allFeatures = productData.features
-        .map(f => f.trim())
-        .filter(f => f && f.length > 0)
-        .filter((f, index, self) => self.indexOf(f) === index); // Remove duplicates
-
-      console.log(`[Uploader] Processing ${allFeatures.length} product features...`);
-      console.log(`[Uploader] First 10 features:`, allFeatures.slice(0, 10).join(' | '));
-      if (allFeatures.length > 10) {
-        console.log(`[Uploader] ... and ${allFeatures.length - 10} more features`);
-      }
+    // Add stock status if the scraper could tell
+    if (productData.stock_status) {
+      wooCommerceProduct.stock_status = productData.stock_status;
+    }
 
-      // NEW: Format features for dina_product_fields meta
-      const formattedFeatures = allFeatures.map((feature, index) => ({
-        ftitle: feature,
-        fdesc: '' // Empty description for now
+    // Variable product: global attributes on the parent, prices/stock/images on each variation
+    const variations = expandVariations(pricedData);
+    let variationAttributeIds = null;
+    // Gallery and variation images numbered so far, so description images get the next filenames
+    let namedImageCount = (productData.images || []).length;
+    if (variations.length > 0) {
+      const variationAttributes = collectVariationAttributes(variations);
+      console.log(`[Uploader] Variable product: ${variations.length} variations (${variationAttributes.map(a => a.name).join(', ')})`);
+
+      variationAttributeIds = await ensureGlobalAttributes(wcApi, variationAttributes);
+      wooCommerceProduct.type = 'variable';
+      wooCommerceProduct.attributes = variationAttributes.map((attribute, position) => ({
+        id: variationAttributeIds[attribute.name],
+        name: attribute.name,
+        position,
+        visible: true,
+        variation: true,
+        options: attribute.options
       }));
+      delete wooCommerceProduct.regular_price;
+      delete wooCommerceProduct.sale_price;
+      delete wooCommerceProduct.stock_status;
+
+      // Upload variation images that are not already in the gallery
+      const variationImages = [...new Set(variations.map(v => v.image?.src).filter(src => src && !imageMap[src]))];
+      namedImageCount += variationImages.length;
+      if (variationImages.length > 0) {
+        console.log(`[Uploader] Processing ${variationImages.length} variation images...`);
+        const uploaded = await imageUploader.processAndUploadImages(variationImages, watermarkOptions, {
+          ...imageOptions,
+          // Numbered after the gallery so variation images never reuse a gallery filename
+          naming: { name: productData.name, sku: productData.sku, startIndex: (productData.images || []).length + 1 },
+          referer: productData.source_url
+        });
+        uploaded.forEach((u) => {
+          trackMedia(u);
+          if (!u.failed) {
+            imageMap[u.originalUrl] = u.id ? { id: u.id } : { src: u.src };
+          } else if (!u.duplicate) {
+            attention.push(`Variation image failed: ${u.originalUrl} (${u.error})`);
+          }
+        });
+      }
+    }
 
-      // Add dina_product_features meta data
-      wooCommerceProduct.meta_data = [
-        {
-          key: 'dina_product_features',
-          value: formattedFeatures
-        }
-      ];
+    // Specs become visible, non-variation global attributes, so customers can filter by them (layered navigation)
+    if (productData.specs && productData.specs.length > 0) {
+      try {
+        const variationAttributes = wooCommerceProduct.attributes || [];
+        const specAttributes = await resolveSpecAttributes(wcApi, productData.specs, {
+          exclude: variationAttributes.map(a => a.name)
+        });
+        wooCommerceProduct.attributes = [
+          ...variationAttributes,
+          ...specAttributes.map((attribute, index) => ({ ...attribute, position: variationAttributes.length + index }))
+        ];
+        console.log(`[Uploader] ✓ ${specAttributes.length} of ${productData.specs.length} specs added as filterable attributes`);
+      } catch (err) {
+        console.warn(`[Uploader] Spec attributes failed: ${err.response?.data?.message || err.message}`);
+        attention.push(`Spec attributes failed: ${err.response?.data?.message || err.message}`);
+      }
+    }
 
-      console.log(`[Uploader] ✓ Prepared ${formattedFeatures.length} features for dina_product_fields meta`);
+    // Re-host images inside the description like gallery images; ones that fail are removed, never hotlinked
+    // (updates leave the description alone - see buildUpdatePayload)
+    const descriptionImages = existingProduct ? [] : extractDescriptionImages(wooCommerceProduct.description);
+    if (descriptionImages.length > 0) {
+      console.log(`[Uploader] Processing ${descriptionImages.length} description images...`);
+      const replacements = {};
+      try {
+        const uploaded = await imageUploader.processAndUploadImages(descriptionImages, watermarkOptions, {
+          ...imageOptions,
+          naming: { name: productData.name, sku: productData.sku, startIndex: namedImageCount + 1 },
+          referer: productData.source_url
+        });
+        uploaded.forEach((u) => {
+          trackMedia(u);
+          replacements[u.originalUrl] = u.failed ? null : u.src;
+          if (u.failed && !u.duplicate) {
+            attention.push(`Description image failed: ${u.originalUrl} (${u.error})`);
+          }
+        });
+      } catch (err) {
+        console.warn(`[Uploader] Description image processing failed: ${err.message}`);
+        attention.push(`Description images failed: ${err.message}`);
+        descriptionImages.forEach((src) => {
+          replacements[src] = null;
+        });
+      }
+      wooCommerceProduct.description = replaceDescriptionImages(wooCommerceProduct.description, replacements);
+    }
 
-      console.log(`[Uploader] ✓ Added ALL ${allFeatures.length} product features as WooCommerce attributes and meta data`);
+    // Theme/plugin custom fields (Dina features list, Woodmart/Flatsome spec tab, ACF) from meta-fields.yaml
+    const metaFields = buildMetaFields(productData);
+    const acfFieldNames = Object.keys(metaFields.acf);
+    if (metaFields.meta_data.length > 0 || acfFieldNames.length > 0) {
+      wooCommerceProduct.meta_data = metaFields.meta_data;
+      console.log(`[Uploader] ✓ Prepared ${productData.specs?.length || 0} specs and ${productData.features?.length || 0} features for ${[...metaFields.meta_data.map(m => m.key), ...acfFieldNames.map(name => `acf:${name}`)].join(', ')}`);
     } else {
       console.warn('[Uploader] ⚠ No features found in product data');
     }
 
+    // Remember where the product came from so later runs can find it again
+    if (productData.source_url) {
+      wooCommerceProduct.meta_data = [
+        ...(wooCommerceProduct.meta_data || []),
+        { key: SOURCE_URL_META_KEY, value: productData.source_url }
+      ];
+    }
+
+    // Tag new products with the run that created them, so "node main.js rollback" can remove them
+    // (updated products keep the run that created them)
+    if (!existingProduct) {
+      wooCommerceProduct.meta_data = [
+        ...(wooCommerceProduct.meta_data || []),
+        { key: RUN_ID_META_KEY, value: getRunId() }
+      ];
+    }
+
+    productData.needs_attention = attention;
+    productData.upload = {
+      action: existingProduct ? 'updated' : 'created',
+      media_ids: [...mediaIds],
+      uploaded_media_ids: [...uploadedMediaIds],
+    };
+    if (attention.length > 0) {
+      console.warn(`[Uploader] ⚠ Product needs attention:\n  ${attention.join('\n  ')}`);
+    }
+    // Always sent on updates, so a clean re-run clears the flag left by an earlier one
+    if (attention.length > 0 || existingProduct) {
+      wooCommerceProduct.meta_data = [
+        ...(wooCommerceProduct.meta_data || []),
+        { key: NEEDS_ATTENTION_META_KEY, value: attention.join('\n') }
+      ];
+    }
+    const sentAttention = attention.length;
+
+    if (existingProduct) {
+      const updatePayload = buildUpdatePayload(wooCommerceProduct, productData);
+      console.log(`[Uploader] Updating existing product ${existingProduct.id} (${Object.keys(updatePayload).join(', ')})...`);
+
+      const updateResponse = await wcApi.put(`products/${existingProduct.id}`, updatePayload);
+      console.log(`[Uploader] Product ${existingProduct.id} successfully updated`);
+      console.log(`[Uploader] Product URL: ${updateResponse.data?.permalink || existingProduct.permalink || 'N/A'}`);
+
+      if (acfFieldNames.length > 0) {
+        await saveAcfFields(existingProduct.id, metaFields.acf, attention, options);
+      }
+      if (variations.length > 0) {
+        await uploadVariations(wcApi, existingProduct.id, variations, variationAttributeIds, imageMap, attention);
+      }
+      await updateNeedsAttention(wcApi, existingProduct.id, attention, sentAttention);
+      if (!options.dryRun) {
+        recordPricingAudit(pricedData, { product_id: existingProduct.id, action: 'update' });
+      }
+      return existingProduct.id;
+    }
+
     console.log('[Uploader] Uploading product to WooCommerce...');
     console.log(`[Uploader] Product data:`, {
       name: wooCommerceProduct.name,
@@ -251,7 +655,8 @@ if (productData.images && productData.images.length > 0) {
       sku: wooCommerceProduct.sku || '(not set)',
       attributes: (wooCommerceProduct.attributes || []).length,
       features: productData.features?.length || 0,
-      has_dina_meta: !!(wooCommerceProduct.meta_data && wooCommerceProduct.meta_data.length > 0)
+      specs: productData.specs?.length || 0,
+      meta_fields: metaFields.meta_data.length + acfFieldNames.length
     });
 
     // Create product via API
@@ -286,9 +691,22 @@ if (productData.images && productData.images.length > 0) {
       console.log(`[Uploader] Product successfully created with ID: ${productId}`);
       console.log(`[Uploader] Product URL: ${response.data.permalink || 'N/A'}`);
 
-      // NEW: Update product meta separately if needed (fallback method)
-      if (wooCommerceProduct.meta_data && wooCommerceProduct.meta_data.length > 0) {
-        await updateProductMeta(wcApi, productId, wooCommerceProduct.meta_data);
+      // Keep the upsert index current so a later URL in the same batch matches this product
+      if (sourceUrlIndexPromise && productData.source_url) {
+        (await sourceUrlIndexPromise).set(productData.source_url, productId);
+      }
+
+      // ACF values go through the WordPress REST API, not the product payload
+      if (acfFieldNames.length > 0) {
+        await saveAcfFields(productId, metaFields.acf, attention, options);
+      }
+
+      if (variations.length > 0) {
+        await uploadVariations(wcApi, productId, variations, variationAttributeIds, imageMap, attention);
+      }
+      await updateNeedsAttention(wcApi, productId, attention, sentAttention);
+      if (!options.dryRun) {
+        recordPricingAudit(pricedData, { product_id: productId, action: 'create' });
       }
 
       return productId;
@@ -321,46 +739,21 @@ if (productData.images && productData.images.length > 0) {
 }
 
 /**
- * NEW: Update product meta data separately (fallback method)
+ * Saves the ACF fields of a saved product; a failure is reported but doesn't fail the upload
+ * ACF needs the product ID, so a failure reaches the needs-attention meta through updateNeedsAttention()
+ * @param {number|string} productId - Product ID
+ * @param {Object} acf - Field name → value, from buildMetaFields()
+ * @param {Array<string>} attention - Needs-attention reasons of the product (a failure is added)
+ * @param {Object} options - uploadProduct() options (dryRun)
+ * @returns {Promise<void>}
  */
-async function updateProductMeta(wcApi, productId, metaData) {
+async function saveAcfFields(productId, acf, attention, options) {
   try {
-    console.log(`[Uploader] Updating meta data for product ${productId}...`);
-
-    // First, get current product data
-    const product = await wcApi.get(`products/${productId}`);
-    const currentMeta = product.data.meta_data || [];
-
-    // Merge existing meta with our new meta
-    const updatedMeta = [...currentMeta];
-
-    metaData.forEach(newMeta => {
-      const existingIndex = updatedMeta.findIndex(m => m.key === newMeta.key);
-      if (existingIndex >= 0) {
-        updatedMeta[existingIndex] = newMeta;
-      } else {
-        updatedMeta.push(newMeta);
-      }
-    });
-
-    // Update product with merged meta data
-    await wcApi.put(`products/${productId}`, {
-      meta_data: updatedMeta
-    });
-
-    console.log(`[Uploader] ✓ Meta data updated successfully for product ${productId}`);
+    await writeAcfFields(productId, acf, { dryRun: options.dryRun });
   } catch (error) {
-    console.error(`[Uploader] Error updating meta data:`, error.message);
-    // Don't throw - this is a non-critical operation
+    const message = error.response?.data?.message || error.message;
+    console.warn(`[Uploader] ACF fields failed for product ${productId}: ${message}`);
+    attention.push(`ACF fields failed: ${message}`);
   }
 }
 
-/**
- * Future extension: Batch upload support
- * Comment for scalability - can be implemented later for uploading multiple products
- * Example: Promise.all(products.map(product => uploadProduct(product)))
- * 
- * Note: WooCommerce API has rate limits, so consider adding delays between requests
- * or using a queue system for large batches.
- */
-
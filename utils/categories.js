@@ -0,0 +1,332 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { decodeEntities, normalizeName } from './text.js';
+
+/**
+ * Project root (this file lives in utils/)
+ */
+const PROJECT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+/**
+ * Default mapping file (override with CATEGORY_MAP_FILE in .env)
+ */
+const DEFAULT_MAP_FILE = path.join(PROJECT_DIR, 'category-map.yaml');
+
+/**
+ * Default store category tree cache (override with CATEGORY_CACHE_FILE in .env)
+ */
+const DEFAULT_CACHE_FILE = path.join(PROJECT_DIR, '.cache', 'category-tree.json');
+
+/**
+ * Minutes the cached category tree is trusted before it is listed again (CATEGORY_CACHE_TTL in .env)
+ */
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+
+/**
+ * Separator between levels in category paths ("Men > Shavers")
+ */
+export const CATEGORY_PATH_SEPARATOR = ' > ';
+
+/**
+ * Loaded mapping: normalized source path → array of store category IDs, or null for "skip"
+ */
+let categoryMap = null;
+
+/**
+ * Store category tree (ID → { id, name, parent }), loaded once per process
+ */
+let treePromise = null;
+
+/**
+ * Serializes category creation so parallel batch workers don't create the same category twice
+ */
+let createQueue = Promise.resolve();
+
+/**
+ * Builds the lookup key for a category path
+ * @param {Array<string>} names - Category names from top level down
+ * @returns {string} Normalized "a > b" key
+ */
+function pathKey(names) {
+  return names.map(normalizeName).join(CATEGORY_PATH_SEPARATOR);
+}
+
+/**
+ * Reads the category mapping file
+ * Keys are source category names or paths ("Men > Shavers"); values are a store category ID,
+ * a list of IDs, or null to drop that source category
+ * @returns {Map<string, Array<number>|null>} Mapping by normalized source path
+ */
+function loadCategoryMap() {
+  const file = process.env.CATEGORY_MAP_FILE || DEFAULT_MAP_FILE;
+  const map = new Map();
+
+  if (!fs.existsSync(file)) {
+    return map;
+  }
+
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected "source category: store category ID" entries');
+    }
+
+    Object.entries(parsed).forEach(([source, target]) => {
+      const ids = target === null ? null : [].concat(target).map(Number);
+      if (ids && (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0))) {
+        throw new Error(`"${source}" must map to a category ID, a list of IDs or null`);
+      }
+      map.set(pathKey(source.split(/\s*>\s*/)), ids);
+    });
+  } catch (error) {
+    // A broken mapping would silently put products in the wrong categories - stop instead
+    throw new Error(`Invalid category map ${file}: ${error.message}`);
+  }
+
+  console.log(`[Categories] Loaded ${map.size} category mappings from ${file}`);
+  return map;
+}
+
+/**
+ * Reads the cached category tree if it belongs to this store and is still fresh
+ * @param {string} file - Cache file path
+ * @returns {Array<Object>|null} Cached categories or null
+ */
+function readCachedTree(file) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const ttl = (Number(process.env.CATEGORY_CACHE_TTL) || DEFAULT_CACHE_TTL_MINUTES) * 60 * 1000;
+    if (cached.store !== process.env.WOOCOMMERCE_URL || Date.now() - Date.parse(cached.fetched_at) > ttl) {
+      return null;
+    }
+    return cached.categories;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes the category tree to the cache file for the next runs
+ * @param {string} file - Cache file path
+ * @param {Array<Object>} categories - Store categories
+ */
+function writeCachedTree(file, categories) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    store: process.env.WOOCOMMERCE_URL,
+    fetched_at: new Date().toISOString(),
+    categories,
+  }, null, 2));
+  console.log(`[Categories] Cached ${categories.length} store categories`);
+}
+
+/**
+ * Removes the cached tree file so the next run lists the store again
+ * Called after creating categories - the in-memory tree is already up to date
+ */
+function invalidateCachedTree() {
+  fs.rmSync(process.env.CATEGORY_CACHE_FILE || DEFAULT_CACHE_FILE, { force: true });
+}
+
+/**
+ * Lists every store category (one paged listing, cached on disk between runs)
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @returns {Promise<Map<number, {id: number, name: string, parent: number}>>} Category tree by ID
+ */
+async function getCategoryTree(wcApi) {
+  if (!treePromise) {
+    treePromise = (async () => {
+      const file = process.env.CATEGORY_CACHE_FILE || DEFAULT_CACHE_FILE;
+      let categories = readCachedTree(file);
+
+      if (categories) {
+        console.log(`[Categories] Using cached category tree (${categories.length} categories)`);
+      } else {
+        console.log('[Categories] Listing store categories...');
+        categories = [];
+        let page = 1;
+        let totalPages = 1;
+        do {
+          const response = await wcApi.get('products/categories', { per_page: 100, page });
+          totalPages = Number(response.headers?.['x-wp-totalpages']) || 1;
+          (response.data || []).forEach((cat) => {
+            categories.push({ id: cat.id, name: decodeEntities(cat.name), parent: cat.parent || 0 });
+          });
+          page++;
+        } while (page <= totalPages);
+
+        // A dry run without credentials lists nothing, and an empty listing would hide the real tree
+        // from later runs until the cache expires - only cache real, non-empty listings
+        if (wcApi.recording || categories.length === 0) {
+          console.log('[Categories] Category tree not cached (dry run or empty listing)');
+        } else {
+          writeCachedTree(file, categories);
+        }
+      }
+
+      return new Map(categories.map(cat => [cat.id, cat]));
+    })().catch((error) => {
+      // Allow a retry on the next product instead of caching the failure
+      treePromise = null;
+      throw error;
+    });
+  }
+  return treePromise;
+}
+
+/**
+ * Returns the names from the top-level category down to this one
+ * @param {Map} tree - Category tree by ID
+ * @param {Object} category - Store category
+ * @returns {Array<string>} Category path
+ */
+function storePath(tree, category) {
+  const names = [];
+  let current = category;
+  while (current && names.length < 20) {
+    names.unshift(current.name);
+    current = tree.get(current.parent);
+  }
+  return names;
+}
+
+/**
+ * Finds the store category for a source path
+ * When several store categories share the name, the one whose parents best match the source path wins
+ * @param {Map} tree - Category tree by ID
+ * @param {Array<string>} names - Source category path
+ * @returns {Object|null} Store category or null
+ */
+function findInTree(tree, names) {
+  const target = normalizeName(names[names.length - 1]);
+  const candidates = [...tree.values()].filter(cat => normalizeName(cat.name) === target);
+  if (candidates.length <= 1) {
+    return candidates[0] || null;
+  }
+
+  const score = (category) => {
+    const parents = storePath(tree, category).map(normalizeName).reverse();
+    const source = names.map(normalizeName).reverse();
+    let matched = 0;
+    while (matched < source.length && parents[matched] === source[matched]) matched++;
+    return matched;
+  };
+
+  return candidates.reduce((best, cat) => (score(cat) > score(best) ? cat : best));
+}
+
+/**
+ * Creates the missing levels of a category path
+ * The top level is reused wherever it already exists; deeper levels are matched under their parent
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Map} tree - Category tree by ID (updated in place)
+ * @param {Array<string>} names - Source category path
+ * @returns {Promise<Object>} Deepest (created or existing) category
+ */
+async function createCategoryPath(wcApi, tree, names) {
+  let category = null;
+
+  for (const [depth, name] of names.entries()) {
+    const parent = category ? category.id : 0;
+    const existing = depth === 0
+      ? findInTree(tree, [name])
+      : [...tree.values()].find(cat => cat.parent === parent && normalizeName(cat.name) === normalizeName(name));
+
+    if (existing) {
+      category = existing;
+      continue;
+    }
+
+    console.log(`[Categories] Creating category: ${name}${parent ? ` (under ${category.name})` : ''}`);
+    const response = await wcApi.post('products/categories', { name, parent });
+    category = { id: response.data.id, name, parent };
+    tree.set(category.id, category);
+    if (!wcApi.recording) {
+      invalidateCachedTree();
+    }
+  }
+
+  return category;
+}
+
+/**
+ * Resolves scraped categories to store category IDs
+ * Order per category: mapping file (full path, then shorter suffixes down to the name),
+ * then the store's category tree, then - with create enabled - new categories following the source path
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Array<{name: string, path?: Array<string>}>} categories - Scraped categories
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.create - Create missing categories (defaults to CREATE_CATEGORIES=true in .env)
+ * @returns {Promise<Array<{id: number}>>} Unique category references for the product payload
+ */
+export async function resolveCategories(wcApi, categories = [], options = {}) {
+  const create = options.create ?? process.env.CREATE_CATEGORIES === 'true';
+  if (!categoryMap) {
+    categoryMap = loadCategoryMap();
+  }
+
+  const ids = [];
+  let tree = null;
+
+  for (const category of categories) {
+    const names = (category.path && category.path.length > 0 ? category.path : [category.name])
+      .map(name => String(name || '').trim())
+      .filter(Boolean);
+    if (names.length === 0) continue;
+    const label = names.join(CATEGORY_PATH_SEPARATOR);
+
+    // 1. Mapping file - most specific key first
+    const mappedKey = names
+      .map((_, start) => pathKey(names.slice(start)))
+      .find(key => categoryMap.has(key));
+    if (mappedKey !== undefined) {
+      const mapped = categoryMap.get(mappedKey);
+      if (mapped) {
+        console.log(`[Categories] Mapped ${label} → ${mapped.join(', ')}`);
+        ids.push(...mapped);
+      } else {
+        console.log(`[Categories] Skipping ${label} (mapped to null)`);
+      }
+      continue;
+    }
+
+    // 2. Existing store category
+    try {
+      tree = tree || await getCategoryTree(wcApi);
+    } catch (error) {
+      console.error(`[Categories] Could not list store categories: ${error.message}`);
+      continue;
+    }
+
+    const existing = findInTree(tree, names);
+    if (existing) {
+      console.log(`[Categories] Found existing category: ${label} (ID: ${existing.id})`);
+      ids.push(existing.id);
+      continue;
+    }
+
+    // 3. Create it (optional)
+    if (!create) {
+      console.log(`[Categories] Category not found (skipping): ${label}`);
+      continue;
+    }
+
+    try {
+      const created = createQueue.then(() => createCategoryPath(wcApi, tree, names));
+      createQueue = created.catch(() => {});
+      ids.push((await created).id);
+    } catch (error) {
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      console.error(`[Categories] Could not create category ${label}: ${detail}`);
+    }
+  }
+
+  return [...new Set(ids)].map(id => ({ id }));
+}
+
+export default {
+  resolveCategories
+};
@@ -0,0 +1,25 @@
+/**
+ * Runs an async worker over items with at most `concurrency` in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+export default {
+  runWithConcurrency
+};
@@ -0,0 +1,475 @@
+import { escapeHtml, decodeEntities } from './text.js';
+
+/**
+ * Tags kept in descriptions, with the attributes each may keep
+ * Everything else is unwrapped (its text stays) unless it is listed in DROPPED_TAGS
+ */
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [],
+  strong: [], b: [], em: [], i: [], u: [], sub: [], sup: [],
+  h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [], dl: [], dt: [], dd: [],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+  th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  blockquote: [], figure: [], figcaption: [],
+  img: ['src', 'alt', 'width', 'height'],
+};
+
+/**
+ * Tags renamed on the way in - the product title is the page's only h1
+ */
+const RENAMED_TAGS = { h1: 'h2' };
+
+/**
+ * Tags removed together with everything inside them
+ */
+const DROPPED_TAGS = ['script', 'style', 'noscript', 'iframe', 'form', 'button', 'svg', 'template', 'object', 'embed',
+  'select', 'textarea', 'input', 'canvas', 'video', 'audio', 'nav', 'head', 'title'];
+
+/**
+ * Tags without a closing tag
+ */
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'link', 'source', 'wbr', 'col', 'area', 'base', 'embed', 'param', 'track'];
+
+/**
+ * Unwrapped block tags that end a line, so their texts don't run together
+ */
+const BLOCK_TAGS = ['div', 'section', 'article', 'header', 'footer', 'aside', 'main', 'center', 'address'];
+
+/**
+ * Lazy-loading attributes that hold the real image URL while src is a placeholder
+ */
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'];
+
+/**
+ * Elements dropped once they are empty (table cells are kept so rows stay aligned)
+ */
+const EMPTY_ELEMENT = /<(p|li|strong|b|em|i|u|sub|sup|h[2-6]|blockquote|figcaption|caption|dt|dd)>(?:\s|&nbsp;|<br>)*<\/\1>/g;
+
+/**
+ * Default short description length in characters (SHORT_DESCRIPTION_MAX_LENGTH in .env)
+ */
+const DEFAULT_SHORT_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Any digit: ASCII, Persian or Arabic-Indic
+ */
+const D = '[0-9۰-۹٠-٩]';
+
+/**
+ * Phone numbers with the label in front of them: "021-88776655", "۰۹۱۲ ۳۴۵ ۶۷۸۹", "+98 912 345 6789", "تلفن: ..."
+ * A leading 0 or country code is required so model numbers and prices are left alone
+ */
+const PHONE_PATTERN = new RegExp(
+  '(?:(?:tel|phone|call|mobile|whatsapp|تلفن(?:\\s*تماس)?|شماره(?:\\s*تماس)?|تماس|موبایل|همراه|واتساپ|واتس\\s*اپ)\\s*[:：]?\\s*)?' +
+  `(?<!${D})(?:(?:\\+|00)98[\\s-]?|[0۰٠])${D}{2,3}[\\s-]?${D}{3,4}[\\s-]?${D}{4}(?!${D})`,
+  'gi'
+);
+
+/**
+ * Links and e-mail addresses in text: full URLs, "www." hosts and bare domains
+ */
+const LINK_PATTERNS = [
+  /https?:\/\/[^\s<>"']+/gi,
+  /\bwww\.[^\s<>"']+/gi,
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  /\b[\w-]+(?:\.[\w-]+)*\.(?:com|ir|net|org|co|shop|store|info|biz|online|site)\b(?:\/[^\s<>"']*)?/gi,
+];
+
+/**
+ * Words that mean nothing once the links and phone numbers around them are cut: conjunctions and
+ * prepositions, and the calls to action that pointed at the contact details ("Call ... or visit ...")
+ */
+const LEFTOVER_WORDS = [
+  'and', 'or', 'at', 'on', 'to', 'via', 'us', 'our', 'the',
+  'call', 'visit', 'contact', 'email', 'e-mail', 'tel', 'phone', 'website', 'site',
+  'و', 'یا', 'با', 'به', 'در', 'از', 'ما', 'را', 'برای',
+  'تماس', 'بگیرید', 'خرید', 'سفارش', 'شماره', 'تلفن', 'سایت', 'وب‌سایت', 'وبسایت', 'مراجعه', 'کنید', 'فرمایید', 'آدرس', 'ایمیل',
+];
+
+/**
+ * What may be left of a text after links and phone numbers are cut: punctuation and LEFTOVER_WORDS
+ * ("تلفن: ۰۹۱۲... و ۰۲۱..." → "تلفن:  و ", "Call ... or visit ..." → "Call  or visit ")
+ */
+const LEFTOVER_TEXT = new RegExp(
+  `^[\\s\\p{P}\\p{S}]*(?:(?:${LEFTOVER_WORDS.join('|')})(?:[\\s\\p{P}\\p{S}]+|$))*$`,
+  'iu'
+);
+
+/**
+ * Second-level labels under a country code ("example.co.uk", "example.ac.ir") - the site name is the label before them
+ */
+const SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'id', 'sch'];
+
+/**
+ * Site names too generic to strip as branding ("shop.ir")
+ */
+const GENERIC_SITE_NAMES = ['www', 'shop', 'store', 'online', 'market'];
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses the attributes of a start tag
+ * @param {string} source - Everything between the tag name and ">"
+ * @returns {Object} Attribute name (lowercase) → decoded value
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Turns an image attribute into an absolute http(s) URL
+ * @param {string} value - src or lazy-load attribute value
+ * @param {string} baseUrl - Page URL for relative paths
+ * @returns {string} URL, or '' for placeholders, data: URIs and unparsable values
+ */
+function resolveImageUrl(value, baseUrl) {
+  const src = (value || '').trim().split(/\s+/)[0];
+  if (!src || /^data:/i.test(src)) return '';
+  try {
+    const url = new URL(src, baseUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Builds the kept attributes of an allowed tag
+ * @param {string} tag - Output tag name
+ * @param {Object} attributes - Parsed attributes
+ * @param {string} baseUrl - Page URL for relative image paths
+ * @returns {string|null} Attribute string (with leading spaces), or null when an image has no usable source
+ */
+function buildAttributes(tag, attributes, baseUrl) {
+  const values = { ...attributes };
+  if (tag === 'img') {
+    const lazy = LAZY_SRC_ATTRIBUTES.map(name => resolveImageUrl(values[name], baseUrl)).find(Boolean);
+    values.src = lazy || resolveImageUrl(values.src, baseUrl);
+    if (!values.src) return null;
+  }
+
+  return ALLOWED_TAGS[tag]
+    .filter(name => values[name] !== undefined && values[name] !== '')
+    .filter(name => !['width', 'height', 'colspan', 'rowspan'].includes(name) || /^\d+$/.test(values[name]))
+    .map(name => ` ${name}="${escapeHtml(values[name])}"`)
+    .join('');
+}
+
+/**
+ * Reduces scraped HTML to the description allowlist
+ * Scripts, styles, forms and embeds are removed with their content; links, divs, spans and other tags are
+ * unwrapped; attributes other than image src/alt/size and table spans are dropped; lazy-loaded images get
+ * their real URL and relative URLs are made absolute. Unclosed tags are closed.
+ * @param {string} html - Scraped HTML (or plain text)
+ * @param {Object} options - Optional settings
+ * @param {string} options.baseUrl - Page URL for relative image paths
+ * @param {Function} options.text - Applied to every text run (used to strip branding, links and phones)
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  const source = String(html || '');
+  const filterText = options.text || (text => text);
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+  const open = [];
+  let output = '';
+  let dropping = null; // { tag, depth } while inside a dropped element
+  let lastIndex = 0;
+  let match;
+
+  const emitText = (text) => {
+    if (!dropping && text) {
+      // Text may hold a stray "<" that isn't a tag
+      output += filterText(text.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+    }
+  };
+
+  while ((match = tokenPattern.exec(source)) !== null) {
+    emitText(source.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+    if (!match[2]) continue; // comment, CDATA or doctype
+
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+    const tag = RENAMED_TAGS[name] || name;
+
+    if (dropping) {
+      if (name === dropping.tag && !VOID_TAGS.includes(name)) {
+        dropping.depth += closing ? -1 : 1;
+        if (dropping.depth === 0) dropping = null;
+      }
+      continue;
+    }
+
+    if (DROPPED_TAGS.includes(name)) {
+      if (!closing && !VOID_TAGS.includes(name) && !/\/\s*>$/.test(match[0])) {
+        dropping = { tag: name, depth: 1 };
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS[tag]) {
+      if (closing && BLOCK_TAGS.includes(name)) output += '\n';
+      continue;
+    }
+
+    if (closing) {
+      const position = open.lastIndexOf(tag);
+      if (position === -1) continue;
+      while (open.length > position) {
+        output += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = buildAttributes(tag, parseAttributes(match[3] || ''), options.baseUrl);
+    if (attributes === null) continue;
+    output += `<${tag}${attributes}>`;
+    if (!VOID_TAGS.includes(tag)) open.push(tag);
+  }
+  emitText(source.slice(lastIndex));
+
+  while (open.length > 0) {
+    output += `</${open.pop()}>`;
+  }
+  return tidyHtml(output);
+}
+
+/**
+ * Removes empty elements and extra whitespace left behind by sanitizing
+ * @param {string} html - Sanitized HTML
+ * @returns {string} Tidied HTML
+ */
+function tidyHtml(html) {
+  let tidied = html;
+  let previous;
+  do {
+    previous = tidied;
+    tidied = tidied
+      .replace(EMPTY_ELEMENT, '')
+      .replace(/<(ul|ol|dl)>\s*<\/\1>/g, '');
+  } while (tidied !== previous);
+
+  return tidied
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n[\s]*\n\s*/g, '\n\n')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+/**
+ * Returns the name part of a host's registrable domain, ignoring subdomains and the (country) TLD
+ * ("shop.example.com" → "example", "store.mobile.ir" → "mobile", "example.co.uk" → "example")
+ * @param {string} hostname - Host name
+ * @returns {string} Site name
+ */
+function getSiteName(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  labels.pop();
+  if (labels.length > 1 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 1])) {
+    labels.pop();
+  }
+  return labels[labels.length - 1] || '';
+}
+
+/**
+ * Builds the text filter for one supplier: removes links, e-mail addresses, phone numbers and sentences
+ * that mention the supplier
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceUrl - Product page URL; its host name and site name ("shop.example.com" → "example") count as branding
+ * @param {Array<string>} options.branding - Extra supplier names/slogans (the site profile's "branding" list)
+ * @returns {Function} Text → cleaned text
+ */
+export function createTextFilter(options = {}) {
+  const terms = [...(options.branding || [])].map(String).filter(term => term.trim());
+  try {
+    const hostname = new URL(options.sourceUrl).hostname.replace(/^www\./, '');
+    const siteName = getSiteName(hostname);
+    terms.push(hostname);
+    if (siteName.length >= 4 && !GENERIC_SITE_NAMES.includes(siteName)) terms.push(siteName);
+  } catch (error) {
+    // No source URL - only the configured branding is removed
+  }
+
+  // Latin terms must be whole words ("tehranjanebi" but not inside "tehranjanebiyan")
+  const brandPattern = terms.length > 0
+    ? new RegExp(terms.map(term => (/^[\w.\s-]+$/.test(term) ? `\\b${escapeRegex(term.trim())}\\b` : escapeRegex(term.trim()))).join('|'), 'i')
+    : null;
+
+  return (text) => {
+    let cleaned = LINK_PATTERNS.reduce((result, pattern) => result.replace(pattern, ''), text);
+    cleaned = cleaned.replace(PHONE_PATTERN, '');
+    if (brandPattern && brandPattern.test(decodeEntities(cleaned))) {
+      // Drop the whole sentence - "Buy it from <supplier> with free shipping" makes no sense with the name cut out
+      const parts = cleaned.split(/((?<=[.!?؟؛;])[ \t]+|\n+)/);
+      cleaned = parts
+        .filter((part, index) => {
+          const sentence = index % 2 === 0 ? part : parts[index - 1];
+          return !brandPattern.test(decodeEntities(sentence));
+        })
+        .join('');
+    }
+    if (cleaned === text) {
+      return text;
+    }
+    // Nothing but leftovers - drop the text so tidyHtml() removes the paragraph it was in
+    if (LEFTOVER_TEXT.test(decodeEntities(cleaned))) {
+      return '';
+    }
+    // Labels and separators left where something was cut ("Tel: ", "Website - ")
+    return cleaned.replace(/[ \t]*[:：\-–|،,]+[ \t]*$/, ' ').replace(/[ \t]{2,}/g, ' ');
+  };
+}
+
+/**
+ * Converts description HTML to plain text, one line per paragraph, list item, heading or line break
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+export function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|h[1-6]|tr|dt|dd|blockquote|figcaption|caption|div|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Shortens text at a sentence boundary
+ * Whole lines and sentences are kept while they fit; when even the first sentence is too long it is cut at
+ * the last word that fits and ends with "…"
+ * @param {string} text - Plain text (lines separated by "\n")
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {Array<string>} Kept lines
+ */
+export function truncateAtSentence(text, maxLength) {
+  const lines = [];
+  let length = 0;
+
+  for (const line of String(text).split('\n')) {
+    const sentences = line.split(/(?<=[.!?؟…])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    const kept = [];
+    for (const sentence of sentences) {
+      const added = sentence.length + (kept.length > 0 || lines.length > 0 ? 1 : 0);
+      if (length + added > maxLength) break;
+      kept.push(sentence);
+      length += added;
+    }
+    if (kept.length > 0) lines.push(kept.join(' '));
+    if (kept.length < sentences.length) break;
+  }
+
+  if (lines.length === 0 && text.trim()) {
+    const cut = text.trim().split('\n')[0].substring(0, Math.max(maxLength - 1, 1));
+    const lastSpace = cut.lastIndexOf(' ');
+    lines.push(`${(lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,،:;؛-]+$/, '')}…`);
+  }
+  return lines;
+}
+
+/**
+ * Builds the short description
+ * A scraped short description that fits is kept as HTML; a longer one, or the description when the page has
+ * no short description (without its headings), is shortened at a sentence boundary into plain paragraphs
+ * @param {string} shortHtml - Sanitized short description
+ * @param {string} descriptionHtml - Sanitized description
+ * @param {number} maxLength - Maximum length in characters of text
+ * @returns {string} Short description HTML ('' when there is no text at all)
+ */
+export function buildShortDescription(shortHtml, descriptionHtml, maxLength = getShortDescriptionLength()) {
+  const shortText = htmlToText(shortHtml);
+  if (shortText && shortText.length <= maxLength) {
+    return shortHtml;
+  }
+
+  // Headings usually repeat the product name, so the summary starts with the first paragraph
+  const text = shortText || htmlToText(String(descriptionHtml || '').replace(/<(h[2-6])>[\s\S]*?<\/\1>/g, ''));
+  if (!text) return '';
+  return truncateAtSentence(text, maxLength).map(line => `<p>${escapeHtml(line)}</p>`).join('\n');
+}
+
+/**
+ * Returns the configured short description length
+ * @returns {number} Characters
+ */
+export function getShortDescriptionLength() {
+  return Number(process.env.SHORT_DESCRIPTION_MAX_LENGTH) || DEFAULT_SHORT_DESCRIPTION_LENGTH;
+}
+
+/**
+ * Cleans the descriptions of scraped product data in place: sanitizes both to the allowlist, strips
+ * supplier branding, links and phone numbers, and builds the short description
+ * Inline images keep their (absolute) supplier URLs here; the uploader re-hosts them with
+ * extractDescriptionImages() and replaceDescriptionImages()
+ * @param {Object} productData - Product data object from scraper (needs source_url)
+ * @param {Object|null} profile - Site profile; its "branding" list is stripped too
+ * @returns {Object} The same productData
+ */
+export function processProductDescriptions(productData, profile = null) {
+  const filter = createTextFilter({ sourceUrl: productData.source_url, branding: profile?.branding });
+  const options = { baseUrl: productData.source_url, text: filter };
+
+  productData.description = sanitizeHtml(productData.description, options);
+  productData.short_description = buildShortDescription(
+    sanitizeHtml(productData.short_description, options),
+    productData.description
+  );
+  return productData;
+}
+
+/**
+ * Lists the image URLs in description HTML, in order and without repeats
+ * @param {string} html - Sanitized description
+ * @returns {Array<string>} Image URLs
+ */
+export function extractDescriptionImages(html) {
+  const urls = [...String(html || '').matchAll(/<img\b[^>]*\ssrc="([^"]+)"/g)].map(match => decodeEntities(match[1]));
+  return [...new Set(urls)];
+}
+
+/**
+ * Points description images at their re-hosted copies
+ * @param {string} html - Sanitized description
+ * @param {Object} replacements - Original URL → new URL, or null to remove the image
+ * @returns {string} Description HTML
+ */
+export function replaceDescriptionImages(html, replacements) {
+  const replaced = String(html || '').replace(/<img\b[^>]*>/g, (tag) => {
+    const src = tag.match(/\ssrc="([^"]+)"/);
+    const original = src ? decodeEntities(src[1]) : '';
+    if (!(original in replacements)) return tag;
+    if (!replacements[original]) return '';
+    return tag.replace(/\ssrc="[^"]+"/, ` src="${escapeHtml(replacements[original])}"`);
+  });
+  return tidyHtml(replaced);
+}
+
+export default {
+  sanitizeHtml,
+  createTextFilter,
+  htmlToText,
+  truncateAtSentence,
+  buildShortDescription,
+  getShortDescriptionLength,
+  processProductDescriptions,
+  extractDescriptionImages,
+  replaceDescriptionImages
+};
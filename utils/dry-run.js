@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './text.js';
+
+/**
+ * Default folder for dry-run previews (override with --output or DRY_RUN_OUTPUT_DIR in .env)
+ */
+const DEFAULT_OUTPUT_DIR = 'previews';
+
+/**
+ * Prefix of the placeholder IDs handed out for records that were never created
+ */
+const DRY_RUN_ID_PREFIX = 'dry-run-';
+
+/**
+ * Creates the recorder for one product's dry run
+ * The recorder collects every write request the uploader would have sent
+ * and tells the image uploader where to save processed images instead of uploading them
+ * @param {string} url - Source product URL (used to name the preview folder)
+ * @param {string} outputDir - Base folder for previews
+ * @returns {{dir: string, imagesDir: string, requests: Array<Object>, nextId: number}} Recorder
+ */
+export function createDryRun(url, outputDir = '') {
+  const baseDir = outputDir || process.env.DRY_RUN_OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
+  const dir = path.resolve(baseDir, previewFolderName(url));
+
+  return {
+    dir,
+    imagesDir: path.join(dir, 'images'),
+    requests: [],
+    nextId: 1,
+    pricing: [], // Pricing decisions from applyPricingRules(), shown in the preview
+  };
+}
+
+/**
+ * Builds a readable, filesystem-safe folder name from a product URL
+ * @param {string} url - Source product URL
+ * @returns {string} Folder name like "shop.com-product-slug"
+ */
+function previewFolderName(url) {
+  let name = 'product';
+  try {
+    const { hostname, pathname } = new URL(url);
+    const slug = decodeURIComponent(pathname).split('/').filter(Boolean).pop() || '';
+    name = [hostname.replace(/^www\./, ''), slug].filter(Boolean).join('-');
+  } catch (error) {
+    // Keep the generic name
+  }
+
+  return name
+    .replace(/[^\p{L}\p{N}.\-]+/gu, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 100) || 'product';
+}
+
+/**
+ * Wraps a WooCommerce API client so reads go to the store and writes are only recorded
+ * Writes answer with placeholder IDs so the uploader runs its normal flow end to end.
+ * Reads of placeholder records (e.g. variations of a product that was never created) return empty data.
+ * The client is marked with recording: true so callers can keep what it returns out of on-disk caches.
+ * @param {WooCommerceRestApi|null} wcApi - Real API client for lookups, or null when no credentials are configured
+ * @param {Object} dryRun - Recorder from createDryRun()
+ * @returns {Object} Client with the get/post/put/delete methods the uploader uses
+ */
+export function createRecordingApi(wcApi, dryRun) {
+  const placeholderId = () => `${DRY_RUN_ID_PREFIX}${dryRun.nextId++}`;
+
+  const record = (method, endpoint, data) => {
+    dryRun.requests.push({ method, endpoint, data });
+    console.log(`[Dry Run] Skipped ${method} ${endpoint}`);
+  };
+
+  return {
+    recording: true,
+
+    async get(endpoint, params = {}) {
+      const lastSegment = endpoint.split('/').pop();
+      if (endpoint.includes(DRY_RUN_ID_PREFIX)) {
+        const data = lastSegment.startsWith(DRY_RUN_ID_PREFIX) ? { id: lastSegment, meta_data: [] } : [];
+        return { data, headers: {} };
+      }
+      if (!wcApi) {
+        return { data: [], headers: {} };
+      }
+      return wcApi.get(endpoint, params);
+    },
+
+    async post(endpoint, data = {}) {
+      record('POST', endpoint, data);
+
+      if (endpoint.endsWith('/batch')) {
+        return {
+          data: {
+            create: (data.create || []).map(item => ({ ...item, id: placeholderId() })),
+            update: (data.update || []).map(item => ({ ...item })),
+            delete: (data.delete || []).map(id => ({ id })),
+          },
+        };
+      }
+      return { data: { ...data, id: placeholderId(), permalink: '' } };
+    },
+
+    async put(endpoint, data = {}) {
+      record('PUT', endpoint, data);
+      return { data: { ...data, id: endpoint.split('/').pop(), permalink: '' } };
+    },
+
+    async delete(endpoint, params = {}) {
+      record('DELETE', endpoint, params);
+      return { data: { id: endpoint.split('/').pop() } };
+    },
+  };
+}
+
+/**
+ * Finds the request that creates or updates the product itself
+ * @param {Array<Object>} requests - Recorded requests
+ * @returns {Object|null} POST products or the first PUT products/{id}
+ */
+function findProductRequest(requests) {
+  return requests.find(r => r.method === 'POST' && r.endpoint === 'products') ||
+    requests.find(r => r.method === 'PUT' && /^products\/[^/]+$/.test(r.endpoint)) ||
+    null;
+}
+
+/**
+ * Renders the HTML preview page for a dry-run payload
+ * The description is shown in a sandboxed iframe so supplier scripts and styles cannot run or leak
+ * @param {Object} preview - Preview object written to payload.json
+ * @param {string} dir - Preview folder (for relative image links)
+ * @returns {string} HTML document
+ */
+function renderPreviewHtml(preview, dir) {
+  const product = preview.product || {};
+  // Processed images were saved under the preview folder - link them relatively so the folder can be moved
+  const images = (product.images || [])
+    .map(img => img.src
+      ? `<img src="${escapeHtml(path.isAbsolute(img.src) ? path.relative(dir, img.src).split(path.sep).join('/') : img.src)}" alt="">`
+      : `<div class="media">Media #${escapeHtml(img.id)}</div>`)
+    .join('\n      ');
+
+  const rows = [
+    ['Action', preview.action === 'update' ? `Update product ${preview.product_id}` : 'Create new product'],
+    ['Source', preview.source_url],
+    ['Type', product.type],
+    ['Status', product.status],
+    ['Regular price', product.regular_price],
+    ['Sale price', product.sale_price],
+    ['Pricing', (preview.pricing || []).map(item => `${item.item}: rule "${item.rule}" ${item.source.regular_price}${item.source.sale_price ? `/${item.source.sale_price}` : ''} → ${item.result.regular_price}${item.result.sale_price ? `/${item.result.sale_price}` : ''}`).join('\n')],
+    ['Confidence', preview.validation ? `${preview.validation.score}/100 (minimum ${preview.validation.min_score}${preview.validation.passed ? '' : ' - would be held for review'})\n${preview.validation.issues.map(issue => `${issue.message} (-${issue.penalty})`).join('\n')}`.trim() : undefined],
+    ['SKU', product.sku],
+    ['Stock', product.stock_status],
+    ['Categories', (product.categories || []).map(c => c.id).join(', ')],
+    ['Attributes', (product.attributes || []).map(a => `${a.name || `#${a.id}`}: ${a.options.join(' / ')}`).join('\n')],
+  ]
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value).replace(/\n/g, '<br>')}</td></tr>`)
+    .join('\n      ');
+
+  const meta = (product.meta_data || [])
+    .map(m => `<tr><th>${escapeHtml(m.key)}</th><td><pre>${escapeHtml(JSON.stringify(m.value, null, 2))}</pre></td></tr>`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Dry run: ${escapeHtml(product.name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    .gallery { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1.5rem; }
+    .gallery img, .media { width: 200px; height: 200px; object-fit: contain; border: 1px solid #ddd; }
+    iframe { width: 100%; height: 400px; border: 1px solid #ddd; }
+    pre { white-space: pre-wrap; margin: 0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(product.name)}</h1>
+  <p>Dry run generated ${escapeHtml(preview.generated_at)} - nothing was sent to WooCommerce.</p>
+  <table>
+      ${rows}
+  </table>
+  <h2>Images (${(product.images || []).length})</h2>
+  <div class="gallery">
+      ${images}
+  </div>
+  <h2>Short description</h2>
+  <iframe sandbox srcdoc="${escapeHtml(product.short_description || '')}" style="height: 150px"></iframe>
+  <h2>Description</h2>
+  <iframe sandbox srcdoc="${escapeHtml(product.description || '')}"></iframe>
+  <h2>Meta data</h2>
+  <table>
+      ${meta}
+  </table>
+  <details>
+    <summary>All skipped requests (${preview.requests.length})</summary>
+    <pre>${escapeHtml(JSON.stringify(preview.requests, null, 2))}</pre>
+  </details>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes payload.json and preview.html for a finished dry run
+ * @param {Object} dryRun - Recorder from createDryRun(), after uploadProduct() ran with it
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Promise<{product: Object, jsonPath: string, htmlPath: string}>} Product payload and written file paths
+ */
+export async function writePreview(dryRun, productData) {
+  const productRequest = findProductRequest(dryRun.requests);
+
+  const preview = {
+    generated_at: new Date().toISOString(),
+    source_url: productData.source_url || '',
+    action: productRequest?.method === 'PUT' ? 'update' : 'create',
+    product_id: productRequest?.method === 'PUT' ? productRequest.endpoint.split('/').pop() : null,
+    product: productRequest ? productRequest.data : null,
+    pricing: dryRun.pricing || [],
+    validation: productData.validation || null,
+    requests: dryRun.requests,
+  };
+
+  await fs.mkdir(dryRun.dir, { recursive: true });
+  const jsonPath = path.join(dryRun.dir, 'payload.json');
+  const htmlPath = path.join(dryRun.dir, 'preview.html');
+  await fs.writeFile(jsonPath, JSON.stringify(preview, null, 2));
+  await fs.writeFile(htmlPath, renderPreviewHtml(preview, dryRun.dir));
+
+  console.log(`[Dry Run] Payload written to ${jsonPath}`);
+  console.log(`[Dry Run] Preview page written to ${htmlPath}`);
+
+  return { product: preview.product, jsonPath, htmlPath };
+}
+
+export default {
+  createDryRun,
+  createRecordingApi,
+  writePreview
+};
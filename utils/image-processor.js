@@ -1,129 +1,314 @@
 // image-processor.js
 import sharp from 'sharp';
 import axios from 'axios';
+import watermark from './watermark.js';
+import { computeImageHash, hashDistance, getHashThreshold } from './media-index.js';
+import { withRetry } from './retry.js';
+import { runWithConcurrency } from './concurrency.js';
+import { USER_AGENT } from '../scraper.js';
+
+/**
+ * Images downloaded at the same time per product (override with IMAGE_CONCURRENCY in .env)
+ */
+const DEFAULT_IMAGE_CONCURRENCY = 4;
+
+/**
+ * Largest image accepted from a supplier, in MB (override with IMAGE_MAX_DOWNLOAD_MB in .env)
+ */
+const DEFAULT_MAX_DOWNLOAD_MB = 20;
+
+/**
+ * Returns how many images are downloaded or uploaded at the same time
+ * @returns {number} Concurrency
+ */
+export function getImageConcurrency() {
+    return Math.max(1, Number(process.env.IMAGE_CONCURRENCY) || DEFAULT_IMAGE_CONCURRENCY);
+}
 
 /**
  * Downloads an image from URL and returns it as Buffer
+ * Sends the browser user agent and a Referer so suppliers with hotlink protection serve the file;
+ * timeouts, 429 and 5xx responses are retried with exponential backoff (see utils/retry.js)
  * @param {string} imageUrl - URL of the image to download
+ * @param {Object} options - Optional settings
+ * @param {string} options.referer - Page the image was found on (default: the image's own site)
  * @returns {Promise<Buffer>} Image buffer
  */
-export async function downloadImage(imageUrl) {
+export async function downloadImage(imageUrl, options = {}) {
+    const maxMb = Number(process.env.IMAGE_MAX_DOWNLOAD_MB) || DEFAULT_MAX_DOWNLOAD_MB;
+    let referer;
+    try {
+        // URL() percent-encodes non-ASCII paths (Persian slugs) - raw ones are invalid in a header
+        referer = options.referer ? new URL(options.referer).href : `${new URL(imageUrl).origin}/`;
+    } catch (error) {
+        referer = undefined;
+    }
+
     try {
         console.log(`[Image Processor] Downloading image: ${imageUrl}`);
-        const response = await axios({
+        const response = await withRetry(() => axios({
             method: 'GET',
             url: imageUrl,
-            responseType: 'arraybuffer'
-        });
+            responseType: 'arraybuffer',
+            headers: {
+                'User-Agent': USER_AGENT,
+                Accept: 'image/avif,image/webp,image/*,*/*;q=0.8',
+                ...(referer ? { Referer: referer } : {})
+            },
+            timeout: Number(process.env.IMAGE_DOWNLOAD_TIMEOUT) || 30000,
+            maxContentLength: maxMb * 1024 * 1024
+        }), { label: `Download of ${imageUrl}`, logPrefix: '[Image Processor]' });
         return Buffer.from(response.data, 'binary');
     } catch (error) {
+        if (/maxContentLength/.test(error.message)) {
+            error.message = `Image is larger than ${maxMb} MB (IMAGE_MAX_DOWNLOAD_MB)`;
+        }
         console.error(`[Image Processor] Failed to download image: ${error.message}`);
         throw error;
     }
 }
 
 /**
- * Removes watermark from bottom left corner of the image by painting over it
- * with a sampled background color. Uses a top-layer SVG rectangle (blend: 'over').
+ * Default watermark options (overridden per site by the "watermark" section of a site profile)
  *
- * Options:
- *  - position: 'bottom-left' (only supported currently)
- *  - width, height, margin: watermark rectangle
- *  - sampleSize: size of sampling box (px) used to compute background color
- *  - expand: extra pixels to expand the rect to avoid visible edges
- *  - blur: radius to slightly blur the whole image after overlay to blend seams (0 = disabled)
+ *  - mode: 'auto' (template if given, else compare the gallery, else fixed), 'template', 'diff', 'fixed' or 'none'
+ *  - positions: where the watermark sits - top-left, top-right, bottom-left, bottom-right, center, tiled
+ *  - template: logo image to search for (PNG; transparent pixels are ignored)
+ *  - threshold, scales: template match score (0-1) and logo sizes to try
+ *  - minImages: images needed before the gallery is compared (diff mode)
+ *  - fill: 'blur', 'median', 'patch' or 'color' (fillColor) - how the watermark area is repainted
+ *  - padding: extra pixels repainted around a detected watermark
+ *  - width, height, margin, scaleX, scaleY: the rectangle repainted in fixed mode
  */
-// Replace your current removeWatermark with this exact function
-export async function removeWatermark(imageBuffer, options = {}) {
+export const DEFAULT_WATERMARK_OPTIONS = {
+    mode: 'auto',
+    positions: ['bottom-left'],
+    template: null,
+    threshold: 0.6,
+    scales: [0.5, 0.75, 1, 1.25, 1.5, 2],
+    minImages: 3,
+    fill: 'blur',
+    fillColor: '#FFFFFF',
+    padding: 3,
+    width: 120,
+    height: 50,
+    margin: 10,
+    scaleX: 2,
+    scaleY: 5
+};
+
+/**
+ * Computes the fixed cover rectangles: the scaled watermark box anchored `margin` pixels into each corner
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} cfg - Watermark options
+ * @returns {Array<{left: number, top: number, width: number, height: number}>} Rectangles
+ */
+function fixedRects(width, height, cfg) {
+    const rectWidth = Math.min(width - cfg.margin, Math.round(cfg.width * cfg.scaleX));
+    const rectHeight = Math.min(height - cfg.margin, Math.round(cfg.height * cfg.scaleY));
+
+    return [].concat(cfg.positions).map((position) => {
+        if (position === 'tiled') {
+            // A repeated watermark cannot be covered by one box - it needs a template or several images
+            console.warn('[Image Processor] Fixed mode cannot remove tiled watermarks - use a template or diff mode');
+            return null;
+        }
+
+        const left = position.endsWith('left') ? cfg.margin
+            : position.endsWith('right') ? width - rectWidth - cfg.margin
+            : Math.round((width - rectWidth) / 2);
+        const top = position.startsWith('top') ? cfg.margin
+            : position.startsWith('bottom') ? height - rectHeight - cfg.margin
+            : Math.round((height - rectHeight) / 2);
+
+        return {
+            left: Math.max(0, left),
+            top: Math.max(0, top),
+            width: Math.max(1, rectWidth),
+            height: Math.max(1, rectHeight)
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Removes the watermark from an image and repaints the area from the surrounding pixels
+ *
+ * Detection, depending on options.mode:
+ *  - template: finds the supplier logo (options.template) inside the configured positions
+ *  - diff: uses the mask of pixels shared by the whole gallery (context.shared, see processProductImages)
+ *  - fixed: repaints a rectangle of the configured size in each position
+ * In auto mode a template is used when configured, then the gallery comparison when enough images
+ * were available, and the fixed rectangle otherwise. When detection runs but finds nothing the image is left as is.
+ *
+ * @param {Buffer} imageBuffer - Encoded image
+ * @param {Object} options - Watermark options (see DEFAULT_WATERMARK_OPTIONS)
+ * @param {Object} context - Gallery information from processProductImages()
+ * @param {Object|null} context.shared - Shared watermark mask from findSharedWatermark()
+ * @param {boolean} context.compared - Whether the gallery was compared (even if nothing was found)
+ * @returns {Promise<Buffer>} Processed image (the original buffer on failure or when nothing was found)
+ */
+export async function removeWatermark(imageBuffer, options = {}, context = {}) {
     try {
-      console.log('[Image Processor] Removing watermark (bottom-left anchored, scaled cover)...');
-  
-      const defaults = {
-        // base watermark box size you previously measured
-        width: 120,
-        height: 50,
-        margin: 10,
-  
-        // scale factors: how many times bigger than the base box (to the right and upward)
-        scaleX: 2,   // width multiplier (to the right)
-        scaleY: 5,   // height multiplier (upwards)
-  
-        // fill color for the cover (use '#FFFFFF, #f52525 :  red' for white)
-        fillColor: '#FFFFFF',
-  
-        // optional blur to blend the seam (0 = none)
-        blur: 0
-      };
-      const cfg = { ...defaults, ...options };
-  
-      const img = sharp(imageBuffer);
-      const metadata = await img.metadata();
-      if (!metadata || !metadata.width || !metadata.height) {
-        console.warn('[Image Processor] Could not read image metadata — skipping watermark removal');
-        return imageBuffer;
-      }
-  
-      // Compute scaled cover dimensions
-      const maxAvailableWidth = metadata.width - cfg.margin; // space to the right from margin
-      const maxAvailableHeight = metadata.height - cfg.margin; // space from top margin (we anchor bottom)
-  
-      const scaledWidth = Math.min(maxAvailableWidth, Math.round(cfg.width * cfg.scaleX));
-      const scaledHeight = Math.min(maxAvailableHeight, Math.round(cfg.height * cfg.scaleY));
-  
-      // Anchor bottom-left: left = margin; bottom edge remains margin from bottom -> compute top
-      const left = Math.max(0, cfg.margin);
-      const top = Math.max(0, metadata.height - scaledHeight - cfg.margin);
-  
-      // Ensure the rect is inside image
-      const rect = {
-        left,
-        top,
-        width: Math.min(scaledWidth, metadata.width - left),
-        height: Math.min(scaledHeight, metadata.height - top)
-      };
-  
-      // Build SVG overlay that paints the cover rectangle ON TOP of the image
-      const svg = `<svg width="${metadata.width}" height="${metadata.height}" xmlns="http://www.w3.org/2000/svg">
-        <rect x="${rect.left}" y="${rect.top}" width="${rect.width}" height="${rect.height}" fill="${cfg.fillColor}" />
-      </svg>`;
-  
-      let composed = await img
-        .composite([{ input: Buffer.from(svg), blend: 'over' }])
-        .toBuffer();
-  
-      if (cfg.blur && cfg.blur > 0) {
-        composed = await sharp(composed).blur(cfg.blur).toBuffer();
-      }
-  
-      console.log(`[Image Processor] Applied cover rect at (${rect.left}, ${rect.top}) size ${rect.width}x${rect.height}`);
-      return composed;
+        const cfg = { ...DEFAULT_WATERMARK_OPTIONS, ...options };
+        const mode = cfg.mode === 'auto'
+            ? (cfg.template ? 'template' : context.compared ? 'diff' : 'fixed')
+            : cfg.mode;
+
+        if (mode === 'none') {
+            return imageBuffer;
+        }
+
+        const metadata = await sharp(imageBuffer).metadata();
+        if (!metadata || !metadata.width || !metadata.height) {
+            console.warn('[Image Processor] Could not read image metadata — skipping watermark removal');
+            return imageBuffer;
+        }
+
+        const raw = await watermark.decodeImage(imageBuffer);
+        let mask;
+
+        if (mode === 'template') {
+            if (!cfg.template) {
+                throw new Error('template mode needs a "template" image');
+            }
+            const matches = await watermark.findTemplateMatches(imageBuffer, cfg);
+            if (matches.length === 0) {
+                console.log('[Image Processor] Watermark template not found - image left unchanged');
+                return imageBuffer;
+            }
+            mask = await watermark.maskFromMatches(cfg, matches, raw.width, raw.height);
+        } else if (mode === 'diff') {
+            if (!context.shared) {
+                console.log('[Image Processor] No watermark shared by the gallery images - image left unchanged');
+                return imageBuffer;
+            }
+            mask = await watermark.maskFromShared(context.shared, raw.width, raw.height, cfg.padding);
+        } else if (mode === 'fixed') {
+            const rects = fixedRects(raw.width, raw.height, cfg);
+            if (rects.length === 0) {
+                return imageBuffer;
+            }
+            mask = watermark.maskFromRects(raw.width, raw.height, rects);
+            rects.forEach((rect) => {
+                console.log(`[Image Processor] Repainting fixed area at (${rect.left}, ${rect.top}) size ${rect.width}x${rect.height}`);
+            });
+        } else {
+            throw new Error(`unknown watermark mode "${cfg.mode}"`);
+        }
+
+        await watermark.fillMask(raw, mask, cfg);
+        console.log(`[Image Processor] Watermark removed (${mode} detection, ${cfg.fill} fill)`);
+        return await watermark.encodeImage(raw, metadata);
     } catch (err) {
-      console.error('[Image Processor] removeWatermark (anchor) failed:', err.message);
-      return imageBuffer;
+        console.error('[Image Processor] removeWatermark failed:', err.message);
+        return imageBuffer;
     }
-  }
-  
-  
+}
+
+/**
+ * Output formats the optimizer can write, with their file extensions
+ */
+const OUTPUT_EXTENSIONS = {
+    webp: 'webp',
+    avif: 'avif',
+    jpeg: 'jpg',
+    png: 'png'
+};
+
+/**
+ * Reads the image optimization settings from .env
+ *
+ *  - IMAGE_MAX_WIDTH / IMAGE_MAX_HEIGHT: largest size kept (default 1600 x 1600, never enlarged)
+ *  - IMAGE_SQUARE: pad every image to a square canvas (default false)
+ *  - IMAGE_BACKGROUND: padding and transparency background (default #FFFFFF)
+ *  - IMAGE_FORMAT: webp (default), avif, jpeg, png or original
+ *  - IMAGE_QUALITY: 1-100 for webp/avif/jpeg (default 82)
+ * @returns {Object} Optimization options for optimizeImage()
+ */
+export function getImageOptions() {
+    return {
+        maxWidth: Number(process.env.IMAGE_MAX_WIDTH) || 1600,
+        maxHeight: Number(process.env.IMAGE_MAX_HEIGHT) || 1600,
+        square: process.env.IMAGE_SQUARE === 'true',
+        background: process.env.IMAGE_BACKGROUND || '#FFFFFF',
+        format: (process.env.IMAGE_FORMAT || 'webp').toLowerCase(),
+        quality: Number(process.env.IMAGE_QUALITY) || 82
+    };
+}
 
 /**
- * Processes image: downloads and removes watermark
+ * Resizes, pads and re-encodes an image for the media library
+ * EXIF orientation is applied to the pixels first; EXIF, XMP and other metadata are not copied
+ * to the output (sharp drops them unless asked to keep them), so camera/GPS data never reaches the store.
+ * @param {Buffer} imageBuffer - Encoded image (after watermark removal)
+ * @param {Object} options - Overrides for getImageOptions()
+ * @returns {Promise<{buffer: Buffer, extension: string}>} Optimized image and its file extension
+ */
+export async function optimizeImage(imageBuffer, options = {}) {
+    const cfg = { ...getImageOptions(), ...options };
+    const metadata = await sharp(imageBuffer).metadata();
+
+    let format = cfg.format === 'original' ? metadata.format : cfg.format;
+    if (format === 'jpg') format = 'jpeg';
+    if (!OUTPUT_EXTENSIONS[format]) {
+        if (cfg.format !== 'original') {
+            throw new Error(`Unknown IMAGE_FORMAT "${cfg.format}" (use webp, avif, jpeg, png or original)`);
+        }
+        // GIF, TIFF, SVG... sources are stored as JPEG
+        format = 'jpeg';
+    }
+
+    let image = sharp(imageBuffer).rotate();
+    const orientedWidth = metadata.autoOrient?.width || metadata.width;
+    const orientedHeight = metadata.autoOrient?.height || metadata.height;
+
+    if (cfg.square) {
+        // Longest side, capped by the max size, becomes the side of the square canvas
+        const side = Math.min(Math.max(orientedWidth, orientedHeight), cfg.maxWidth, cfg.maxHeight);
+        image = image.resize(side, side, { fit: 'contain', background: cfg.background });
+    } else {
+        image = image.resize(cfg.maxWidth, cfg.maxHeight, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    if (format === 'jpeg') {
+        // JPEG has no transparency - put transparent PNG cut-outs on the background color
+        image = image.flatten({ background: cfg.background });
+    }
+
+    if (format === 'webp') image = image.webp({ quality: cfg.quality });
+    if (format === 'avif') image = image.avif({ quality: cfg.quality });
+    if (format === 'jpeg') image = image.jpeg({ quality: cfg.quality, mozjpeg: true });
+    if (format === 'png') image = image.png({ compressionLevel: 9 });
+
+    const buffer = await image.toBuffer();
+    console.log(`[Image Processor] Optimized ${orientedWidth}x${orientedHeight} ${metadata.format} (${Math.round(imageBuffer.length / 1024)} KB) → ${format} (${Math.round(buffer.length / 1024)} KB)`);
+    return { buffer, extension: OUTPUT_EXTENSIONS[format] };
+}
+
+/**
+ * Processes image: downloads, removes watermark and optimizes it
  * @param {string} imageUrl - URL of the image
  * @param {Object} watermarkOptions - Watermark removal options
+ * @param {Object} naming - Filename parts: { name, sku, index } (see generateImageFilename)
  * @returns {Promise<{buffer: Buffer, filename: string}>} Processed image data
  */
-export async function processProductImage(imageUrl, watermarkOptions = {}) {
+export async function processProductImage(imageUrl, watermarkOptions = {}, naming = {}) {
     try {
         // Download image
         const originalBuffer = await downloadImage(imageUrl);
         
         // Remove watermark
-        const processedBuffer = await removeWatermark(originalBuffer, watermarkOptions);
+        const cleanBuffer = await removeWatermark(originalBuffer, watermarkOptions);
+
+        // Resize, convert and strip metadata
+        const optimized = await optimizeImage(cleanBuffer);
         
         // Generate filename
-        const filename = generateImageFilename(imageUrl);
+        const filename = generateImageFilename(imageUrl, naming, optimized.extension);
         
         return {
-            buffer: processedBuffer,
+            buffer: optimized.buffer,
             filename: filename,
             originalUrl: imageUrl
         };
@@ -134,25 +319,123 @@ export async function processProductImage(imageUrl, watermarkOptions = {}) {
 }
 
 /**
- * Generates a safe filename from image URL
+ * Processes all images of one product together
+ * Every image is downloaded first so the gallery can be compared to find a watermark the supplier
+ * stamps on all of its photos (diff mode, or auto mode without a template)
+ * @param {Array<string>} imageUrls - Image URLs of one product
+ * @param {Object} watermarkOptions - Watermark removal options
+ * @param {Object} options - Optional settings
+ * @param {Object} options.naming - Filename parts: { name, sku, startIndex } - images are numbered from startIndex (default 1)
+ * @param {string} options.referer - Product page URL, sent as Referer when downloading
+ * @returns {Promise<Array<Object>>} Per URL, in order: { buffer, filename, originalUrl, hash },
+ *                                   { originalUrl, duplicateOf } for near-duplicates of an earlier image, or { originalUrl, error }
+ */
+export async function processProductImages(imageUrls, watermarkOptions = {}, options = {}) {
+    const cfg = { ...DEFAULT_WATERMARK_OPTIONS, ...watermarkOptions };
+    const naming = options.naming || {};
+
+    const downloads = await runWithConcurrency(imageUrls, getImageConcurrency(), async (imageUrl) => {
+        try {
+            return { imageUrl, buffer: await downloadImage(imageUrl, { referer: options.referer }) };
+        } catch (error) {
+            return { imageUrl, error: error.message };
+        }
+    });
+
+    const context = { shared: null, compared: false };
+    const buffers = downloads.filter(d => d.buffer).map(d => d.buffer);
+    const compare = cfg.mode === 'diff' || (cfg.mode === 'auto' && !cfg.template);
+    if (compare && buffers.length >= cfg.minImages) {
+        try {
+            context.shared = await watermark.findSharedWatermark(buffers, cfg);
+            context.compared = true;
+        } catch (error) {
+            console.error(`[Image Processor] Could not compare gallery images: ${error.message}`);
+        }
+    } else if (cfg.mode === 'diff') {
+        console.log(`[Image Processor] Diff mode needs ${cfg.minImages} images, got ${buffers.length} - images left unchanged`);
+    }
+
+    const results = [];
+    const threshold = getHashThreshold();
+    for (const [index, download] of downloads.entries()) {
+        if (download.error) {
+            results.push({ originalUrl: download.imageUrl, error: download.error });
+            continue;
+        }
+        try {
+            const cleanBuffer = await removeWatermark(download.buffer, cfg, context);
+            const optimized = await optimizeImage(cleanBuffer);
+            const { width = 0, height = 0 } = await sharp(download.buffer).metadata();
+            const image = {
+                buffer: optimized.buffer,
+                filename: generateImageFilename(download.imageUrl, { ...naming, index: (naming.startIndex || 1) + index }, optimized.extension),
+                originalUrl: download.imageUrl,
+                hash: await computeImageHash(optimized.buffer),
+                pixels: width * height
+            };
+
+            // The same photo listed twice (e.g. a srcset thumbnail and the full size) is kept once,
+            // at its first position but with the larger source
+            const original = results.find(r => r.hash && hashDistance(r.hash, image.hash) <= threshold);
+            if (original) {
+                console.log(`[Image Processor] ${download.imageUrl} duplicates ${original.originalUrl} - keeping one`);
+                if (image.pixels > original.pixels) {
+                    Object.assign(original, { buffer: image.buffer, hash: image.hash, pixels: image.pixels });
+                }
+                results.push({ originalUrl: download.imageUrl, duplicateOf: original.originalUrl });
+                continue;
+            }
+            results.push(image);
+        } catch (error) {
+            console.error(`[Image Processor] Failed to process image ${download.imageUrl}: ${error.message}`);
+            results.push({ originalUrl: download.imageUrl, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Turns text into a filename-safe slug (letters of any script, digits and hyphens)
+ * @param {string} text - Text to slugify
+ * @returns {string} Lower-cased slug
+ */
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generates an SEO filename for a product image: "<product-name>-<sku>-<index>.<ext>"
+ * Falls back to the source file name when the product name is unknown
  * @param {string} imageUrl - Image URL
+ * @param {Object} naming - Filename parts
+ * @param {string} naming.name - Product name
+ * @param {string} naming.sku - Product SKU
+ * @param {number} naming.index - Image number within the product
+ * @param {string} extension - File extension of the optimized image
  * @returns {string} Safe filename
  */
-function generateImageFilename(imageUrl) {
-    const urlParts = imageUrl.split('/');
-    let filename = urlParts[urlParts.length - 1].split('?')[0];
-    
-    // Clean the filename
-    filename = filename
-        .replace(/[^a-zA-Z0-9._-]/g, '-')
-        .replace(/-+/g, '-')
-        .toLowerCase();
-    
-    // Add timestamp to avoid conflicts
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    
-    return `product-${timestamp}-${random}-${filename}`;
+function generateImageFilename(imageUrl, naming = {}, extension = 'jpg') {
+    let base = [slugify(naming.name).substring(0, 70).replace(/-+$/, ''), slugify(naming.sku)]
+        .filter(Boolean)
+        .join('-');
+
+    if (!base) {
+        let sourceName = imageUrl.split('/').pop().split('?')[0] || '';
+        try {
+            sourceName = decodeURIComponent(sourceName);
+        } catch (error) {
+            // Keep the encoded name
+        }
+        base = slugify(sourceName.replace(/\.[a-z0-9]+$/i, '')).substring(0, 70) || 'product-image';
+    }
+
+    return `${base}${naming.index ? `-${naming.index}` : ''}.${extension}`;
 }
 
 /**
@@ -164,25 +447,28 @@ function generateImageFilename(imageUrl) {
 export async function batchProcessImages(imageUrls, watermarkOptions = {}) {
     console.log(`[Image Processor] Processing ${imageUrls.length} images...`);
     
-    const processedImages = [];
-    
-    for (const [index, imageUrl] of imageUrls.entries()) {
+    const results = await runWithConcurrency(imageUrls, getImageConcurrency(), async (imageUrl, index) => {
         try {
             console.log(`[Image Processor] Processing image ${index + 1}/${imageUrls.length}`);
-            const processedImage = await processProductImage(imageUrl, watermarkOptions);
-            processedImages.push(processedImage);
+            return await processProductImage(imageUrl, watermarkOptions, { index: index + 1 });
         } catch (error) {
             console.error(`[Image Processor] Skipping image ${imageUrl}: ${error.message}`);
+            return null;
         }
-    }
+    });
+    const processedImages = results.filter(Boolean);
     
     console.log(`[Image Processor] Successfully processed ${processedImages.length}/${imageUrls.length} images`);
     return processedImages;
 }
 
 export default {
+    getImageConcurrency,
     downloadImage,
     removeWatermark,
+    getImageOptions,
+    optimizeImage,
     processProductImage,
+    processProductImages,
     batchProcessImages
 };
\ No newline at end of file
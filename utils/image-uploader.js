@@ -3,6 +3,11 @@ import axios from 'axios';
 import { lookup as mimeLookup } from 'mime-types';
 import imageProcessor from './image-processor.js';
 import path from 'path';
+import fs from 'fs/promises';
+import mediaIndex, { IMAGE_HASH_META_KEY } from './media-index.js';
+import { withRetry } from './retry.js';
+import { runWithConcurrency } from './concurrency.js';
+import { getRunId, RUN_ID_META_KEY } from './ledger.js';
 
 function ensureExtension(filename, mime) {
   const ext = path.extname(filename);
@@ -11,7 +16,7 @@ function ensureExtension(filename, mime) {
   return filename + guessed;
 }
 
-export async function uploadBufferToWPMedia({ buffer, filename, mimeType }) {
+export async function uploadBufferToWPMedia({ buffer, filename, mimeType, meta = {} }) {
   const wpBase = process.env.WOOCOMMERCE_URL;
   const wpUser = (process.env.WP_API_USER || '').trim();
   const wpAppPass = (process.env.WP_API_APP_PASSWORD || '').trim();
@@ -31,41 +36,51 @@ export async function uploadBufferToWPMedia({ buffer, filename, mimeType }) {
 
   const mediaUrl = `${wpBase.replace(/\/$/, '')}/wp-json/wp/v2/media`;
 
-  const form = new FormData();
-  // FormData append with proper filename and contentType
-  form.append('file', buffer, {
-    filename,
-    contentType
-  });
-  form.append('title', filename);
-
   // Basic Auth header using WP Application Password
   const auth = Buffer.from(`${wpUser}:${wpAppPass}`).toString('base64');
 
-  // IMPORTANT: get content-length so some security stacks don't reject chunked unknown length
-  const getLength = () =>
-    new Promise((resolve, reject) => {
-      form.getLength((err, length) => {
-        if (err) return reject(err);
-        resolve(length);
-      });
+  // A form stream can only be sent once, so every attempt builds its own
+  const send = async () => {
+    const form = new FormData();
+    // FormData append with proper filename and contentType
+    form.append('file', buffer, {
+      filename,
+      contentType
+    });
+    form.append('title', filename);
+    // Attachment meta (needs register_post_meta(..., 'show_in_rest' => true) on the site to be saved)
+    // The run ID lets "node main.js rollback" find the upload again
+    Object.entries({ [RUN_ID_META_KEY]: getRunId(), ...meta }).forEach(([key, value]) => {
+      form.append(`meta[${key}]`, String(value));
     });
 
-  const length = await getLength();
+    // IMPORTANT: get content-length so some security stacks don't reject chunked unknown length
+    const getLength = () =>
+      new Promise((resolve, reject) => {
+        form.getLength((err, length) => {
+          if (err) return reject(err);
+          resolve(length);
+        });
+      });
 
-  const headers = {
-    ...form.getHeaders(),
-    Authorization: `Basic ${auth}`,
-    'Content-Length': length
-  };
+    const length = await getLength();
 
-  try {
-    const resp = await axios.post(mediaUrl, form, {
+    const headers = {
+      ...form.getHeaders(),
+      Authorization: `Basic ${auth}`,
+      'Content-Length': length
+    };
+
+    return axios.post(mediaUrl, form, {
       headers,
       maxContentLength: Infinity,
       maxBodyLength: Infinity,
       timeout: 120000 // increase timeout for larger uploads
     });
+  };
+
+  try {
+    const resp = await withRetry(send, { label: `Upload of ${filename}`, logPrefix: '[Image Uploader]' });
 
     return {
       id: resp.data.id,
@@ -81,52 +96,236 @@ export async function uploadBufferToWPMedia({ buffer, filename, mimeType }) {
 }
 
 /**
- * Process an array of image URLs: download -> remove watermark -> upload to WP media
+ * Fetches a media library item
+ * @param {number} id - Attachment ID
+ * @returns {Promise<Object|null>} Attachment, or null when it no longer exists
+ */
+export async function getWPMedia(id) {
+  const wpBase = process.env.WOOCOMMERCE_URL;
+  const wpUser = (process.env.WP_API_USER || '').trim();
+  const wpAppPass = (process.env.WP_API_APP_PASSWORD || '').trim();
+
+  if (!wpBase || !wpUser || !wpAppPass) {
+    throw new Error('Missing WOOCOMMERCE_URL or WP_API_USER/WP_API_APP_PASSWORD in .env');
+  }
+
+  try {
+    const resp = await axios.get(`${wpBase.replace(/\/$/, '')}/wp-json/wp/v2/media/${id}`, {
+      headers: { Authorization: `Basic ${Buffer.from(`${wpUser}:${wpAppPass}`).toString('base64')}` },
+      params: { context: 'edit' },
+      timeout: 30000
+    });
+    return resp.data;
+  } catch (error) {
+    // 404 = deleted; 401/403 on a trashed or private item also means it can't be attached
+    if (error.response && [401, 403, 404, 410].includes(error.response.status)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists the whole media library (any status), 100 items per request
+ * @returns {Promise<Array<Object>>} Attachments in edit context (meta included when registered for REST)
+ */
+export async function listWPMedia() {
+  const wpBase = process.env.WOOCOMMERCE_URL;
+  const wpUser = (process.env.WP_API_USER || '').trim();
+  const wpAppPass = (process.env.WP_API_APP_PASSWORD || '').trim();
+
+  if (!wpBase || !wpUser || !wpAppPass) {
+    throw new Error('Missing WOOCOMMERCE_URL or WP_API_USER/WP_API_APP_PASSWORD in .env');
+  }
+
+  const media = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const resp = await axios.get(`${wpBase.replace(/\/$/, '')}/wp-json/wp/v2/media`, {
+      headers: { Authorization: `Basic ${Buffer.from(`${wpUser}:${wpAppPass}`).toString('base64')}` },
+      params: { context: 'edit', per_page: 100, page },
+      timeout: 60000
+    });
+    totalPages = Number(resp.headers?.['x-wp-totalpages']) || 1;
+    media.push(...(resp.data || []));
+    page++;
+  } while (page <= totalPages);
+
+  return media;
+}
+
+/**
+ * Deletes a media library item, or moves it to the trash
+ * WordPress only trashes media when MEDIA_TRASH is enabled in wp-config.php; otherwise it answers 501
+ * @param {number} id - Attachment ID
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.force - Delete permanently instead of trashing
+ * @returns {Promise<boolean>} False when the item was already gone
+ */
+export async function deleteWPMedia(id, options = {}) {
+  const wpBase = process.env.WOOCOMMERCE_URL;
+  const wpUser = (process.env.WP_API_USER || '').trim();
+  const wpAppPass = (process.env.WP_API_APP_PASSWORD || '').trim();
+
+  if (!wpBase || !wpUser || !wpAppPass) {
+    throw new Error('Missing WOOCOMMERCE_URL or WP_API_USER/WP_API_APP_PASSWORD in .env');
+  }
+
+  try {
+    await axios.delete(`${wpBase.replace(/\/$/, '')}/wp-json/wp/v2/media/${id}`, {
+      headers: { Authorization: `Basic ${Buffer.from(`${wpUser}:${wpAppPass}`).toString('base64')}` },
+      params: { force: !!options.force },
+      timeout: 30000
+    });
+  } catch (error) {
+    if (error.response && [404, 410].includes(error.response.status)) {
+      return false;
+    }
+    if (error.response && error.response.status === 501) {
+      throw new Error('Media trash is disabled on the site (MEDIA_TRASH) - use --force to delete permanently');
+    }
+    throw error;
+  }
+
+  // Never hand a deleted or trashed attachment out for reuse
+  mediaIndex.forgetMedia(id);
+  return true;
+}
+
+/**
+ * Finds an earlier upload of the same photo in the local media index
+ * Entries whose attachment was deleted from the media library are dropped from the index
+ * @param {string} hash - Perceptual hash of the processed image
+ * @returns {Promise<Object|null>} Index entry { id, src, filename } or null
+ */
+async function findExistingMedia(hash) {
+  const entry = mediaIndex.findMediaByHash(hash);
+  if (!entry) return null;
+
+  try {
+    if (!(await getWPMedia(entry.id))) {
+      console.log(`[Image Uploader] Indexed media #${entry.id} no longer exists - uploading again`);
+      mediaIndex.forgetMedia(entry.id);
+      return null;
+    }
+  } catch (error) {
+    // Can't check (offline, no credentials in a dry run) - trust the index
+    console.warn(`[Image Uploader] Could not verify media #${entry.id}: ${error.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Process an array of image URLs: download -> remove watermark -> optimize -> upload to WP media
  * Returns array of uploaded media objects: [{ id, source_url, filename, originalUrl }]
+ * With options.saveDir (dry run) processed images are written to that folder instead of uploaded,
+ * and src is the local file path
+ * options.naming ({ name, sku, startIndex }) builds SEO filenames like "clipper-titan-plus-tp100-1.webp"
+ * options.referer (the product page) is sent with the downloads
+ * Photos already in the media library (same perceptual hash in the media index) are reused instead of uploaded
+ * ({ reused: true }); near-duplicates within the list point at the kept image ({ duplicate: true })
+ * Downloads and uploads run IMAGE_CONCURRENCY at a time and are retried on 429/5xx/timeouts. An image that still
+ * fails is returned as { id: null, src: null, failed: true, error } - the supplier URL is never hotlinked.
  */
-export async function processAndUploadImages(imageUrls = [], watermarkOptions = {}) {
+export async function processAndUploadImages(imageUrls = [], watermarkOptions = {}, options = {}) {
   if (!Array.isArray(imageUrls) || imageUrls.length === 0) return [];
 
-  const results = [];
+  // img may be string or object {src}
+  const urls = imageUrls.map(img => (typeof img === 'string' ? img : img.src || img));
+
+  // 1. Process (download + watermark removal + optimization) - the whole gallery at once so it can be compared
+  const processedImages = await imageProcessor.processProductImages(urls, watermarkOptions, {
+    naming: options.naming,
+    referer: options.referer
+  });
+
+  const results = await runWithConcurrency(urls, imageProcessor.getImageConcurrency(), async (imageUrl, idx) => {
+    const processed = processedImages[idx];
+    // processed: { buffer, filename, originalUrl, hash }, { originalUrl, duplicateOf } or { originalUrl, error }
+    if (processed.duplicateOf) {
+      return null; // filled in below, once the kept image is uploaded
+    }
 
-  for (const [idx, img] of imageUrls.entries()) {
-    // img may be string or object {src}
-    const imageUrl = typeof img === 'string' ? img : img.src || img;
     try {
-      // 1. Process (download + watermark removal)
-      const processed = await imageProcessor.processProductImage(imageUrl, watermarkOptions);
-      // processed: { buffer, filename, originalUrl }
+      if (processed.error) {
+        throw new Error(processed.error);
+      }
+
+      const existing = await findExistingMedia(processed.hash);
+      if (existing) {
+        console.log(`[Image Uploader] Reusing media #${existing.id} for image ${idx + 1}/${imageUrls.length} (same photo already uploaded)`);
+        return {
+          id: existing.id,
+          src: existing.src,
+          filename: existing.filename,
+          originalUrl: imageUrl,
+          reused: true
+        };
+      }
+
+      if (options.saveDir) {
+        await fs.mkdir(options.saveDir, { recursive: true });
+        const localPath = path.join(options.saveDir, processed.filename);
+        await fs.writeFile(localPath, processed.buffer);
+        console.log(`[Image Uploader] Saved image ${idx + 1}/${imageUrls.length} for preview: ${localPath}`);
+        return {
+          id: null,
+          src: localPath,
+          filename: processed.filename,
+          originalUrl: imageUrl
+        };
+      }
 
       // 2. Upload to WP media
       const uploaded = await uploadBufferToWPMedia({
         buffer: processed.buffer,
-        filename: processed.filename
+        filename: processed.filename,
+        meta: { [IMAGE_HASH_META_KEY]: processed.hash }
       });
-
-      results.push({
+      mediaIndex.recordMedia(processed.hash, {
         id: uploaded.id,
         src: uploaded.source_url,
         filename: uploaded.filename,
-        originalUrl: imageUrl
+        source_url: imageUrl
       });
+
       console.log(`[Image Uploader] Uploaded image ${idx + 1}/${imageUrls.length}: ${uploaded.source_url}`);
+      return {
+        id: uploaded.id,
+        src: uploaded.source_url,
+        filename: uploaded.filename,
+        originalUrl: imageUrl
+      };
     } catch (err) {
       console.error(`[Image Uploader] Failed processing/uploading image (${imageUrl}): ${err.message}`);
-      // fallback: keep original URL so product still has an image
-      results.push({
+      // No hotlink fallback - suppliers block hotlinking sooner or later; the uploader flags the product instead
+      return {
         id: null,
-        src: imageUrl,
+        src: null,
         filename: imageUrl.split('/').pop(),
         originalUrl: imageUrl,
+        failed: true,
         error: err.message
-      });
+      };
     }
-  }
+  });
+
+  processedImages.forEach((processed, idx) => {
+    if (processed.duplicateOf) {
+      const kept = results.find(r => r && r.originalUrl === processed.duplicateOf);
+      results[idx] = { ...kept, originalUrl: urls[idx], duplicate: true };
+    }
+  });
 
   return results;
 }
 
 export default {
   uploadBufferToWPMedia,
+  getWPMedia,
+  listWPMedia,
+  deleteWPMedia,
   processAndUploadImages
 };
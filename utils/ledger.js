@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * Default ledger file, one JSON object per line (override with LEDGER_FILE in .env)
+ */
+const DEFAULT_LEDGER_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'data', 'import-ledger.jsonl');
+
+/**
+ * Fields left out of the content hash: added by the uploader, or differing between identical scrapes
+ */
+const UNHASHED_FIELDS = ['needs_attention', 'pricing_audit', 'upload', 'validation'];
+
+/**
+ * Ledger entry actions that mean the product exists in the store with this content
+ */
+const STORED_ACTIONS = ['created', 'updated', 'unchanged'];
+
+/**
+ * Meta key holding the run ID on every product and media item a run creates
+ * Lets a rollback find them in the store even when the ledger is gone
+ */
+export const RUN_ID_META_KEY = 'autopost_run_id';
+
+/**
+ * ID of the current run, shared by every product this process imports
+ */
+let runId = null;
+
+/**
+ * Returns the ID of the current run
+ * Generated once per process (e.g. "20261019-185215-3fa2") unless RUN_ID is set in .env
+ * @returns {string} Run ID
+ */
+export function getRunId() {
+  if (!runId) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+    runId = process.env.RUN_ID || `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return runId;
+}
+
+/**
+ * Returns the ledger file path
+ * @returns {string} Path
+ */
+function ledgerFile() {
+  return process.env.LEDGER_FILE || DEFAULT_LEDGER_FILE;
+}
+
+/**
+ * Serializes a value with sorted object keys, so equal data always gives the same string
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hashes the scraped data of a product
+ * The same page scraped twice gives the same hash as long as nothing on it changed
+ * @param {Object} productData - Product data object from scraper
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashProductData(productData) {
+  const hashed = Object.fromEntries(Object.entries(productData).filter(([key]) => !UNHASHED_FIELDS.includes(key)));
+  return crypto.createHash('sha256').update(stableStringify(hashed)).digest('hex');
+}
+
+/**
+ * Appends one product's outcome to the ledger
+ * @param {Object} entry - { action, source_url, sku, product_id, name, media_ids, uploaded_media_ids, content_hash, error }
+ *                         action is 'created' | 'updated' | 'unchanged' | 'synced' | 'failed',
+ *                         'held' | 'rejected' for products held for review (utils/review-queue.js) and rejected there,
+ *                         or 'trashed' | 'deleted' for products removed by a rollback
+ * @returns {Object} The written entry (with run_id, time, store and site filled in)
+ */
+export function recordImport(entry) {
+  let site = '';
+  try {
+    site = new URL(entry.source_url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    // Keep the site empty for unparsable URLs
+  }
+
+  const written = {
+    run_id: getRunId(),
+    time: new Date().toISOString(),
+    store: process.env.WOOCOMMERCE_URL || '',
+    site,
+    action: entry.action,
+    source_url: entry.source_url || '',
+    sku: entry.sku || '',
+    product_id: entry.product_id ?? null,
+    name: entry.name || '',
+    media_ids: entry.media_ids || [],
+    uploaded_media_ids: entry.uploaded_media_ids || [],
+    content_hash: entry.content_hash || '',
+    error: entry.error || '',
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(ledgerFile()), { recursive: true });
+    fs.appendFileSync(ledgerFile(), JSON.stringify(written) + '\n');
+  } catch (error) {
+    console.warn(`[Ledger] Could not write import ledger ${ledgerFile()}: ${error.message}`);
+  }
+  return written;
+}
+
+/**
+ * Reads the ledger entries of the configured store
+ * Lines that aren't valid JSON (e.g. cut off by a crash) are skipped
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.runId - Only this run
+ * @param {string} filters.site - Only this source hostname (subdomains included)
+ * @param {string} filters.action - Only this action
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export function readLedger(filters = {}) {
+  if (!fs.existsSync(ledgerFile())) {
+    return [];
+  }
+
+  const store = process.env.WOOCOMMERCE_URL || '';
+  const site = (filters.site || '').toLowerCase().replace(/^www\./, '');
+
+  return fs.readFileSync(ledgerFile(), 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.store === store)
+    .filter(entry => !filters.runId || entry.run_id === filters.runId)
+    .filter(entry => !site || entry.site === site || entry.site.endsWith(`.${site}`))
+    .filter(entry => !filters.action || entry.action === filters.action);
+}
+
+/**
+ * Keeps the newest entry per source URL
+ * @param {Array<Object>} entries - Entries from readLedger()
+ * @returns {Array<Object>} Latest entries, most recent first
+ */
+export function latestPerProduct(entries) {
+  const latest = new Map();
+  entries.forEach((entry) => {
+    latest.set(entry.source_url || `#${entry.product_id}`, entry);
+  });
+  return [...latest.values()].reverse();
+}
+
+/**
+ * Finds every entry of one product
+ * @param {string} query - Source URL, SKU or WooCommerce product ID
+ * @returns {Array<Object>} Matching entries, oldest first
+ */
+export function findProductHistory(query) {
+  const text = String(query).trim();
+  return readLedger().filter(entry =>
+    entry.source_url === text || (entry.sku && entry.sku === text) || String(entry.product_id) === text
+  );
+}
+
+/**
+ * Finds the last time a source URL was stored with exactly this content
+ * @param {string} sourceUrl - Product source URL
+ * @param {string} contentHash - Output of hashProductData()
+ * @returns {Object|null} Latest entry when the content is unchanged since then, otherwise null
+ */
+export function findUnchangedImport(sourceUrl, contentHash) {
+  const stored = readLedger().filter(entry => entry.source_url === sourceUrl && STORED_ACTIONS.includes(entry.action));
+  const last = stored[stored.length - 1];
+  return last && last.content_hash === contentHash && last.product_id ? last : null;
+}
+
+/**
+ * Summarizes the ledger per run
+ * @param {Array<Object>} entries - Entries from readLedger()
+ * @returns {Array<Object>} { run_id, started_at, finished_at, counts: { action: n } }, most recent first
+ */
+export function summarizeRuns(entries) {
+  const runs = new Map();
+  entries.forEach((entry) => {
+    if (!runs.has(entry.run_id)) {
+      runs.set(entry.run_id, { run_id: entry.run_id, started_at: entry.time, finished_at: entry.time, counts: {} });
+    }
+    const run = runs.get(entry.run_id);
+    run.finished_at = entry.time;
+    run.counts[entry.action] = (run.counts[entry.action] || 0) + 1;
+  });
+  return [...runs.values()].reverse();
+}
+
+export default {
+  RUN_ID_META_KEY,
+  getRunId,
+  hashProductData,
+  recordImport,
+  readLedger,
+  latestPerProduct,
+  findProductHistory,
+  findUnchangedImport,
+  summarizeRuns
+};
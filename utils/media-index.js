@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+/**
+ * Default media index file (override with MEDIA_INDEX_FILE in .env)
+ */
+const DEFAULT_INDEX_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), '.cache', 'media-index.json');
+
+/**
+ * Max differing dHash bits for two images to count as the same photo (MEDIA_HASH_THRESHOLD in .env)
+ */
+const DEFAULT_HASH_THRESHOLD = 6;
+
+/**
+ * Max difference of the average colour (per channel, 0-255) for two images to count as the same photo
+ * Keeps colour variants shot in the same pose apart - their greyscale structure is identical
+ */
+const COLOR_THRESHOLD = 24;
+
+/**
+ * Attachment meta key the image hash is stored under in WordPress
+ */
+export const IMAGE_HASH_META_KEY = 'autopost_image_hash';
+
+/**
+ * Loaded index: { version, stores: { <store URL>: [entries] } }
+ */
+let index = null;
+
+/**
+ * Computes a perceptual hash of an image
+ * The hash is a 64-bit difference hash (dHash: is each pixel of a 9x8 greyscale thumbnail darker than
+ * its right neighbour) followed by the image's average colour. Resized, re-encoded or slightly cropped
+ * copies of a photo get the same or a very close hash.
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<string>} 22 hex characters: 16 for the dHash, 6 for the average RGB colour
+ */
+export async function computeImageHash(buffer) {
+  const grey = await sharp(buffer)
+    .flatten({ background: '#FFFFFF' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits += grey[y * 9 + x] < grey[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+  const dHash = BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+
+  const { channels } = await sharp(buffer).flatten({ background: '#FFFFFF' }).stats();
+  const color = channels.slice(0, 3)
+    .map(c => Math.round(c.mean).toString(16).padStart(2, '0'))
+    .join('');
+
+  return dHash + color;
+}
+
+/**
+ * Compares two image hashes
+ * @param {string} a - Hash from computeImageHash()
+ * @param {string} b - Hash from computeImageHash()
+ * @returns {number} Differing dHash bits (0-64), or Infinity when the average colours differ too much
+ */
+export function hashDistance(a, b) {
+  const colorA = a.substring(16);
+  const colorB = b.substring(16);
+  for (let i = 0; i < 6; i += 2) {
+    if (Math.abs(parseInt(colorA.substring(i, i + 2), 16) - parseInt(colorB.substring(i, i + 2), 16)) > COLOR_THRESHOLD) {
+      return Infinity;
+    }
+  }
+
+  let diff = BigInt(`0x${a.substring(0, 16)}`) ^ BigInt(`0x${b.substring(0, 16)}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Returns the configured match threshold
+ * @returns {number} Max hashDistance() for a match
+ */
+export function getHashThreshold() {
+  return process.env.MEDIA_HASH_THRESHOLD !== undefined
+    ? Number(process.env.MEDIA_HASH_THRESHOLD)
+    : DEFAULT_HASH_THRESHOLD;
+}
+
+/**
+ * Returns the index file path
+ * @returns {string} Path
+ */
+function indexFile() {
+  return process.env.MEDIA_INDEX_FILE || DEFAULT_INDEX_FILE;
+}
+
+/**
+ * Returns the index entries of the configured store, reading the index file on first use
+ * @returns {Array<Object>} Entries: { hash, id, src, filename, source_url, uploaded_at }
+ */
+function storeEntries() {
+  if (!index) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexFile(), 'utf8'));
+    } catch (error) {
+      index = { version: 1, stores: {} };
+    }
+  }
+
+  const store = process.env.WOOCOMMERCE_URL || '';
+  if (!index.stores[store]) {
+    index.stores[store] = [];
+  }
+  return index.stores[store];
+}
+
+/**
+ * Writes the index file
+ */
+function saveIndex() {
+  fs.mkdirSync(path.dirname(indexFile()), { recursive: true });
+  fs.writeFileSync(indexFile(), JSON.stringify(index, null, 2));
+}
+
+/**
+ * Finds media already uploaded to this store that shows the same photo
+ * @param {string} hash - Hash from computeImageHash()
+ * @returns {Object|null} Closest index entry within the threshold, or null
+ */
+export function findMediaByHash(hash) {
+  const threshold = getHashThreshold();
+  let best = null;
+  let bestDistance = Infinity;
+
+  storeEntries().forEach((entry) => {
+    const distance = hashDistance(hash, entry.hash);
+    if (distance <= threshold && distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Adds an uploaded media item to the index
+ * @param {string} hash - Hash from computeImageHash()
+ * @param {Object} media - { id, src, filename, source_url }
+ */
+export function recordMedia(hash, media) {
+  storeEntries().push({
+    hash,
+    id: media.id,
+    src: media.src,
+    filename: media.filename,
+    source_url: media.source_url,
+    uploaded_at: new Date().toISOString(),
+  });
+  saveIndex();
+}
+
+/**
+ * Removes a media item from the index (it was deleted from the media library)
+ * @param {number} id - Attachment ID
+ */
+export function forgetMedia(id) {
+  const entries = storeEntries();
+  const kept = entries.filter(entry => entry.id !== id);
+  if (kept.length !== entries.length) {
+    index.stores[process.env.WOOCOMMERCE_URL || ''] = kept;
+    saveIndex();
+  }
+}
+
+export default {
+  IMAGE_HASH_META_KEY,
+  computeImageHash,
+  hashDistance,
+  getHashThreshold,
+  findMediaByHash,
+  recordMedia,
+  forgetMedia
+};
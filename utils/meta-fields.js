@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import yaml from 'js-yaml';
+import { plainFeatures } from './specs.js';
+import { escapeHtml } from './text.js';
+
+/**
+ * Default meta field mapping file (override with META_FIELDS_FILE in .env)
+ */
+const DEFAULT_MAP_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'meta-fields.yaml');
+
+/**
+ * Tab title used by the theme presets that show specs in a custom product tab
+ */
+const SPECS_TAB_TITLE = 'مشخصات فنی';
+
+/**
+ * Built-in mappings for the themes and plugins our stores use
+ * Each field writes one product meta key (key) or one ACF field (acf)
+ */
+const PRESETS = {
+  // Dina: feature list under "ویژگی های محصول"
+  dina: [
+    { key: 'dina_product_features', source: 'features', shape: 'rows', item: { name: 'ftitle', value: 'fdesc' } },
+  ],
+  // Woodmart: "Additional tab" of the product settings
+  woodmart: [
+    { key: '_woodmart_product_custom_tab_title', value: SPECS_TAB_TITLE, when: 'specs' },
+    { key: '_woodmart_product_custom_tab_content', source: 'specs', shape: 'html-table' },
+  ],
+  // Flatsome: "Custom Tab" of the product page options
+  flatsome: [
+    { key: '_custom_tab_title', value: SPECS_TAB_TITLE, when: 'specs' },
+    { key: '_custom_tab', source: 'specs', shape: 'html-table' },
+  ],
+  // ACF: a "specifications" repeater with "label" and "value" sub fields
+  acf: [
+    { acf: 'specifications', source: 'specs', shape: 'rows', item: { name: 'label', value: 'value' } },
+  ],
+};
+
+/**
+ * Value shapes for list sources (specs and features)
+ */
+const SHAPES = ['rows', 'html-table', 'html-list', 'text', 'json'];
+
+/**
+ * REST routes that accept ACF values: WordPress core (ACF 5.11+ "Show in REST API") or the ACF to REST API plugin
+ */
+const ACF_ENDPOINTS = ['wp/v2', 'acf/v3'];
+
+/**
+ * Loaded mapping: { fields, acfEndpoint }
+ */
+let metaFieldMap = null;
+
+/**
+ * Validates one field of the mapping file
+ * @param {Object} field - Field definition
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} The field
+ */
+function validateField(field, index) {
+  const label = `fields[${index}]`;
+  if (!field || typeof field !== 'object' || Array.isArray(field)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!field.key === !field.acf) {
+    throw new Error(`${label} needs either "key" (meta key) or "acf" (ACF field name)`);
+  }
+  if ((field.source === undefined) === (field.value === undefined)) {
+    throw new Error(`${label} needs either "source" or a fixed "value"`);
+  }
+  if (field.shape !== undefined && !SHAPES.includes(field.shape)) {
+    throw new Error(`${label}.shape must be one of: ${SHAPES.join(', ')}`);
+  }
+  if (field.item !== undefined && (typeof field.item !== 'object' || !field.item.name || !field.item.value)) {
+    throw new Error(`${label}.item needs "name" and "value" output keys`);
+  }
+  return field;
+}
+
+/**
+ * Reads the meta field mapping file
+ * Without a file the Dina preset is used, as before the mapping existed
+ * @returns {{fields: Array<Object>, acfEndpoint: string}} Fields of the chosen presets followed by the file's own fields
+ */
+function loadMetaFields() {
+  const file = process.env.META_FIELDS_FILE || DEFAULT_MAP_FILE;
+
+  if (!fs.existsSync(file)) {
+    return { fields: PRESETS.dina, acfEndpoint: ACF_ENDPOINTS[0] };
+  }
+
+  let mapping;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = (file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected "presets", "fields" and "acfEndpoint" entries');
+    }
+
+    const presets = [].concat(parsed.presets ?? ['dina']);
+    presets.forEach((preset) => {
+      if (!PRESETS[preset]) {
+        throw new Error(`unknown preset "${preset}" (available: ${Object.keys(PRESETS).join(', ')})`);
+      }
+    });
+
+    const acfEndpoint = parsed.acfEndpoint || ACF_ENDPOINTS[0];
+    if (!ACF_ENDPOINTS.includes(acfEndpoint)) {
+      throw new Error(`acfEndpoint must be one of: ${ACF_ENDPOINTS.join(', ')}`);
+    }
+
+    if (parsed.fields !== undefined && !Array.isArray(parsed.fields)) {
+      throw new Error('"fields" must be a list');
+    }
+
+    mapping = {
+      fields: [...presets.flatMap(preset => PRESETS[preset]), ...(parsed.fields || []).map(validateField)],
+      acfEndpoint,
+    };
+  } catch (error) {
+    throw new Error(`Invalid meta field mapping ${file}: ${error.message}`);
+  }
+
+  console.log(`[Meta Fields] Loaded ${mapping.fields.length} meta fields from ${file}`);
+  return mapping;
+}
+
+/**
+ * Reads a mapping source from the product data
+ * @param {Object} productData - Product data object from scraper
+ * @param {string} source - specs | features | plain_features | spec:<label> | a product data field (brand, sku, ...)
+ * @returns {Array<{name: string, value: string}>|string} Name/value rows for list sources, text otherwise
+ */
+function readSource(productData, source) {
+  const specs = productData.specs || [];
+  const plain = [...new Set(plainFeatures(productData.features || []).map(f => f.trim()).filter(Boolean))];
+
+  if (source === 'specs') {
+    return specs;
+  }
+  if (source === 'plain_features') {
+    return plain.map(feature => ({ name: feature, value: '' }));
+  }
+  if (source === 'features') {
+    // Specs with their values, then the plain features without one
+    return [...specs, ...plain.map(feature => ({ name: feature, value: '' }))];
+  }
+  if (source.startsWith('spec:')) {
+    const label = source.substring(5).trim().toLowerCase();
+    return specs.find(spec => spec.name.toLowerCase() === label)?.value || '';
+  }
+
+  const value = productData[source];
+  return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+}
+
+/**
+ * Formats name/value rows in one of the supported shapes
+ * @param {Array<{name: string, value: string}>} rows - Rows from readSource()
+ * @param {Object} field - Field definition (shape, item)
+ * @returns {Array<Object>|string} Value to store
+ */
+function shapeRows(rows, field) {
+  const item = field.item || { name: 'name', value: 'value' };
+  const line = row => (row.value ? `${row.name}: ${row.value}` : row.name);
+
+  switch (field.shape || 'rows') {
+    case 'html-table':
+      return `<table>${rows.map(row => `<tr><th>${escapeHtml(row.name)}</th><td>${escapeHtml(row.value)}</td></tr>`).join('')}</table>`;
+    case 'html-list':
+      return `<ul>${rows.map(row => `<li>${escapeHtml(line(row))}</li>`).join('')}</ul>`;
+    case 'text':
+      return rows.map(line).join('\n');
+    case 'json':
+      return JSON.stringify(rows.map(row => ({ [item.name]: row.name, [item.value]: row.value })));
+    default:
+      return rows.map(row => ({ [item.name]: row.name, [item.value]: row.value }));
+  }
+}
+
+/**
+ * Builds the theme/plugin custom fields of a product from the meta field mapping
+ * Fields whose source is empty are left out, so a product without specs gets no empty spec tab
+ * @param {Object} productData - Product data object from scraper (after normalizeProductSpecs())
+ * @returns {{meta_data: Array<{key: string, value: *}>, acf: Object}} Product meta and ACF values (field name → value)
+ */
+export function buildMetaFields(productData) {
+  if (!metaFieldMap) {
+    metaFieldMap = loadMetaFields();
+  }
+
+  const isEmpty = value => (Array.isArray(value) ? value.length === 0 : !value);
+  const result = { meta_data: [], acf: {} };
+
+  metaFieldMap.fields.forEach((field) => {
+    if (field.when && isEmpty(readSource(productData, field.when))) return;
+
+    let value = field.value;
+    if (field.source !== undefined) {
+      const source = readSource(productData, field.source);
+      if (isEmpty(source)) return;
+      value = Array.isArray(source) ? shapeRows(source, field) : source;
+    }
+
+    if (field.acf) {
+      result.acf[field.acf] = value;
+    } else {
+      result.meta_data.push({ key: field.key, value });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Saves ACF field values of a product through the WordPress REST API
+ * wp/v2 needs "Show in REST API" on the field group (ACF 5.11+); acf/v3 needs the ACF to REST API plugin
+ * @param {number|string} productId - Product ID
+ * @param {Object} acf - Field name → value, from buildMetaFields()
+ * @param {Object} options - Optional settings
+ * @param {Object} options.dryRun - Dry-run recorder from createDryRun(): only record the request
+ * @returns {Promise<void>}
+ */
+export async function writeAcfFields(productId, acf, options = {}) {
+  if (!metaFieldMap) {
+    metaFieldMap = loadMetaFields();
+  }
+
+  const endpoint = metaFieldMap.acfEndpoint === 'acf/v3' ? `acf/v3/product/${productId}` : `wp/v2/product/${productId}`;
+  const body = metaFieldMap.acfEndpoint === 'acf/v3' ? { fields: acf } : { acf };
+
+  if (options.dryRun) {
+    options.dryRun.requests.push({ method: 'POST', endpoint, data: body });
+    console.log(`[Dry Run] Skipped POST ${endpoint}`);
+    return;
+  }
+
+  const wpBase = process.env.WOOCOMMERCE_URL;
+  const wpUser = (process.env.WP_API_USER || '').trim();
+  const wpAppPass = (process.env.WP_API_APP_PASSWORD || '').trim();
+
+  if (!wpBase || !wpUser || !wpAppPass) {
+    throw new Error('Missing WOOCOMMERCE_URL or WP_API_USER/WP_API_APP_PASSWORD in .env');
+  }
+
+  await axios.post(`${wpBase.replace(/\/$/, '')}/wp-json/${endpoint}`, body, {
+    headers: { Authorization: `Basic ${Buffer.from(`${wpUser}:${wpAppPass}`).toString('base64')}` },
+    timeout: 30000
+  });
+  console.log(`[Meta Fields] ✓ ACF fields saved for product ${productId}: ${Object.keys(acf).join(', ')}`);
+}
+
+export default {
+  buildMetaFields,
+  writeAcfFields
+};
@@ -0,0 +1,311 @@
+/**
+ * Iranian currency units in Rial - they convert into each other without an exchange rate
+ * IRHT/IRHR ("thousand Toman"/"thousand Rial") are used by some Persian WooCommerce plugins
+ */
+const IRANIAN_UNITS = {
+  IRR: 1,
+  IRT: 10,
+  IRHR: 1000,
+  IRHT: 10000,
+};
+
+/**
+ * Currency markers found next to prices, longest first so "هزار تومان" wins over "تومان"
+ */
+const CURRENCY_MARKERS = [
+  { currency: 'IRHT', pattern: /هزار\s*تومان|\bIRHT\b|\bthousand\s+tomans?\b/i },
+  { currency: 'IRHR', pattern: /هزار\s*ریال|\bIRHR\b|\bthousand\s+rials?\b/i },
+  { currency: 'IRT', pattern: /تومان|تومن|\bIRT\b|\btomans?\b/i },
+  { currency: 'IRR', pattern: /ریال|﷼|\bIRR\b|\brials?\b/i },
+  { currency: 'USD', pattern: /\$|\bUSD\b|\bdollars?\b|دلار/i },
+  { currency: 'EUR', pattern: /€|\bEUR\b|\beuros?\b|یورو/i },
+];
+
+/**
+ * Words after a number that make it a count, duration, percentage... rather than a price
+ * ("3 قسط", "12 months", "15%", "4.5 stars")
+ */
+const NON_PRICE_AFTER = /^\s*(?:اقساط|قسط|installments?|payments?|ماه|months?|روز|days?|ساعت|hours?|سال|years?|%|٪|درصد|percent|عدد|items?|pcs|نفر|امتیاز|ستاره|stars?|نظر|reviews?|votes?|رای|گرم|kg|g\b|کیلو|cm|mm|سانت|متر|ml|میل|x\b|×)/i;
+
+/**
+ * Words before a number that make it a count, an instalment amount or a threshold
+ * ("×3", "قسط اول", "installments of 500", "ارسال رایگان برای خرید بالای ۵۰۰ هزار تومان", "free shipping over $50")
+ */
+const NON_PRICE_BEFORE = /(?:×|\bx|%|٪|اقساط|قسط|installments?\s+of|ماهانه|ماهیانه|monthly|per\s+month|بالای|بالاتر\s+از|بیش\s+از|بیشتر\s+از|\bover|\babove|\bfrom)\s*[:：]?\s*[$€]?\s*$/i;
+
+/**
+ * Default source currency when the page shows no unit (SOURCE_CURRENCY in .env)
+ */
+const DEFAULT_SOURCE_CURRENCY = 'IRT';
+
+/**
+ * Default WooCommerce store currency (STORE_CURRENCY in .env)
+ */
+const DEFAULT_STORE_CURRENCY = 'IRT';
+
+/**
+ * Converts Persian (۰-۹) and Arabic-Indic (٠-٩) digits to ASCII, and the Arabic
+ * thousands (٬) and decimal (٫) separators to "," and "."
+ * @param {string} text - Text with any digit system
+ * @returns {string} Text with ASCII digits
+ */
+export function normalizeDigits(text = '') {
+  return String(text)
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/٬/g, ',')
+    .replace(/٫/g, '.');
+}
+
+/**
+ * Finds the currency unit mentioned in a text or code
+ * @param {string} text - Price text ("۸٬۶۸۰٬۰۰۰ تومان", "$12.50") or a currency code ("IRR")
+ * @returns {string} 'IRT' | 'IRR' | 'IRHT' | 'IRHR' | 'USD' | 'EUR', or '' if none is mentioned
+ */
+export function detectCurrency(text = '') {
+  const marker = CURRENCY_MARKERS.find(({ pattern }) => pattern.test(String(text)));
+  return marker ? marker.currency : '';
+}
+
+/**
+ * Turns one number token into a value, working out which separator is the decimal point
+ * "8,680,000" and "8.680.000" are thousands; "12.50" and "1.299,00" have decimals;
+ * a single "." followed by three digits is a thousands separator unless the currency has cents
+ * @param {string} token - Digits with separators
+ * @param {string} currency - Currency of the token (decides "1.500")
+ * @returns {number} Value
+ */
+function parseNumberToken(token, currency) {
+  const cleaned = token.replace(/['\u00A0\u202F]/g, '');
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+
+  let decimalSeparator = '';
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = cleaned.split(separator);
+    const hasCents = currency === 'USD' || currency === 'EUR';
+    const isThousands = parts.length > 2 ||
+      (parts[parts.length - 1].length === 3 && (separator === ',' || !hasCents));
+    decimalSeparator = isThousands ? '' : separator;
+  }
+
+  const integerPart = decimalSeparator ? cleaned.slice(0, cleaned.lastIndexOf(decimalSeparator)) : cleaned;
+  const decimals = decimalSeparator ? cleaned.slice(cleaned.lastIndexOf(decimalSeparator) + 1) : '';
+  return Number(`${integerPart.replace(/[.,]/g, '')}${decimals ? `.${decimals}` : ''}`);
+}
+
+/**
+ * Extracts the price from a price text
+ * Numbers that are counts, durations or percentages ("3 اقساط", "12 months", "15%") are skipped;
+ * a number written next to a currency unit wins over bare numbers
+ * @param {string|number} value - Price text as scraped, or a number
+ * @param {Object} options - Optional settings
+ * @param {string} options.currency - Currency to assume when the text names none
+ * @returns {Object|null} { amount, currency } or null when the text holds no price
+ */
+export function parsePrice(value, options = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? { amount: value, currency: options.currency || '' } : null;
+  }
+
+  const text = normalizeDigits(value);
+  const candidates = [];
+  const numberPattern = /\d+(?:[.,'\u00A0\u202F]\d+)*/g;
+  let match;
+
+  while ((match = numberPattern.exec(text)) !== null) {
+    const before = text.slice(Math.max(0, match.index - 20), match.index);
+    const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+    if (NON_PRICE_AFTER.test(after) || NON_PRICE_BEFORE.test(before)) continue;
+
+    // The unit is written right after the number ("8,680,000 تومان") or right before it ("$12", "€ 9")
+    const unitAfter = after.match(/^\s*(\S+(?:\s+\S+)?)/);
+    const unitBefore = before.match(/(\S+)\s*$/);
+    const currency = (unitAfter && detectCurrency(unitAfter[1])) || (unitBefore && detectCurrency(unitBefore[1])) || '';
+    const amount = parseNumberToken(match[0], currency || options.currency);
+    if (Number.isFinite(amount) && amount > 0) {
+      candidates.push({ amount, currency });
+    }
+  }
+
+  const best = candidates.find(candidate => candidate.currency) || candidates[0];
+  if (!best) return null;
+  return { amount: best.amount, currency: best.currency || options.currency || '' };
+}
+
+/**
+ * Reads the exchange rates configured in CURRENCY_RATES
+ * Format: "USD:1050000,EUR:1150000" - how many store-currency units one unit of each currency is worth
+ * @returns {Object} Rates by currency code
+ */
+function getConfiguredRates() {
+  const rates = {};
+  (process.env.CURRENCY_RATES || '').split(',').forEach((entry) => {
+    const [code, rate] = entry.split(/[:=]/).map(part => (part || '').trim());
+    if (code && Number(rate) > 0) {
+      rates[detectCurrency(code) || code.toUpperCase()] = Number(rate);
+    }
+  });
+  return rates;
+}
+
+/**
+ * Returns how many store-currency units one unit of a currency is worth
+ * Iranian units convert into each other by their fixed ratio; anything else needs CURRENCY_RATES
+ * @param {string} from - Source currency
+ * @param {string} to - Store currency
+ * @returns {number|null} Rate, or null when CURRENCY_RATES has none for this currency
+ */
+function resolveRate(from, to) {
+  if (from === to) return 1;
+  if (IRANIAN_UNITS[from] && IRANIAN_UNITS[to]) {
+    return IRANIAN_UNITS[from] / IRANIAN_UNITS[to];
+  }
+
+  const rates = getConfiguredRates();
+  if (rates[from]) return rates[from];
+
+  // A rate for one Iranian unit covers the others ("IRT:0.000001" also converts Rial prices)
+  if (IRANIAN_UNITS[from]) {
+    const known = Object.keys(IRANIAN_UNITS).find(unit => rates[unit]);
+    if (known) return (IRANIAN_UNITS[from] / IRANIAN_UNITS[known]) * rates[known];
+  }
+
+  return null;
+}
+
+/**
+ * Returns the store currency and rounding rule from .env
+ * PRICE_ROUNDING is the step prices are rounded to in the store currency (e.g. 1000),
+ * PRICE_ROUNDING_MODE is nearest, up or down
+ * @returns {Object} { currency, step, mode }
+ */
+export function getPriceOptions() {
+  const currency = detectCurrency(process.env.STORE_CURRENCY || '') || DEFAULT_STORE_CURRENCY;
+  const hasCents = currency === 'USD' || currency === 'EUR';
+  const step = Number(process.env.PRICE_ROUNDING) > 0 ? Number(process.env.PRICE_ROUNDING) : (hasCents ? 0.01 : 1);
+  const mode = ['up', 'down'].includes(process.env.PRICE_ROUNDING_MODE) ? process.env.PRICE_ROUNDING_MODE : 'nearest';
+  return { currency, step, mode };
+}
+
+/**
+ * Rounds an amount to a step
+ * @param {number} amount - Amount
+ * @param {number} step - Step, e.g. 1000 or 0.01
+ * @param {string} mode - 'nearest' | 'up' | 'down'
+ * @returns {number} Rounded amount
+ */
+export function roundPrice(amount, step = 1, mode = 'nearest') {
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  // Rounding amount/step first avoids 0.1 + 0.2 style leftovers on cent steps
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Number((round(Number((amount / step).toFixed(6))) * step).toFixed(decimals));
+}
+
+/**
+ * Converts an amount to the store currency and applies the rounding rule
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {Object} options - Output of getPriceOptions() (read from .env when omitted)
+ * @returns {number|null} Amount in the store currency, or null when there is no exchange rate
+ */
+export function convertPrice(amount, from, options = getPriceOptions()) {
+  const rate = resolveRate(from || options.currency, options.currency);
+  return rate === null ? null : roundPrice(amount * rate, options.step, options.mode);
+}
+
+/**
+ * Returns the currency a source shows its prices in when the price text doesn't say
+ * A site profile's "currency" wins over the currency published by the shop (JSON-LD/Store API),
+ * which wins over SOURCE_CURRENCY - Iranian shops often publish IRR while showing Toman
+ * @param {Object} productData - Scraped product data
+ * @param {Object} profile - Site profile or null
+ * @returns {string} Currency code
+ */
+function sourceCurrency(productData, profile) {
+  return detectCurrency(profile?.currency || '') ||
+    detectCurrency(productData.currency || '') ||
+    detectCurrency(process.env.SOURCE_CURRENCY || '') ||
+    DEFAULT_SOURCE_CURRENCY;
+}
+
+/**
+ * Converts one regular/sale price pair; a sale price that isn't below the regular price is dropped
+ * @param {Object} item - Product or variation with regular_price/sale_price
+ * @param {string} currency - Assumed source currency
+ * @param {Object} options - Output of getPriceOptions()
+ * @param {Set<string>} missingRates - Collects the currencies that could not be converted
+ * @returns {Object} { regular_price, sale_price } as strings ('' when not found or not convertible)
+ */
+function convertPair(item, currency, options, missingRates) {
+  const convert = (value) => {
+    const parsed = parsePrice(value, { currency });
+    if (!parsed) return null;
+    const converted = convertPrice(parsed.amount, parsed.currency, options);
+    if (converted === null) missingRates.add(parsed.currency);
+    return converted;
+  };
+
+  const regular = convert(item.regular_price);
+  let sale = convert(item.sale_price);
+  if (sale !== null && regular !== null && sale >= regular) {
+    sale = null;
+  }
+
+  return {
+    regular_price: regular !== null ? String(regular) : '',
+    sale_price: sale !== null ? String(sale) : '',
+  };
+}
+
+/**
+ * Normalizes every price of a scraped product to the store currency
+ * Prices may arrive as raw page text ("۸٬۶۸۰٬۰۰۰ تومان") or numbers; the originals are kept in
+ * source_prices so later steps can report what the source showed. Prices in a currency without a
+ * CURRENCY_RATES entry are left empty and listed in source_prices.missing_rates for validation.
+ * @param {Object} productData - Scraped product data (modified in place)
+ * @param {Object} profile - Site profile or null
+ * @returns {Object} The same product data
+ */
+export function normalizeProductPrices(productData, profile = null) {
+  const options = getPriceOptions();
+  const currency = sourceCurrency(productData, profile);
+
+  productData.source_prices = {
+    regular_price: productData.regular_price || '',
+    sale_price: productData.sale_price || '',
+    currency: parsePrice(productData.regular_price, { currency })?.currency || currency,
+  };
+
+  const missingRates = new Set();
+  Object.assign(productData, convertPair(productData, currency, options, missingRates));
+  (productData.variations || []).forEach((variation) => {
+    Object.assign(variation, convertPair(variation, currency, options, missingRates));
+  });
+  productData.currency = options.currency;
+
+  if (missingRates.size > 0) {
+    productData.source_prices.missing_rates = [...missingRates];
+    console.warn(`[Price] ✗ No exchange rate from ${[...missingRates].join(', ')} to ${options.currency} - prices left empty, add them to CURRENCY_RATES`);
+  }
+
+  if (productData.source_prices.currency !== options.currency && productData.regular_price) {
+    console.log(`[Price] Converted ${productData.source_prices.currency} → ${options.currency}: ${productData.regular_price}${productData.sale_price ? ` (sale ${productData.sale_price})` : ''}`);
+  }
+
+  return productData;
+}
+
+export default {
+  normalizeDigits,
+  detectCurrency,
+  parsePrice,
+  getPriceOptions,
+  roundPrice,
+  convertPrice,
+  normalizeProductPrices
+};
@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { getPriceOptions, roundPrice } from './price.js';
+import { normalizeName } from './text.js';
+
+/**
+ * Project root (pricing rules and the audit log live next to the other config/log files)
+ */
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+/**
+ * Default pricing rules file (override with PRICING_RULES_FILE in .env)
+ */
+const DEFAULT_RULES_FILE = path.join(ROOT_DIR, 'pricing-rules.yaml');
+
+/**
+ * Default audit log, one JSON object per priced product (override with PRICING_AUDIT_FILE in .env)
+ */
+const DEFAULT_AUDIT_FILE = path.join(ROOT_DIR, 'logs', 'pricing-audit.jsonl');
+
+/**
+ * Keys a rule (or the defaults) can set
+ */
+const SETTING_KEYS = ['markup', 'round', 'min_margin', 'keep_sale_price'];
+
+/**
+ * Keys that decide which products a rule applies to
+ */
+const MATCH_KEYS = ['name', 'site', 'category', 'price'];
+
+/**
+ * Loaded rules: { defaults, rules: [{ name, site, category, price, ...settings }] }
+ */
+let pricingRules = null;
+
+/**
+ * Parses a markup or margin value
+ * "15%" is a percentage of the price, a plain number is a fixed amount in the store currency
+ * @param {string|number} value - Configured value
+ * @returns {Object} { percent } or { amount }
+ */
+function parseAmount(value) {
+  const text = String(value).trim();
+  const percent = text.match(/^(-?\d+(?:\.\d+)?)\s*%$/);
+  if (percent) return { percent: Number(percent[1]) };
+  if (text !== '' && Number.isFinite(Number(text))) return { amount: Number(text) };
+  throw new Error(`"${value}" must be a percentage ("15%") or an amount (50000)`);
+}
+
+/**
+ * Parses a rounding rule
+ * A number is a plain step (1000); an object can add a psychological ending:
+ * { ending: 9000, every: 10000 } gives prices like 1,239,000 / 1,249,000
+ * @param {number|Object} value - Configured rounding
+ * @returns {Object} { step, ending, every, mode }
+ */
+function parseRounding(value) {
+  const spec = typeof value === 'object' && value !== null ? value : { step: value };
+  const rounding = {
+    step: spec.step !== undefined ? Number(spec.step) : 1,
+    ending: spec.ending !== undefined ? Number(spec.ending) : null,
+    every: spec.every !== undefined ? Number(spec.every) : null,
+    mode: spec.mode || 'nearest',
+  };
+
+  if (!(rounding.step > 0)) {
+    throw new Error('"round.step" must be a positive number');
+  }
+  if (!['nearest', 'up', 'down'].includes(rounding.mode)) {
+    throw new Error('"round.mode" must be nearest, up or down');
+  }
+  if (rounding.ending !== null) {
+    if (!(rounding.ending >= 0)) {
+      throw new Error('"round.ending" must be a number');
+    }
+    // Ending 9000 repeats every 10000, ending 99 every 100
+    rounding.every = rounding.every || Math.pow(10, String(Math.trunc(rounding.ending)).length);
+    if (rounding.ending >= rounding.every) {
+      throw new Error('"round.ending" must be smaller than "round.every"');
+    }
+  }
+  return rounding;
+}
+
+/**
+ * Checks and normalizes the settings part of a rule
+ * @param {Object} spec - Rule or defaults from the file
+ * @returns {Object} Parsed settings (only the keys the spec sets)
+ */
+function parseSettings(spec) {
+  const settings = {};
+  if (spec.markup !== undefined) settings.markup = [].concat(spec.markup).map(parseAmount);
+  if (spec.round !== undefined) settings.round = spec.round === null ? null : parseRounding(spec.round);
+  if (spec.min_margin !== undefined) settings.min_margin = spec.min_margin === null ? null : parseAmount(spec.min_margin);
+  if (spec.keep_sale_price !== undefined) settings.keep_sale_price = spec.keep_sale_price !== false;
+  return settings;
+}
+
+/**
+ * Reads the pricing rules file
+ * @returns {Object} { defaults, rules }
+ */
+function loadPricingRules() {
+  const file = process.env.PRICING_RULES_FILE || DEFAULT_RULES_FILE;
+  const loaded = { defaults: {}, rules: [] };
+
+  if (!fs.existsSync(file)) {
+    return loaded;
+  }
+
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected "defaults" and/or "rules" sections');
+    }
+    if (parsed.rules !== undefined && !Array.isArray(parsed.rules)) {
+      throw new Error('"rules" must be a list');
+    }
+
+    loaded.defaults = parseSettings(parsed.defaults || {});
+    loaded.rules = (parsed.rules || []).map((rule, index) => {
+      const name = rule?.name || `rule ${index + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        throw new Error(`${name} must be an object`);
+      }
+      const unknown = Object.keys(rule).find(key => !SETTING_KEYS.includes(key) && !MATCH_KEYS.includes(key));
+      if (unknown) {
+        throw new Error(`${name}: unknown key "${unknown}"`);
+      }
+      if (rule.price !== undefined && (typeof rule.price !== 'object' || rule.price === null)) {
+        throw new Error(`${name}: "price" must be { min, max }`);
+      }
+
+      try {
+        return {
+          name,
+          sites: [].concat(rule.site || []).map(site => String(site).toLowerCase().replace(/^www\./, '')),
+          categories: [].concat(rule.category || []).map(normalizeName),
+          min: rule.price?.min !== undefined ? Number(rule.price.min) : null,
+          max: rule.price?.max !== undefined ? Number(rule.price.max) : null,
+          settings: parseSettings(rule),
+        };
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+    });
+  } catch (error) {
+    throw new Error(`Invalid pricing rules ${file}: ${error.message}`);
+  }
+
+  console.log(`[Pricing] Loaded ${loaded.rules.length} pricing rules from ${file}`);
+  return loaded;
+}
+
+/**
+ * Tells whether a rule applies to a product at a given source price
+ * Sites match their subdomains; categories match any scraped category or one of its breadcrumb parents
+ * @param {Object} rule - Parsed rule
+ * @param {Object} productData - Product data object from scraper
+ * @param {number} price - Source regular price in the store currency
+ * @returns {boolean} True if every condition of the rule holds
+ */
+function ruleMatches(rule, productData, price) {
+  if (rule.sites.length > 0) {
+    let hostname = '';
+    try {
+      hostname = new URL(productData.source_url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return false;
+    }
+    if (!rule.sites.some(site => hostname === site || hostname.endsWith(`.${site}`))) return false;
+  }
+
+  if (rule.categories.length > 0) {
+    const names = new Set();
+    (productData.categories || []).forEach((category) => {
+      [...(category.path || []), category.name].filter(Boolean).forEach(name => names.add(normalizeName(name)));
+    });
+    if (!rule.categories.some(category => names.has(category))) return false;
+  }
+
+  if (rule.min !== null && price < rule.min) return false;
+  if (rule.max !== null && price > rule.max) return false;
+  return true;
+}
+
+/**
+ * Rounds a price by a rounding rule
+ * @param {number} price - Price
+ * @param {Object} rounding - Parsed rounding rule
+ * @param {string} mode - Overrides the rule's mode ('up' when raising to the minimum margin)
+ * @returns {number} Rounded price
+ */
+function applyRounding(price, rounding, mode = rounding.mode) {
+  if (rounding.ending === null) {
+    return roundPrice(price, rounding.step, mode);
+  }
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  const rounded = round((price - rounding.ending) / rounding.every) * rounding.every + rounding.ending;
+  // Never round a price down to nothing
+  return rounded > 0 ? rounded : rounding.ending || rounding.every;
+}
+
+/**
+ * Describes a markup/margin value for the audit log
+ * @param {Object} value - Output of parseAmount()
+ * @returns {string} "15%" or "+50000"
+ */
+function describeAmount(value) {
+  return value.percent !== undefined ? `${value.percent}%` : `${value.amount >= 0 ? '+' : ''}${value.amount}`;
+}
+
+/**
+ * Describes a rounding rule for the audit log
+ * @param {Object} rounding - Parsed rounding rule
+ * @returns {string} e.g. "ending 9000 every 10000 (nearest)"
+ */
+function describeRounding(rounding) {
+  return rounding.ending !== null
+    ? `ending ${rounding.ending} every ${rounding.every} (${rounding.mode})`
+    : `step ${rounding.step} (${rounding.mode})`;
+}
+
+/**
+ * Applies markup and rounding to one source price
+ * @param {number} price - Source price in the store currency
+ * @param {Object} settings - Effective settings
+ * @param {Object} rounding - Rounding rule to use
+ * @param {Array<Object>} steps - Audit steps (appended to)
+ * @param {string} label - 'regular' | 'sale'
+ * @returns {number} Selling price
+ */
+function markUp(price, settings, rounding, steps, label) {
+  let value = price;
+  (settings.markup || []).forEach((markup) => {
+    const marked = markup.percent !== undefined ? value * (1 + markup.percent / 100) : value + markup.amount;
+    const next = Number(marked.toFixed(2));
+    steps.push({ price: label, step: 'markup', value: describeAmount(markup), from: value, to: next });
+    value = next;
+  });
+
+  const rounded = applyRounding(value, rounding);
+  if (rounded !== value) {
+    steps.push({ price: label, step: 'round', value: describeRounding(rounding), from: value, to: rounded });
+  }
+  return rounded;
+}
+
+/**
+ * Prices one product or variation
+ * The supplier's cost is its sale price when it has one, otherwise its regular price;
+ * the minimum margin is always measured against that cost
+ * @param {Object} item - { regular_price, sale_price } in the store currency
+ * @param {Object} productData - Product data object (for rule matching)
+ * @returns {Object|null} { regular_price, sale_price, audit } or null when the item has no price
+ */
+function priceItem(item, productData) {
+  const regular = Number(item.regular_price);
+  if (!item.regular_price || !(regular > 0)) return null;
+  const sale = Number(item.sale_price) > 0 && Number(item.sale_price) < regular ? Number(item.sale_price) : null;
+
+  const rule = pricingRules.rules.find(candidate => ruleMatches(candidate, productData, regular)) || null;
+  const settings = { ...pricingRules.defaults, ...(rule ? rule.settings : {}) };
+  const storeOptions = getPriceOptions();
+  const rounding = settings.round || { step: storeOptions.step, ending: null, every: null, mode: storeOptions.mode };
+  const cost = sale ?? regular;
+  const steps = [];
+
+  let regularPrice = markUp(regular, settings, rounding, steps, 'regular');
+  let salePrice = null;
+  if (sale !== null) {
+    if (settings.keep_sale_price === false) {
+      steps.push({ price: 'sale', step: 'keep_sale_price', value: false, from: sale, to: null });
+    } else {
+      salePrice = markUp(sale, settings, rounding, steps, 'sale');
+    }
+  }
+
+  if (settings.min_margin) {
+    const margin = settings.min_margin;
+    const minimum = margin.percent !== undefined ? cost * (1 + margin.percent / 100) : cost + margin.amount;
+    const label = salePrice !== null ? 'sale' : 'regular';
+    const selling = salePrice ?? regularPrice;
+    if (selling < minimum) {
+      const raised = applyRounding(minimum, rounding, 'up');
+      steps.push({ price: label, step: 'min_margin', value: describeAmount(margin), from: selling, to: raised });
+      if (salePrice !== null) salePrice = raised;
+      else regularPrice = raised;
+    }
+  }
+
+  // A sale price pushed up to the margin may no longer be a discount
+  if (salePrice !== null && salePrice >= regularPrice) {
+    steps.push({ price: 'sale', step: 'not_below_regular', value: regularPrice, from: salePrice, to: null });
+    salePrice = null;
+  }
+
+  return {
+    regular_price: String(regularPrice),
+    sale_price: salePrice !== null ? String(salePrice) : '',
+    audit: {
+      rule: rule ? rule.name : 'defaults',
+      source: { regular_price: item.regular_price, sale_price: item.sale_price || '' },
+      result: { regular_price: String(regularPrice), sale_price: salePrice !== null ? String(salePrice) : '' },
+      steps,
+    },
+  };
+}
+
+/**
+ * Turns the supplier's prices into our selling prices
+ * The first rule in pricing-rules.yaml whose site, category and price band match is used;
+ * settings it doesn't set come from "defaults". Without a rules file prices pass through unchanged.
+ * Used by the uploader, sync and the CSV exporter so all three sell at the same price.
+ * @param {Object} productData - Product data object from scraper (prices already in the store currency)
+ * @returns {Object} Copy of the product data with priced regular/sale prices and variations, plus
+ *                   pricing_audit: [{ item, rule, source, result, steps }]
+ */
+export function applyPricingRules(productData) {
+  if (!pricingRules) {
+    pricingRules = loadPricingRules();
+  }
+  // Already priced (e.g. a dry run re-used the data) - marking up twice would compound the markup
+  if (productData.pricing_audit || (pricingRules.rules.length === 0 && Object.keys(pricingRules.defaults).length === 0)) {
+    return productData;
+  }
+
+  const priced = { ...productData, pricing_audit: [] };
+  const apply = (item, label) => {
+    const result = priceItem(item, productData);
+    if (!result) return item;
+    priced.pricing_audit.push({ item: label, ...result.audit });
+
+    const changes = result.audit.steps.map(step => `${step.price} ${step.step} ${step.value}`).join(', ') || 'no change';
+    console.log(`[Pricing] ${label}: rule "${result.audit.rule}" ${item.regular_price}${item.sale_price ? `/${item.sale_price}` : ''} → ${result.regular_price}${result.sale_price ? `/${result.sale_price}` : ''} (${changes})`);
+    return { ...item, regular_price: result.regular_price, sale_price: result.sale_price };
+  };
+
+  const product = apply(productData, productData.name || 'product');
+  priced.regular_price = product.regular_price;
+  priced.sale_price = product.sale_price;
+  priced.variations = (productData.variations || []).map(variation =>
+    apply(variation, `${productData.name || 'product'} - ${(variation.attributes || []).map(a => a.option).join(', ')}`)
+  );
+
+  return priced;
+}
+
+/**
+ * Appends the pricing decisions of an uploaded or synced product to the audit log
+ * @param {Object} productData - Output of applyPricingRules()
+ * @param {Object} context - { product_id, action } recorded with the entry
+ */
+export function recordPricingAudit(productData, context = {}) {
+  if (!productData.pricing_audit || productData.pricing_audit.length === 0) return;
+
+  const file = process.env.PRICING_AUDIT_FILE || DEFAULT_AUDIT_FILE;
+  const entry = {
+    time: new Date().toISOString(),
+    ...context,
+    source_url: productData.source_url || '',
+    name: productData.name || '',
+    items: productData.pricing_audit,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.warn(`[Pricing] Could not write pricing audit log ${file}: ${error.message}`);
+  }
+}
+
+export default {
+  applyPricingRules,
+  recordPricingAudit
+};
@@ -0,0 +1,82 @@
+/**
+ * Default number of retries after the first attempt (IMAGE_RETRIES in .env)
+ */
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Delay before the first retry; doubled for every further retry
+ */
+const BASE_DELAY_MS = 1000;
+
+/**
+ * Longest wait honoured from a Retry-After header
+ */
+const MAX_DELAY_MS = 60000;
+
+/**
+ * Network error codes worth retrying (timeouts, dropped connections, DNS hiccups)
+ */
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Tells whether a failed HTTP request may succeed when repeated
+ * @param {Error} error - axios error
+ * @returns {boolean} True for 408/429/5xx responses and network timeouts/resets
+ */
+export function isRetryableError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 408 || status === 429 || (status >= 500 && status !== 501);
+  }
+  return RETRYABLE_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+}
+
+/**
+ * Returns how long to wait before the next attempt
+ * A Retry-After header (seconds or HTTP date) wins; otherwise exponential backoff with jitter
+ * @param {Error} error - Failed attempt's error
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @returns {number} Milliseconds
+ */
+function retryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms > 0) return Math.min(ms, MAX_DELAY_MS);
+  }
+  return BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * BASE_DELAY_MS / 2);
+}
+
+/**
+ * Runs an async request, retrying with exponential backoff while it fails with a retryable error
+ * @param {Function} task - async (attempt) => result
+ * @param {Object} options - Optional settings
+ * @param {number} options.retries - Retries after the first attempt (default IMAGE_RETRIES or 3)
+ * @param {string} options.label - What is being attempted (for log messages)
+ * @param {string} options.logPrefix - Log tag, e.g. '[Image Uploader]'
+ * @returns {Promise<*>} The task's result
+ */
+export async function withRetry(task, options = {}) {
+  const retries = options.retries ?? (process.env.IMAGE_RETRIES !== undefined ? Number(process.env.IMAGE_RETRIES) : DEFAULT_RETRIES);
+  const logPrefix = options.logPrefix || '[Retry]';
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      console.warn(`${logPrefix} ${options.label || 'Request'} failed (${reason}) - retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export default {
+  isRetryableError,
+  withRetry
+};
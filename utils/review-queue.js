@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRunId } from './ledger.js';
+
+/**
+ * Default review queue file (override with REVIEW_QUEUE_FILE in .env)
+ */
+const DEFAULT_QUEUE_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'data', 'review-queue.json');
+
+/**
+ * Returns the review queue file path
+ * @returns {string} Path
+ */
+function queueFile() {
+  return process.env.REVIEW_QUEUE_FILE || DEFAULT_QUEUE_FILE;
+}
+
+/**
+ * Reads the products held for review
+ * @returns {Array<Object>} Entries, oldest first: { source_url, queued_at, run_id, score, issues, product }
+ */
+export function readReviewQueue() {
+  if (!fs.existsSync(queueFile())) {
+    return [];
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(queueFile(), 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    throw new Error(`Invalid review queue ${queueFile()}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the whole review queue
+ * @param {Array<Object>} entries - Queue entries
+ */
+function writeReviewQueue(entries) {
+  fs.mkdirSync(path.dirname(queueFile()), { recursive: true });
+  fs.writeFileSync(queueFile(), JSON.stringify(entries, null, 2));
+}
+
+/**
+ * Holds a scraped product for review instead of uploading it
+ * A product already in the queue is replaced by the newer scrape
+ * @param {Object} productData - Product data object from scraper
+ * @param {Object} validation - Result of validateProductData()
+ * @returns {Object} The queue entry
+ */
+export function queueForReview(productData, validation) {
+  const entry = {
+    source_url: productData.source_url || '',
+    queued_at: new Date().toISOString(),
+    run_id: getRunId(),
+    score: validation.score,
+    issues: validation.issues,
+    product: productData,
+  };
+
+  const entries = readReviewQueue().filter(e => e.source_url !== entry.source_url);
+  entries.push(entry);
+  writeReviewQueue(entries);
+  return entry;
+}
+
+/**
+ * Finds queued products
+ * @param {string} query - Source URL, position in "node main.js review" (1 = oldest), or "all"
+ * @returns {Array<Object>} Matching entries
+ */
+export function findQueuedProducts(query) {
+  const entries = readReviewQueue();
+  const text = String(query || '').trim();
+
+  if (text === 'all') {
+    return entries;
+  }
+  if (/^\d+$/.test(text)) {
+    return entries[Number(text) - 1] ? [entries[Number(text) - 1]] : [];
+  }
+  return entries.filter(entry => entry.source_url === text);
+}
+
+/**
+ * Removes a product from the review queue
+ * @param {string} sourceUrl - Source URL of the queued product
+ * @returns {boolean} False when it wasn't queued
+ */
+export function removeFromReviewQueue(sourceUrl) {
+  const entries = readReviewQueue();
+  const remaining = entries.filter(entry => entry.source_url !== sourceUrl);
+  if (remaining.length === entries.length) {
+    return false;
+  }
+  writeReviewQueue(remaining);
+  return true;
+}
+
+export default {
+  readReviewQueue,
+  queueForReview,
+  findQueuedProducts,
+  removeFromReviewQueue
+};
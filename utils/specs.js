@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { ensureGlobalAttributes } from './variations.js';
+import { normalizeName } from './text.js';
+
+/**
+ * Default attribute mapping file (override with ATTRIBUTE_MAP_FILE in .env)
+ */
+const DEFAULT_MAP_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'attribute-map.yaml');
+
+/**
+ * Spec names that are really other product fields, not specifications
+ */
+const IGNORED_SPEC_NAMES = /^(?:قیمت|price|موجودی|stock|availability|وضعیت|دسته[‌\s]*بندی(?:[‌\s]*ها)?|categor(?:y|ies)|برچسب(?:[‌\s]*ها)?|tags?|شناسه(?:[‌\s]*محصول)?|sku|کد محصول|تعداد|quantity|افزودن.*|add to cart|اشتراک(?:[‌\s]*گذاری)?|share)$/i;
+
+/**
+ * Longest spec name and value kept - longer "labels" are sentences that happen to contain a colon
+ */
+const MAX_NAME_LENGTH = 40;
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Loaded mapping: lower-cased spec name → store attribute name (null = keep in the features meta only)
+ */
+let attributeMap = null;
+
+/**
+ * Cleans a scraped spec name or value
+ * @param {string} text - Raw text
+ * @returns {string} Text without extra whitespace, bullets and trailing colons
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s•\-*]+/, '')
+    .replace(/[\s:：]+$/, '')
+    .trim();
+}
+
+/**
+ * Splits a "label: value" line into a spec
+ * @param {string} line - Feature text such as "وزن: ۲۰۰ گرم" or "Battery : 2000 mAh"
+ * @returns {{name: string, value: string}|null} Spec, or null when the line isn't one
+ */
+export function parseSpecLine(line) {
+  const match = String(line || '').match(/^([^:：]+)[:：](.+)$/s);
+  if (!match || match[2].startsWith('//')) return null;
+  return toSpec(match[1], match[2]);
+}
+
+/**
+ * Builds a spec from a name and value, rejecting pairs that aren't specifications
+ * @param {string} rawName - Label
+ * @param {string} rawValue - Value
+ * @returns {{name: string, value: string}|null} Spec or null
+ */
+function toSpec(rawName, rawValue) {
+  const name = cleanText(rawName);
+  const value = cleanText(rawValue);
+  if (!name || !value || name.length > MAX_NAME_LENGTH || value.length > MAX_VALUE_LENGTH) return null;
+  if (name.split(' ').length > 5 || /^[\d\s.,]+$/.test(name) || /www\./i.test(name)) return null;
+  if (IGNORED_SPEC_NAMES.test(name)) return null;
+  return { name, value };
+}
+
+/**
+ * Builds the product's specifications in place from the scraped spec pairs and "label: value" features
+ * Pairs from spec tables, definition lists and structured data come first; the first value per name wins
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Object} The same productData, with specs: [{ name, value }]
+ */
+export function normalizeProductSpecs(productData) {
+  const specs = [];
+  const seen = new Set();
+  const add = (spec) => {
+    if (spec && !seen.has(normalizeName(spec.name))) {
+      seen.add(normalizeName(spec.name));
+      specs.push(spec);
+    }
+  };
+
+  (productData.specs || []).forEach(pair => add(toSpec(pair.name, pair.value)));
+  (productData.features || []).forEach(feature => add(parseSpecLine(feature)));
+
+  productData.specs = specs;
+  return productData;
+}
+
+/**
+ * Lists the features that are not specifications (no "label: value" form)
+ * @param {Array<string>} features - Scraped features
+ * @returns {Array<string>} Plain features
+ */
+export function plainFeatures(features = []) {
+  return features.filter(feature => !parseSpecLine(feature));
+}
+
+/**
+ * Reads the attribute mapping file
+ * Keys are spec names; values are the store attribute name to use, or null to keep the spec out of the attributes
+ * @returns {Map<string, string|null>} Mapping by normalized spec name
+ */
+function loadAttributeMap() {
+  const file = process.env.ATTRIBUTE_MAP_FILE || DEFAULT_MAP_FILE;
+  const map = new Map();
+
+  if (!fs.existsSync(file)) {
+    return map;
+  }
+
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected "spec name: store attribute" entries');
+    }
+
+    Object.entries(parsed).forEach(([source, target]) => {
+      if (target !== null && (typeof target !== 'string' || !target.trim())) {
+        throw new Error(`"${source}" must map to an attribute name or null`);
+      }
+      map.set(normalizeName(source), target === null ? null : target.trim());
+    });
+  } catch (error) {
+    throw new Error(`Invalid attribute map ${file}: ${error.message}`);
+  }
+
+  console.log(`[Specs] Loaded ${map.size} attribute mappings from ${file}`);
+  return map;
+}
+
+/**
+ * Turns specs into attribute definitions with the store's attribute names
+ * A value listing several items ("قرمز، آبی", "Red, Blue") becomes one term per item
+ * @param {Array<{name: string, value: string}>} specs - Specs from normalizeProductSpecs()
+ * @returns {Array<{name: string, options: Array<string>}>} Attributes in spec order, merged by store name
+ */
+export function mapSpecAttributes(specs = []) {
+  if (!attributeMap) {
+    attributeMap = loadAttributeMap();
+  }
+
+  const attributes = [];
+  specs.forEach((spec) => {
+    const key = normalizeName(spec.name);
+    const name = attributeMap.has(key) ? attributeMap.get(key) : spec.name;
+    if (!name) return;
+
+    // Split on list separators, but not inside numbers like "1,200"
+    const options = spec.value.split(/\s*،\s*|,\s+(?!\d)/).map(option => option.trim()).filter(Boolean);
+    let attribute = attributes.find(a => normalizeName(a.name) === normalizeName(name));
+    if (!attribute) {
+      attribute = { name, options: [] };
+      attributes.push(attribute);
+    }
+    options.forEach((option) => {
+      if (!attribute.options.includes(option)) attribute.options.push(option);
+    });
+  });
+  return attributes;
+}
+
+/**
+ * Resolves specs to visible, non-variation global attributes for the product payload
+ * Global attributes (and their terms) are what layered navigation filters by
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Array<{name: string, value: string}>} specs - Specs from normalizeProductSpecs()
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.create - Create missing global attributes (default true; CREATE_SPEC_ATTRIBUTES=false
+ *                                   in .env only uses attributes that already exist in the store)
+ * @param {Array<string>} options.exclude - Attribute names already used for variations
+ * @returns {Promise<Array<Object>>} Product attributes: { id, name, visible: true, variation: false, options }
+ */
+export async function resolveSpecAttributes(wcApi, specs = [], options = {}) {
+  const create = options.create ?? process.env.CREATE_SPEC_ATTRIBUTES !== 'false';
+  const exclude = new Set((options.exclude || []).map(normalizeName));
+  const attributes = mapSpecAttributes(specs).filter(attribute => !exclude.has(normalizeName(attribute.name)));
+  if (attributes.length === 0) {
+    return [];
+  }
+
+  const ids = await ensureGlobalAttributes(wcApi, attributes, { create });
+  return attributes
+    .filter(attribute => ids[attribute.name])
+    .map(attribute => ({
+      id: ids[attribute.name],
+      name: attribute.name,
+      visible: true,
+      variation: false,
+      options: attribute.options,
+    }));
+}
+
+export default {
+  parseSpecLine,
+  normalizeProductSpecs,
+  plainFeatures,
+  mapSpecAttributes,
+  resolveSpecAttributes
+};
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { decodeEntities, normalizeName } from './text.js';
+
+/**
+ * Default tag mapping file (override with TAG_MAP_FILE in .env)
+ */
+const DEFAULT_MAP_FILE = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'tag-map.yaml');
+
+/**
+ * Default maximum tags per product (override with MAX_TAGS in .env, 0 = no limit)
+ */
+const DEFAULT_MAX_TAGS = 10;
+
+/**
+ * Loaded mapping: lower-cased source tag → list of store tag names ([] = blocked)
+ */
+let tagMap = null;
+
+/**
+ * Store tags (lower-cased name → ID), listed once per process
+ */
+let tagIndexPromise = null;
+
+/**
+ * Serializes tag creation so parallel batch workers don't create the same tag twice
+ */
+let createQueue = Promise.resolve();
+
+/**
+ * Reads the tag mapping file
+ * Keys are source tag names; values are the store tag name to use, a list of names, or null to block the tag
+ * @returns {Map<string, Array<string>>} Mapping by normalized source tag
+ */
+function loadTagMap() {
+  const file = process.env.TAG_MAP_FILE || DEFAULT_MAP_FILE;
+  const map = new Map();
+
+  if (!fs.existsSync(file)) {
+    return map;
+  }
+
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected "source tag: store tag" entries');
+    }
+
+    Object.entries(parsed).forEach(([source, target]) => {
+      const names = target === null ? [] : [].concat(target).map(name => String(name).trim());
+      if (names.some(name => !name)) {
+        throw new Error(`"${source}" must map to a tag name, a list of names or null`);
+      }
+      map.set(normalizeName(source), names);
+    });
+  } catch (error) {
+    throw new Error(`Invalid tag map ${file}: ${error.message}`);
+  }
+
+  console.log(`[Tags] Loaded ${map.size} tag mappings from ${file}`);
+  return map;
+}
+
+/**
+ * Applies the tag mapping file and the max-tags limit to scraped tags
+ * Used by the uploader and the CSV exporter so both produce the same tags
+ * @param {Array<{name: string}>} tags - Scraped tags
+ * @returns {Array<string>} Unique store tag names, in source order
+ */
+export function mapTagNames(tags = []) {
+  if (!tagMap) {
+    tagMap = loadTagMap();
+  }
+
+  const maxTags = process.env.MAX_TAGS !== undefined ? Number(process.env.MAX_TAGS) : DEFAULT_MAX_TAGS;
+  const names = [];
+  const seen = new Set();
+
+  tags.forEach((tag) => {
+    const source = String(tag.name || '').replace(/\s+/g, ' ').trim();
+    if (!source) return;
+
+    const key = normalizeName(source);
+    const mapped = tagMap.has(key) ? tagMap.get(key) : [source];
+    mapped.forEach((name) => {
+      if (!seen.has(normalizeName(name))) {
+        seen.add(normalizeName(name));
+        names.push(name);
+      }
+    });
+  });
+
+  if (maxTags > 0 && names.length > maxTags) {
+    console.log(`[Tags] Keeping the first ${maxTags} of ${names.length} tags (MAX_TAGS)`);
+    return names.slice(0, maxTags);
+  }
+  return names;
+}
+
+/**
+ * Returns the store tag index, listing all tags on first use
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @returns {Promise<Map<string, number>>} Tag IDs by normalized name
+ */
+async function getTagIndex(wcApi) {
+  if (!tagIndexPromise) {
+    tagIndexPromise = (async () => {
+      console.log('[Tags] Listing store tags...');
+      const index = new Map();
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await wcApi.get('products/tags', { per_page: 100, page });
+        totalPages = Number(response.headers?.['x-wp-totalpages']) || 1;
+        (response.data || []).forEach((tag) => {
+          index.set(normalizeName(decodeEntities(tag.name)), tag.id);
+        });
+        page++;
+      } while (page <= totalPages);
+      console.log(`[Tags] Indexed ${index.size} store tags`);
+      return index;
+    })().catch((error) => {
+      // Allow a retry on the next product instead of caching the failure
+      tagIndexPromise = null;
+      throw error;
+    });
+  }
+  return tagIndexPromise;
+}
+
+/**
+ * Resolves scraped tags to store tag IDs, creating missing tags
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Array<{name: string}>} tags - Scraped tags
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.create - Create missing tags (default true; CREATE_TAGS=false in .env turns it off)
+ * @returns {Promise<Array<{id: number}>>} Tag references for the product payload
+ */
+export async function resolveTags(wcApi, tags = [], options = {}) {
+  const create = options.create ?? process.env.CREATE_TAGS !== 'false';
+  const names = mapTagNames(tags);
+  if (names.length === 0) {
+    return [];
+  }
+
+  let index;
+  try {
+    index = await getTagIndex(wcApi);
+  } catch (error) {
+    console.error(`[Tags] Could not list store tags: ${error.message}`);
+    return [];
+  }
+
+  const ids = [];
+  for (const name of names) {
+    const key = normalizeName(name);
+    if (index.has(key)) {
+      ids.push(index.get(key));
+      continue;
+    }
+
+    if (!create) {
+      console.log(`[Tags] Tag not found (skipping): ${name}`);
+      continue;
+    }
+
+    try {
+      const created = createQueue.then(async () => {
+        // Another worker may have created it while this one waited
+        if (index.has(key)) return index.get(key);
+        console.log(`[Tags] Creating tag: ${name}`);
+        let id;
+        try {
+          id = (await wcApi.post('products/tags', { name })).data.id;
+        } catch (error) {
+          // The tag exists already (created since the listing, or its slug collides) - reuse it
+          id = error.response?.data?.code === 'term_exists' ? error.response.data.data?.resource_id : null;
+          if (!id) throw error;
+        }
+        index.set(key, id);
+        return id;
+      });
+      createQueue = created.catch(() => {});
+      ids.push(await created);
+    } catch (error) {
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      console.error(`[Tags] Could not create tag ${name}: ${detail}`);
+    }
+  }
+
+  console.log(`[Tags] Resolved ${ids.length} tags: ${names.join(', ')}`);
+  return [...new Set(ids)].map(id => ({ id }));
+}
+
+export default {
+  mapTagNames,
+  resolveTags
+};
@@ -0,0 +1,40 @@
+/**
+ * Escapes text for HTML content and attribute values
+ * @param {*} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Decodes HTML entities in scraped HTML and in the names the REST and Store APIs return ("Hair &amp; Beard")
+ * @param {string} text - Text with entities
+ * @returns {string} Plain text
+ */
+export function decodeEntities(text) {
+  const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", zwnj: '\u200C', zwj: '\u200D' };
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Malformed entities beyond the last code point ("&#99999999;") stay as written
+      return Number.isFinite(value) && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Normalizes a category, tag, spec or attribute name for comparison
+ * @param {string} name - Name
+ * @returns {string} Lower-cased name with collapsed whitespace
+ */
+export function normalizeName(name) {
+  return String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export default {
+  escapeHtml,
+  decodeEntities,
+  normalizeName
+};
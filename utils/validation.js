@@ -0,0 +1,250 @@
+import { htmlToText } from './description.js';
+import { getSiteProfile } from '../scraper-profile.js';
+
+/**
+ * Default lowest confidence score that is uploaded (override with VALIDATION_MIN_SCORE in .env, 0 = never hold)
+ */
+const DEFAULT_MIN_SCORE = 60;
+
+/**
+ * Points each failed check takes off the confidence score (which starts at 100)
+ */
+const PENALTIES = {
+  missing_name: 100,
+  site_title_name: 60,
+  category_name: 40,
+  suspicious_name: 20,
+  missing_rate: 50,
+  missing_price: 50,
+  invalid_price: 50,
+  sale_not_below_regular: 30,
+  missing_images: 30,
+  placeholder_images: 10,
+  menu_features: 20,
+  missing_description: 10,
+  missing_categories: 10,
+};
+
+/**
+ * Names that are a shop's page title rather than a product ("فروشگاه اینترنتی ..." is always the shop itself)
+ */
+const GENERIC_TITLES = /^(?:(?:فروشگاه(?: اینترنتی)?|صفحه اصلی|خانه|محصولات|home|shop|store|online shop|products?)$|فروشگاه اینترنتی )/i;
+
+/**
+ * Separators between page name and site name in <title>-like texts ("Product | Shop")
+ */
+const TITLE_SEPARATORS = /\s+[|\-–—»:]{1,2}\s+/;
+
+/**
+ * Navigation and account links that selector fallbacks pick up as features
+ */
+const MENU_ITEMS = new Set([
+  'صفحه اصلی', 'خانه', 'فروشگاه', 'تماس با ما', 'درباره ما', 'سبد خرید', 'ورود', 'ثبت نام', 'ورود / ثبت نام',
+  'حساب کاربری', 'حساب من', 'وبلاگ', 'مقالات', 'سوالات متداول', 'پیگیری سفارش', 'علاقه مندی ها', 'مقایسه', 'جستجو',
+  'home', 'shop', 'store', 'contact', 'contact us', 'about', 'about us', 'cart', 'checkout', 'login', 'log in',
+  'register', 'sign in', 'my account', 'account', 'blog', 'faq', 'wishlist', 'compare', 'search',
+]);
+
+/**
+ * Image URLs of placeholders, logos and loaders instead of product photos (whole words of the path only)
+ */
+const PLACEHOLDER_IMAGE = /^data:|(?:^|[/_.-])(?:woocommerce-placeholder|placeholder|no[-_]?image|logo|icon|loading|spinner|blank)(?=[/_.-]|\d|$)/i;
+
+/**
+ * Normalizes text for comparisons
+ * @param {string} text - Text
+ * @returns {string} Lower-cased text with ZWNJ and punctuation turned into single spaces
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\u200c/g, ' ')
+    .replace(/[.,،:؛;!?؟()[\]"'«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Names the source site goes by: its hostname without TLD and the profile's branding names
+ * @param {string} sourceUrl - Product source URL
+ * @returns {Array<string>} Names, lower-cased without spaces
+ */
+function siteNames(sourceUrl) {
+  const names = [];
+  try {
+    const host = new URL(sourceUrl).hostname.replace(/^www\./, '');
+    names.push(host.split('.')[0]);
+  } catch (error) {
+    // No site name from an unparsable URL
+  }
+  (getSiteProfile(sourceUrl)?.branding || []).forEach(name => names.push(name));
+  return names.map(name => normalizeText(name).replace(/\s/g, '')).filter(Boolean);
+}
+
+/**
+ * Tells whether a text is a navigation link, or several run together ("صفحه اصلی فروشگاه تماس با ما")
+ * @param {string} text - Feature text
+ * @returns {boolean} True for menu items
+ */
+function isMenuItem(text) {
+  const normalized = normalizeText(text);
+  if (MENU_ITEMS.has(normalized)) return true;
+  return [...MENU_ITEMS].filter(item => item.includes(' ') && normalized.includes(item)).length >= 2;
+}
+
+/**
+ * Reads a price field
+ * @param {*} value - Price from productData
+ * @returns {number|null} Number, or null when the field is empty
+ */
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+/**
+ * Checks the name: missing, the site's title, a category name, or an implausible length
+ * @param {Object} productData - Product data object from scraper
+ * @param {Function} fail - Adds an issue: fail(check, message)
+ */
+function checkName(productData, fail) {
+  const name = String(productData.name || '').trim();
+  if (!name) {
+    fail('missing_name', 'No product name was found');
+    return;
+  }
+
+  const compact = normalizeText(name).replace(/\s/g, '');
+  const names = siteNames(productData.source_url);
+  const parts = name.split(TITLE_SEPARATORS).map(part => normalizeText(part).replace(/\s/g, ''));
+  if (GENERIC_TITLES.test(normalizeText(name)) || names.includes(compact) ||
+      (parts.length > 1 && parts.some(part => names.includes(part) || GENERIC_TITLES.test(part)))) {
+    fail('site_title_name', `Name "${name}" looks like the site title, not a product`);
+    return;
+  }
+
+  const categoryNames = (productData.categories || []).map(c => normalizeText(c.name));
+  if (categoryNames.includes(normalizeText(name))) {
+    fail('category_name', `Name "${name}" is a category name - the page may be a category listing`);
+    return;
+  }
+
+  if (name.length < 3 || name.length > 200) {
+    fail('suspicious_name', `Name has an unlikely length (${name.length} characters)`);
+  }
+}
+
+/**
+ * Checks the prices of a simple product, or of the variations of a variable one
+ * @param {Object} productData - Product data object from scraper
+ * @param {Function} fail - Adds an issue: fail(check, message)
+ */
+function checkPrices(productData, fail) {
+  const missingRates = productData.source_prices?.missing_rates || [];
+  if (missingRates.length > 0) {
+    const to = productData.currency;
+    fail('missing_rate', `No exchange rate from ${missingRates.join(', ')} to ${to} - add ${missingRates.map(code => `"${code}:<rate>"`).join(', ')} to CURRENCY_RATES`);
+    return;
+  }
+
+  const priced = (productData.variations || []).length > 0 ? productData.variations : [productData];
+  const regular = priced.map(item => toNumber(item.regular_price));
+
+  if (regular.every(price => price === null)) {
+    fail('missing_price', 'No regular price was found');
+    return;
+  }
+  if (regular.some(price => price !== null && !(price > 0))) {
+    fail('invalid_price', 'Regular price is not a positive number');
+    return;
+  }
+
+  const saleIssues = priced.filter((item) => {
+    const sale = toNumber(item.sale_price);
+    const base = toNumber(item.regular_price);
+    return sale !== null && base !== null && sale >= base;
+  });
+  if (saleIssues.length > 0) {
+    fail('sale_not_below_regular', priced.length > 1
+      ? `Sale price is not below the regular price in ${saleIssues.length} variations`
+      : `Sale price ${productData.sale_price} is not below the regular price ${productData.regular_price}`);
+  }
+}
+
+/**
+ * Checks that the product has real photos
+ * @param {Object} productData - Product data object from scraper
+ * @param {Function} fail - Adds an issue: fail(check, message)
+ */
+function checkImages(productData, fail) {
+  const images = [
+    ...(productData.images || []).map(img => img.src),
+    ...(productData.variations || []).map(v => v.image?.src),
+  ].filter(Boolean);
+
+  if (images.length === 0) {
+    fail('missing_images', 'No product images were found');
+    return;
+  }
+
+  const placeholders = images.filter(src => PLACEHOLDER_IMAGE.test(src.split('?')[0]));
+  if (placeholders.length > 0) {
+    fail('placeholder_images', `${placeholders.length} images look like placeholders or logos: ${placeholders.slice(0, 3).join(', ')}`);
+  }
+}
+
+/**
+ * Checks that features are not navigation links
+ * @param {Object} productData - Product data object from scraper
+ * @param {Function} fail - Adds an issue: fail(check, message)
+ */
+function checkFeatures(productData, fail) {
+  const menuItems = (productData.features || []).filter(isMenuItem);
+  if (menuItems.length > 0) {
+    fail('menu_features', `${menuItems.length} features look like menu items: ${menuItems.slice(0, 5).join(', ')}`);
+  }
+}
+
+/**
+ * Checks the description and categories
+ * @param {Object} productData - Product data object from scraper
+ * @param {Function} fail - Adds an issue: fail(check, message)
+ */
+function checkContent(productData, fail) {
+  const text = htmlToText(productData.description);
+  if (!text || normalizeText(text) === normalizeText(productData.name)) {
+    fail('missing_description', 'No description was found');
+  }
+
+  if ((productData.categories || []).length === 0) {
+    fail('missing_categories', 'No categories were found');
+  }
+}
+
+/**
+ * Checks scraped product data for signs of a bad scrape and scores how much it can be trusted
+ * Each failed check takes its PENALTIES points off a score of 100. Products below the minimum
+ * score are held for review instead of being uploaded (see utils/review-queue.js).
+ * @param {Object} productData - Product data object from scraper
+ * @param {Object} options - Optional settings
+ * @param {number} options.minScore - Lowest score that passes (default VALIDATION_MIN_SCORE in .env, or 60)
+ * @returns {{score: number, min_score: number, passed: boolean, issues: Array<{check: string, message: string, penalty: number}>}}
+ */
+export function validateProductData(productData, options = {}) {
+  const envMinScore = process.env.VALIDATION_MIN_SCORE !== undefined ? Number(process.env.VALIDATION_MIN_SCORE) : DEFAULT_MIN_SCORE;
+  const minScore = options.minScore ?? envMinScore;
+  const issues = [];
+  const fail = (check, message) => issues.push({ check, message, penalty: PENALTIES[check] });
+
+  checkName(productData, fail);
+  checkPrices(productData, fail);
+  checkImages(productData, fail);
+  checkFeatures(productData, fail);
+  checkContent(productData, fail);
+
+  const score = Math.max(0, 100 - issues.reduce((sum, issue) => sum + issue.penalty, 0));
+  return { score, min_score: minScore, passed: score >= minScore, issues };
+}
+
+export default {
+  validateProductData
+};
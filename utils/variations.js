@@ -0,0 +1,255 @@
+/**
+ * Maximum items per WooCommerce batch request
+ */
+const BATCH_LIMIT = 100;
+
+/**
+ * Global attribute cache (lower-cased name → { id, terms: Set<lower-cased term name> })
+ * Shared across products in one process so batches don't re-list attributes
+ */
+const attributeCache = new Map();
+let attributesLoaded = false;
+
+/**
+ * Builds the list of variations to create for a scraped product
+ * Uses scraped per-variation data when present; otherwise every combination
+ * of the dropdown options gets the product's own price and stock
+ * @param {Object} productData - Product data object from scraper
+ * @returns {Array<Object>} Variations: { attributes: [{ name, option }], regular_price, sale_price, sku, stock_status, stock_quantity, image }
+ */
+export function expandVariations(productData) {
+  const scraped = (productData.variations || []).filter(v => v.attributes && v.attributes.length > 0);
+  if (scraped.length > 0) {
+    return scraped;
+  }
+
+  const attributes = (productData.variation_attributes || []).filter(a => a.options && a.options.length > 0);
+  if (attributes.length === 0) {
+    return [];
+  }
+
+  // Cartesian product of all option lists
+  let combinations = [[]];
+  attributes.forEach((attribute) => {
+    combinations = combinations.flatMap(combo =>
+      attribute.options.map(option => [...combo, { name: attribute.name, option }])
+    );
+  });
+
+  return combinations.map(combo => ({
+    attributes: combo,
+    regular_price: productData.regular_price || '',
+    sale_price: productData.sale_price || '',
+    sku: '',
+    stock_status: productData.stock_status || '',
+    stock_quantity: null,
+    image: null,
+  }));
+}
+
+/**
+ * Collects attribute names and their options across all variations
+ * @param {Array<Object>} variations - Variations from expandVariations()
+ * @returns {Array<{name: string, options: Array<string>}>} Attribute definitions in first-seen order
+ */
+export function collectVariationAttributes(variations) {
+  const attributes = [];
+  variations.forEach((variation) => {
+    variation.attributes.forEach(({ name, option }) => {
+      let attribute = attributes.find(a => a.name === name);
+      if (!attribute) {
+        attribute = { name, options: [] };
+        attributes.push(attribute);
+      }
+      if (!attribute.options.includes(option)) {
+        attribute.options.push(option);
+      }
+    });
+  });
+  return attributes;
+}
+
+/**
+ * Fetches every page of a WooCommerce collection endpoint
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {string} endpoint - Collection endpoint
+ * @param {Object} params - Extra query parameters
+ * @returns {Promise<Array>} All items
+ */
+async function getAllPages(wcApi, endpoint, params = {}) {
+  const items = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await wcApi.get(endpoint, { ...params, per_page: 100, page });
+    totalPages = Number(response.headers?.['x-wp-totalpages']) || 1;
+    items.push(...(response.data || []));
+    page++;
+  } while (page <= totalPages);
+
+  return items;
+}
+
+/**
+ * Finds or creates global attributes (products/attributes) and their terms
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {Array<{name: string, options: Array<string>}>} attributes - Attribute definitions
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.create - Create missing attributes (default true); when false they are left out of the result
+ * @returns {Promise<Object>} Map of attribute name → global attribute ID
+ */
+export async function ensureGlobalAttributes(wcApi, attributes, options = {}) {
+  if (!attributesLoaded) {
+    const existing = await getAllPages(wcApi, 'products/attributes');
+    existing.forEach((attr) => {
+      attributeCache.set(attr.name.toLowerCase(), { id: attr.id, terms: null });
+    });
+    attributesLoaded = true;
+  }
+
+  const ids = {};
+
+  for (const attribute of attributes) {
+    const key = attribute.name.toLowerCase();
+    let cached = attributeCache.get(key);
+
+    if (!cached && options.create === false) {
+      continue;
+    }
+
+    if (!cached) {
+      console.log(`[Variations] Creating global attribute: ${attribute.name}`);
+      const created = await wcApi.post('products/attributes', {
+        name: attribute.name,
+        type: 'select',
+        has_archives: false,
+      });
+      cached = { id: created.data.id, terms: new Set() };
+      attributeCache.set(key, cached);
+    }
+
+    if (!cached.terms) {
+      const terms = await getAllPages(wcApi, `products/attributes/${cached.id}/terms`);
+      cached.terms = new Set(terms.map(t => t.name.toLowerCase()));
+    }
+
+    for (const option of attribute.options) {
+      if (cached.terms.has(option.toLowerCase())) continue;
+      console.log(`[Variations] Creating term "${option}" for attribute ${attribute.name}`);
+      await wcApi.post(`products/attributes/${cached.id}/terms`, { name: option });
+      cached.terms.add(option.toLowerCase());
+    }
+
+    ids[attribute.name] = cached.id;
+  }
+
+  return ids;
+}
+
+/**
+ * Builds a stable key for a variation from its attribute/option pairs
+ * @param {Array<{name: string, option: string}>} attributes - Variation attributes
+ * @returns {string} Lower-cased, order-independent key
+ */
+function variationKey(attributes) {
+  return attributes
+    .map(a => `${a.name}=${a.option}`.toLowerCase())
+    .sort()
+    .join('|');
+}
+
+/**
+ * Creates, updates and deletes the variations of a variable product
+ * Existing variations are matched by their attribute combination, so re-runs update prices in place;
+ * combinations the supplier no longer offers are deleted so they can't be sold
+ * @param {WooCommerceRestApi} wcApi - WooCommerce API client
+ * @param {number} productId - Parent product ID
+ * @param {Array<Object>} variations - Variations from expandVariations()
+ * @param {Object} attributeIds - Map of attribute name → global attribute ID
+ * @param {Object} imageMap - Map of source image URL → uploaded WooCommerce image ({ id } or { src })
+ * Variations whose image is not in imageMap are saved without one - the supplier URL is never handed to WooCommerce
+ * @returns {Promise<{created: number, updated: number, deleted: number, failed: number, errors: Array<string>, missingImages: Array<string>}>}
+ *   Counts, the per-variation errors and the images left out
+ */
+export async function syncVariations(wcApi, productId, variations, attributeIds, imageMap = {}) {
+  const existing = await getAllPages(wcApi, `products/${productId}/variations`);
+  const existingByKey = new Map(existing.map(v => [variationKey(v.attributes || []), v]));
+
+  const create = [];
+  const update = [];
+  const keep = new Set();
+  const missingImages = new Set();
+
+  variations.forEach((variation) => {
+    const payload = {
+      attributes: variation.attributes.map(a => ({ id: attributeIds[a.name], option: a.option })),
+    };
+
+    if (variation.regular_price) payload.regular_price = variation.regular_price;
+    payload.sale_price = variation.sale_price || '';
+    if (variation.sku) payload.sku = variation.sku;
+    if (variation.stock_status) payload.stock_status = variation.stock_status;
+    if (Number.isInteger(variation.stock_quantity)) {
+      payload.manage_stock = true;
+      payload.stock_quantity = variation.stock_quantity;
+    }
+    if (variation.image && variation.image.src) {
+      if (imageMap[variation.image.src]) {
+        payload.image = imageMap[variation.image.src];
+      } else {
+        missingImages.add(variation.image.src);
+      }
+    }
+
+    const match = existingByKey.get(variationKey(variation.attributes));
+    if (match) {
+      keep.add(match.id);
+      update.push({ id: match.id, ...payload });
+    } else {
+      create.push(payload);
+    }
+  });
+
+  const remove = existing.filter(v => !keep.has(v.id)).map(v => v.id);
+
+  const counts = { created: 0, updated: 0, deleted: 0, failed: 0 };
+  const countKeys = { create: 'created', update: 'updated', delete: 'deleted' };
+  const errors = [];
+
+  for (let i = 0; i < Math.max(create.length, update.length, remove.length); i += BATCH_LIMIT) {
+    const batch = {
+      create: create.slice(i, i + BATCH_LIMIT),
+      update: update.slice(i, i + BATCH_LIMIT),
+      delete: remove.slice(i, i + BATCH_LIMIT),
+    };
+    const response = await wcApi.post(`products/${productId}/variations/batch`, batch);
+
+    // Batch responses report per-item errors instead of failing the request; items answer in request order
+    Object.keys(countKeys).forEach((action) => {
+      (response.data?.[action] || []).forEach((item, index) => {
+        if (item.error) {
+          const sent = batch[action][index];
+          const label = action === 'delete'
+            ? `#${sent}`
+            : (sent?.attributes || []).map(a => a.option).join(' / ') || `#${sent?.id}`;
+          counts.failed++;
+          errors.push(`could not ${action} ${label}: ${item.error.message}`);
+          console.warn(`[Variations] Could not ${action} variation ${label}: ${item.error.message}`);
+        } else {
+          counts[countKeys[action]]++;
+        }
+      });
+    });
+  }
+
+  console.log(`[Variations] Product ${productId}: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted, ${counts.failed} failed`);
+  return { ...counts, errors, missingImages: [...missingImages] };
+}
+
+export default {
+  expandVariations,
+  collectVariationAttributes,
+  ensureGlobalAttributes,
+  syncVariations
+};
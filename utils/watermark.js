@@ -0,0 +1,710 @@
+import sharp from 'sharp';
+
+/**
+ * Width images are scaled to for template search and multi-image comparison
+ * Detection runs on this small copy; filling always happens at full resolution
+ */
+const WORK_WIDTH = 480;
+
+/**
+ * Grid size images are normalized to before comparing several images pixel by pixel
+ */
+const DIFF_SIZE = 256;
+
+/**
+ * Loaded templates by file path (greyscale pixels + mask)
+ */
+const templateCache = new Map();
+
+/**
+ * Decodes an image into RGBA pixels
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<{data: Buffer, width: number, height: number}>} Raw RGBA pixels
+ */
+export async function decodeImage(buffer) {
+  const { data, info } = await sharp(buffer).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Encodes RGBA pixels back to the format of the original image
+ * @param {Object} raw - Pixels from decodeImage()
+ * @param {Object} metadata - sharp metadata of the original image
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function encodeImage(raw, metadata) {
+  let image = sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: 4 } });
+  if (!metadata.hasAlpha) {
+    image = image.removeAlpha();
+  }
+  if (metadata.format === 'png') return image.png().toBuffer();
+  if (metadata.format === 'webp') return image.webp({ quality: 90 }).toBuffer();
+  return image.jpeg({ quality: 90 }).toBuffer();
+}
+
+/**
+ * Returns the areas of an image where a watermark is expected
+ * Corners cover 35% of each side, center the middle 50%, tiled the whole image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<string>} positions - bottom-left, bottom-right, top-left, top-right, center, tiled
+ * @returns {Array<{left: number, top: number, width: number, height: number}>} Search areas
+ */
+export function searchAreas(width, height, positions = ['bottom-left']) {
+  const cornerW = Math.round(width * 0.35);
+  const cornerH = Math.round(height * 0.35);
+  const areas = {
+    'top-left': { left: 0, top: 0, width: cornerW, height: cornerH },
+    'top-right': { left: width - cornerW, top: 0, width: cornerW, height: cornerH },
+    'bottom-left': { left: 0, top: height - cornerH, width: cornerW, height: cornerH },
+    'bottom-right': { left: width - cornerW, top: height - cornerH, width: cornerW, height: cornerH },
+    center: { left: Math.round(width * 0.25), top: Math.round(height * 0.25), width: Math.round(width * 0.5), height: Math.round(height * 0.5) },
+    tiled: { left: 0, top: 0, width, height },
+  };
+
+  return [].concat(positions).map((position) => {
+    if (!areas[position]) {
+      throw new Error(`Unknown watermark position "${position}"`);
+    }
+    return areas[position];
+  });
+}
+
+/**
+ * Grows a mask by `radius` pixels in every direction
+ * @param {Uint8Array} mask - 1 = watermark pixel
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} radius - Pixels to grow
+ * @returns {Uint8Array} Dilated mask
+ */
+function dilate(mask, width, height, radius) {
+  if (radius <= 0) return mask;
+
+  // Separable square dilation: rows, then columns
+  const rows = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    let last = -Infinity;
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) last = x;
+      if (x - last <= radius) rows[y * width + x] = 1;
+    }
+    last = Infinity;
+    for (let x = width - 1; x >= 0; x--) {
+      if (mask[y * width + x]) last = x;
+      if (last - x <= radius) rows[y * width + x] = 1;
+    }
+  }
+
+  const out = new Uint8Array(mask.length);
+  for (let x = 0; x < width; x++) {
+    let last = -Infinity;
+    for (let y = 0; y < height; y++) {
+      if (rows[y * width + x]) last = y;
+      if (y - last <= radius) out[y * width + x] = 1;
+    }
+    last = Infinity;
+    for (let y = height - 1; y >= 0; y--) {
+      if (rows[y * width + x]) last = y;
+      if (last - y <= radius) out[y * width + x] = 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Builds a full-size mask from rectangles
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Object>} rects - { left, top, width, height }
+ * @returns {Uint8Array} Mask
+ */
+export function maskFromRects(width, height, rects) {
+  const mask = new Uint8Array(width * height);
+  rects.forEach((rect) => {
+    const x0 = Math.max(0, Math.round(rect.left));
+    const y0 = Math.max(0, Math.round(rect.top));
+    const x1 = Math.min(width, Math.round(rect.left + rect.width));
+    const y1 = Math.min(height, Math.round(rect.top + rect.height));
+    for (let y = y0; y < y1; y++) {
+      mask.fill(1, y * width + x0, y * width + x1);
+    }
+  });
+  return mask;
+}
+
+/**
+ * Scales a mask to another size (nearest neighbour) and thresholds it
+ * @param {Uint8Array} mask - Source mask (0/1)
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @returns {Promise<Uint8Array>} Scaled mask
+ */
+async function scaleMask(mask, width, height, targetWidth, targetHeight) {
+  const pixels = Buffer.from(mask.map(v => (v ? 255 : 0)));
+  const scaled = await sharp(pixels, { raw: { width, height, channels: 1 } })
+    .resize(targetWidth, targetHeight, { fit: 'fill', kernel: 'nearest' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+  return Uint8Array.from(scaled, v => (v > 127 ? 1 : 0));
+}
+
+/**
+ * Loads a logo template and the mask of the logo's own pixels
+ * Transparent template pixels are never repainted; a template without transparency is repainted as a whole
+ * @param {string} file - Template image path (PNG with transparency works best)
+ * @returns {Promise<{alpha: Uint8Array, shaped: boolean, width: number, height: number, file: string}>} Template
+ */
+async function loadTemplate(file) {
+  if (!templateCache.has(file)) {
+    templateCache.set(file, (async () => {
+      const { data, info } = await sharp(file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      const count = info.width * info.height;
+      const alpha = new Uint8Array(count);
+      for (let i = 0; i < count; i++) {
+        alpha[i] = data[i * 4 + 3] > 32 ? 1 : 0;
+      }
+      const opaque = alpha.reduce((a, b) => a + b, 0);
+      return { alpha, shaped: opaque > 0 && opaque < count, width: info.width, height: info.height, file };
+    })().catch((error) => {
+      templateCache.delete(file);
+      throw error;
+    }));
+  }
+  return templateCache.get(file);
+}
+
+/**
+ * Returns a greyscale copy of an image scaled to exactly `width` x `height`
+ * @param {Buffer} buffer - Encoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<{grey: Float32Array, width: number, height: number}>} Grey pixels
+ */
+async function greyscale(buffer, width, height) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(width, height, { fit: 'fill' })
+    .flatten({ background: '#FFFFFF' })
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { grey: Float32Array.from(data), width: info.width, height: info.height };
+}
+
+/**
+ * Scores every template position inside an area with normalized cross-correlation
+ * (1 = identical up to brightness/contrast, 0 = unrelated)
+ * @param {Object} image - Grey work image
+ * @param {Object} tpl - Scaled template from scaleTemplate()
+ * @param {Object} area - Search area in work coordinates
+ * @param {number} step - Position step (2 for the coarse pass, 1 to refine)
+ * @returns {Array<{x: number, y: number, score: number}>} Scored positions
+ */
+function scorePositions(image, tpl, area, step) {
+  const results = [];
+  const n = tpl.offsets.length;
+  const xEnd = Math.min(area.left + area.width, image.width) - tpl.width;
+  const yEnd = Math.min(area.top + area.height, image.height) - tpl.height;
+
+  for (let y = Math.max(0, area.top); y <= yEnd; y += step) {
+    for (let x = Math.max(0, area.left); x <= xEnd; x += step) {
+      const base = y * image.width + x;
+      let sum = 0;
+      let sumSq = 0;
+      let cross = 0;
+      for (let i = 0; i < n; i++) {
+        const v = image.grey[base + tpl.offsets[i]];
+        sum += v;
+        sumSq += v * v;
+        cross += v * tpl.values[i];
+      }
+      const variance = sumSq - (sum * sum) / n;
+      if (variance < n) continue; // flat patch - nothing logo-like here
+      const score = cross / (Math.sqrt(variance) * tpl.norm);
+      // A logo shape matches dark-on-light and light-on-dark alike
+      results.push({ x, y, score: tpl.shaped ? Math.abs(score) : score });
+    }
+  }
+  return results;
+}
+
+/**
+ * Scales a template and precomputes what scorePositions() needs
+ * Templates with transparency are matched by their shape (opaque vs transparent), so a one-colour logo
+ * is found whatever colour it was stamped in; opaque templates are matched by their grey levels.
+ * @param {Object} template - Template from loadTemplate()
+ * @param {number} scale - Size factor in work coordinates
+ * @param {number} imageWidth - Work image width (offsets are row-major in the work image)
+ * @returns {Promise<Object|null>} Scaled template or null when too small/flat
+ */
+async function scaleTemplate(template, scale, imageWidth) {
+  const width = Math.round(template.width * scale);
+  const height = Math.round(template.height * scale);
+  if (width < 8 || height < 6) return null;
+
+  const { data } = await sharp(template.file)
+    .ensureAlpha()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const offsets = new Int32Array(width * height);
+  const signal = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      offsets[i] = y * imageWidth + x;
+      signal[i] = template.shaped
+        ? data[i * 4 + 3]
+        : 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+  }
+
+  const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
+  const values = signal.map(v => v - mean);
+  const norm = Math.sqrt(values.reduce((a, v) => a + v * v, 0));
+  if (norm < 1) return null;
+
+  return { width, height, scale, shaped: template.shaped, offsets, values, norm };
+}
+
+/**
+ * Finds a logo in an image by template matching
+ * The template should be cut from a full-size supplier image; `scales` cover logos resized with the photo
+ * @param {Buffer} buffer - Encoded image
+ * @param {Object} options - Watermark options
+ * @param {string} options.template - Template image path
+ * @param {Array<string>} options.positions - Where to search (tiled = whole image, several matches)
+ * @param {Array<number>} options.scales - Template size factors to try
+ * @param {number} options.threshold - Minimum match score (0-1)
+ * @returns {Promise<Array<Object>>} Matches in full-size coordinates: { left, top, width, height, score, scale }
+ */
+export async function findTemplateMatches(buffer, options) {
+  const metadata = await sharp(buffer).rotate().metadata();
+  const fullWidth = metadata.autoOrient?.width || metadata.width;
+  const fullHeight = metadata.autoOrient?.height || metadata.height;
+  const factor = Math.min(1, WORK_WIDTH / fullWidth);
+  const image = await greyscale(buffer, Math.round(fullWidth * factor), Math.round(fullHeight * factor));
+  const template = await loadTemplate(options.template);
+  const threshold = options.threshold ?? 0.6;
+  const tiled = [].concat(options.positions).includes('tiled');
+  const areas = searchAreas(image.width, image.height, options.positions);
+
+  const candidates = [];
+  for (const scale of options.scales || [0.5, 0.75, 1, 1.25, 1.5, 2]) {
+    const tpl = await scaleTemplate(template, scale * factor, image.width);
+    if (!tpl) continue;
+
+    areas.forEach((area) => {
+      const coarse = scorePositions(image, tpl, area, 2).filter(m => m.score >= threshold - 0.1);
+      coarse.forEach((hit) => {
+        // Refine around every coarse hit at single-pixel steps
+        const refineArea = { left: hit.x - 2, top: hit.y - 2, width: tpl.width + 4, height: tpl.height + 4 };
+        const best = scorePositions(image, tpl, refineArea, 1).reduce((a, b) => (b.score > a.score ? b : a), hit);
+        if (best.score >= threshold) {
+          candidates.push({ ...best, width: tpl.width, height: tpl.height, scale });
+        }
+      });
+    });
+  }
+
+  // Non-maximum suppression: best matches first, drop overlapping weaker ones
+  candidates.sort((a, b) => b.score - a.score);
+  const kept = [];
+  candidates.forEach((c) => {
+    const overlaps = kept.some(k =>
+      c.x < k.x + k.width && k.x < c.x + c.width && c.y < k.y + k.height && k.y < c.y + c.height);
+    if (!overlaps) kept.push(c);
+  });
+
+  const matches = (tiled ? kept : kept.slice(0, areas.length)).map(m => ({
+    left: m.x / factor,
+    top: m.y / factor,
+    width: m.width / factor,
+    height: m.height / factor,
+    score: Number(m.score.toFixed(3)),
+    scale: m.scale,
+  }));
+
+  matches.forEach((m) => {
+    console.log(`[Watermark] Template match at (${Math.round(m.left)}, ${Math.round(m.top)}) ${Math.round(m.width)}x${Math.round(m.height)} score ${m.score}`);
+  });
+  return matches;
+}
+
+/**
+ * Builds the fill mask for template matches: the logo's own pixels (from template transparency), grown by `padding`
+ * @param {Object} options - Watermark options (template, padding)
+ * @param {Array<Object>} matches - Matches from findTemplateMatches()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Uint8Array>} Mask
+ */
+export async function maskFromMatches(options, matches, width, height) {
+  const template = await loadTemplate(options.template);
+  const mask = new Uint8Array(width * height);
+  const logoMask = template.shaped ? template.alpha : new Uint8Array(template.alpha.length).fill(1);
+
+  for (const match of matches) {
+    const w = Math.max(1, Math.round(match.width));
+    const h = Math.max(1, Math.round(match.height));
+    const logo = await scaleMask(logoMask, template.width, template.height, w, h);
+    const left = Math.round(match.left);
+    const top = Math.round(match.top);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const ix = left + x;
+        const iy = top + y;
+        if (logo[y * w + x] && ix >= 0 && iy >= 0 && ix < width && iy < height) {
+          mask[iy * width + ix] = 1;
+        }
+      }
+    }
+  }
+
+  return dilate(mask, width, height, options.padding ?? 3);
+}
+
+/**
+ * Removes connected groups of mask pixels smaller than `minSize`
+ * @param {Uint8Array} mask - Mask (modified in place)
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} minSize - Smallest group kept
+ * @returns {number} Pixels left in the mask
+ */
+function dropSmallComponents(mask, width, height, minSize) {
+  const seen = new Uint8Array(mask.length);
+  let kept = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    const component = [start];
+    seen[start] = 1;
+    for (let k = 0; k < component.length; k++) {
+      const i = component[k];
+      const x = i % width;
+      const y = (i - x) / width;
+      // 8-connected: thin diagonal strokes of a logo stay one group
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          const j = ny * width + nx;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[j] && !seen[j]) {
+            seen[j] = 1;
+            component.push(j);
+          }
+        }
+      }
+    }
+    if (component.length < minSize) {
+      component.forEach((i) => { mask[i] = 0; });
+    } else {
+      kept += component.length;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Finds watermark pixels shared by several images from the same supplier
+ * A pixel belongs to the watermark when it is an edge in every image and has the same grey level in all of them;
+ * product outlines move from photo to photo and plain background has no edges.
+ * @param {Array<Buffer>} buffers - Encoded images (at least 3 for a reliable result)
+ * @param {Object} options - Watermark options
+ * @param {Array<string>} options.positions - Areas to look in
+ * @param {number} options.diffThreshold - Max grey-level difference (0-255) from the average to count as "the same"
+ * @param {number} options.edgeThreshold - Min edge strength to count as structure
+ * @param {number} options.minPixels - Min pixels (on the 256x256 grid) for a watermark
+ * @returns {Promise<{mask: Uint8Array, width: number, height: number}|null>} Mask on a DIFF_SIZE grid, or null when nothing was found
+ */
+export async function findSharedWatermark(buffers, options = {}) {
+  const images = await Promise.all(buffers.map(buffer => greyscale(buffer, DIFF_SIZE, DIFF_SIZE)));
+  const size = DIFF_SIZE * DIFF_SIZE;
+  const diffThreshold = options.diffThreshold ?? 16;
+  const edgeThreshold = options.edgeThreshold ?? 20;
+
+  const mean = new Float32Array(size);
+  images.forEach(img => img.grey.forEach((v, i) => { mean[i] += v / images.length; }));
+
+  const edge = (grey, i) => {
+    const x = i % DIFF_SIZE;
+    const y = (i - x) / DIFF_SIZE;
+    if (x === 0 || y === 0 || x === DIFF_SIZE - 1 || y === DIFF_SIZE - 1) return 0;
+    return Math.abs(grey[i + 1] - grey[i - 1]) + Math.abs(grey[i + DIFF_SIZE] - grey[i - DIFF_SIZE]);
+  };
+
+  const inArea = maskFromRects(DIFF_SIZE, DIFF_SIZE, searchAreas(DIFF_SIZE, DIFF_SIZE, options.positions));
+  let mask = new Uint8Array(size);
+
+  for (let i = 0; i < size; i++) {
+    if (!inArea[i]) continue;
+    const shared = images.every(img =>
+      Math.abs(img.grey[i] - mean[i]) <= diffThreshold && edge(img.grey, i) >= edgeThreshold);
+    if (shared) mask[i] = 1;
+  }
+
+  // A watermark is a cluster of pixels - stray matches where product outlines happen to cross are dropped
+  const found = dropSmallComponents(mask, DIFF_SIZE, DIFF_SIZE, 6);
+  if (found < (options.minPixels ?? 40)) {
+    console.log(`[Watermark] No watermark shared by ${images.length} images`);
+    return null;
+  }
+
+  mask = dilate(mask, DIFF_SIZE, DIFF_SIZE, 2);
+  console.log(`[Watermark] Found ${found} watermark pixels shared by ${images.length} images`);
+  return { mask, width: DIFF_SIZE, height: DIFF_SIZE };
+}
+
+/**
+ * Scales a findSharedWatermark() mask to one image and grows it by `padding`
+ * @param {Object} shared - Result of findSharedWatermark()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} padding - Extra pixels around the watermark
+ * @returns {Promise<Uint8Array>} Mask
+ */
+export async function maskFromShared(shared, width, height, padding = 3) {
+  const mask = await scaleMask(shared.mask, shared.width, shared.height, width, height);
+  return dilate(mask, width, height, padding);
+}
+
+/**
+ * Returns the bounding box of every connected region of the mask
+ * @param {Uint8Array} mask - Mask
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {Array<{left: number, top: number, right: number, bottom: number}>} Region boxes
+ */
+function maskRegions(mask, width, height) {
+  const seen = new Uint8Array(mask.length);
+  const regions = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    const box = { left: width, top: height, right: 0, bottom: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      box.left = Math.min(box.left, x);
+      box.right = Math.max(box.right, x);
+      box.top = Math.min(box.top, y);
+      box.bottom = Math.max(box.bottom, y);
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+        const j = ny * width + nx;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[j] && !seen[j]) {
+          seen[j] = 1;
+          stack.push(j);
+        }
+      });
+    }
+    regions.push(box);
+  }
+  return regions;
+}
+
+/**
+ * Fills masked pixels from the outside in ("onion peel") with the mean or median of known neighbours
+ * @param {Object} raw - RGBA pixels (modified in place)
+ * @param {Uint8Array} mask - Pixels to fill
+ * @param {string} method - 'mean' or 'median'
+ */
+function onionFill(raw, mask, method) {
+  const { data, width, height } = raw;
+  const unknown = Uint8Array.from(mask);
+  const radius = 2;
+
+  let layer = [];
+  const isBoundary = (i) => {
+    const x = i % width;
+    const y = (i - x) / width;
+    return (x > 0 && !unknown[i - 1]) || (x < width - 1 && !unknown[i + 1]) ||
+      (y > 0 && !unknown[i - width]) || (y < height - 1 && !unknown[i + width]);
+  };
+  for (let i = 0; i < unknown.length; i++) {
+    if (unknown[i] && isBoundary(i)) layer.push(i);
+  }
+
+  while (layer.length > 0) {
+    const values = layer.map((i) => {
+      const x = i % width;
+      const y = (i - x) / width;
+      const samples = [[], [], []];
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          const j = ny * width + nx;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height || unknown[j]) continue;
+          for (let c = 0; c < 3; c++) samples[c].push(data[j * 4 + c]);
+        }
+      }
+      return samples.map((list) => {
+        if (list.length === 0) return 255;
+        if (method === 'median') {
+          list.sort((a, b) => a - b);
+          return list[list.length >> 1];
+        }
+        return list.reduce((a, b) => a + b, 0) / list.length;
+      });
+    });
+
+    layer.forEach((i, k) => {
+      for (let c = 0; c < 3; c++) data[i * 4 + c] = values[k][c];
+      unknown[i] = 0;
+    });
+
+    const next = new Set();
+    layer.forEach((i) => {
+      const x = i % width;
+      [i - 1, i + 1, i - width, i + width].forEach((j) => {
+        const jx = j % width;
+        if (j >= 0 && j < unknown.length && Math.abs(jx - x) <= 1 && unknown[j]) next.add(j);
+      });
+    });
+    layer = [...next];
+  }
+}
+
+/**
+ * Copies the best-matching neighbouring patch over each masked region
+ * Candidates are the same-size areas left, right, above and below the region; the one whose
+ * surrounding ring looks most like the hole's ring wins. Regions without a candidate fall back to median fill.
+ * @param {Object} raw - RGBA pixels (modified in place)
+ * @param {Uint8Array} mask - Pixels to fill
+ */
+function patchFill(raw, mask) {
+  const { data, width, height } = raw;
+  const ring = 3;
+  const leftover = new Uint8Array(mask.length);
+
+  const ringCost = (box, dx, dy) => {
+    let cost = 0;
+    let count = 0;
+    for (let y = box.top - ring; y <= box.bottom + ring; y++) {
+      for (let x = box.left - ring; x <= box.right + ring; x++) {
+        const inside = x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+        if (inside || x < 0 || y < 0 || x >= width || y >= height) continue;
+        const sx = x + dx;
+        const sy = y + dy;
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) return Infinity;
+        const i = (y * width + x) * 4;
+        const j = (sy * width + sx) * 4;
+        for (let c = 0; c < 3; c++) cost += (data[i + c] - data[j + c]) ** 2;
+        count++;
+      }
+    }
+    return count > 0 ? cost / count : Infinity;
+  };
+
+  maskRegions(mask, width, height).forEach((box) => {
+    const w = box.right - box.left + 1;
+    const h = box.bottom - box.top + 1;
+    const gap = ring + 1;
+    const offsets = [[-(w + gap), 0], [w + gap, 0], [0, -(h + gap)], [0, h + gap],
+      [-(w + gap), -(h + gap)], [w + gap, -(h + gap)], [-(w + gap), h + gap], [w + gap, h + gap]];
+
+    const valid = offsets.filter(([dx, dy]) =>
+      box.left + dx - ring >= 0 && box.top + dy - ring >= 0 &&
+      box.right + dx + ring < width && box.bottom + dy + ring < height);
+
+    let best = null;
+    valid.forEach(([dx, dy]) => {
+      // The source patch must not contain watermark pixels itself
+      for (let y = box.top; y <= box.bottom; y++) {
+        for (let x = box.left; x <= box.right; x++) {
+          if (mask[(y + dy) * width + x + dx]) return;
+        }
+      }
+      const cost = ringCost(box, dx, dy);
+      if (!best || cost < best.cost) best = { dx, dy, cost };
+    });
+
+    for (let y = box.top; y <= box.bottom; y++) {
+      for (let x = box.left; x <= box.right; x++) {
+        const i = y * width + x;
+        if (!mask[i]) continue;
+        if (!best) {
+          leftover[i] = 1;
+          continue;
+        }
+        const j = ((y + best.dy) * width + x + best.dx) * 4;
+        for (let c = 0; c < 3; c++) data[i * 4 + c] = data[j + c];
+      }
+    }
+  });
+
+  if (leftover.some(v => v)) {
+    onionFill(raw, leftover, 'median');
+  }
+}
+
+/**
+ * Smooths the filled pixels with a Gaussian blur of their surroundings so no seam shows
+ * @param {Object} raw - RGBA pixels (modified in place)
+ * @param {Uint8Array} mask - Filled pixels
+ * @param {number} sigma - Blur strength
+ * @returns {Promise<void>}
+ */
+async function blurMasked(raw, mask, sigma) {
+  const blurred = await sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: 4 } })
+    .blur(sigma)
+    .raw()
+    .toBuffer();
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    for (let c = 0; c < 3; c++) raw.data[i * 4 + c] = blurred[i * 4 + c];
+  }
+}
+
+/**
+ * Fills the masked (watermark) pixels from the surrounding image
+ * @param {Object} raw - RGBA pixels from decodeImage() (modified in place)
+ * @param {Uint8Array} mask - Pixels to replace
+ * @param {Object} options - Fill options
+ * @param {string} options.fill - 'blur' (default), 'median', 'patch' or 'color'
+ * @param {string} options.fillColor - Color for fill: 'color' (e.g. '#FFFFFF')
+ * @returns {Promise<void>}
+ */
+export async function fillMask(raw, mask, options = {}) {
+  const fill = options.fill || 'blur';
+
+  if (fill === 'color') {
+    const hex = (options.fillColor || '#FFFFFF').replace('#', '');
+    const rgb = [0, 2, 4].map(i => parseInt(hex.substring(i, i + 2), 16) || 0);
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+      for (let c = 0; c < 3; c++) raw.data[i * 4 + c] = rgb[c];
+    }
+  } else if (fill === 'patch') {
+    patchFill(raw, mask);
+  } else if (fill === 'median') {
+    onionFill(raw, mask, 'median');
+  } else if (fill === 'blur') {
+    onionFill(raw, mask, 'mean');
+    await blurMasked(raw, mask, options.blurSigma || 2);
+  } else {
+    throw new Error(`Unknown watermark fill "${fill}" (use blur, median, patch or color)`);
+  }
+}
+
+export default {
+  decodeImage,
+  encodeImage,
+  searchAreas,
+  maskFromRects,
+  findTemplateMatches,
+  maskFromMatches,
+  findSharedWatermark,
+  maskFromShared,
+  fillMask
+};